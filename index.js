@@ -2,15 +2,28 @@ import { extension_settings } from '../../../extensions.js';
 import { eventSource, event_types, saveSettingsDebounced, processDroppedFiles, getRequestHeaders } from '../../../../script.js';
 
 // Import modules
-import { loadImportStats, saveImportStats, loadRecentlyViewed } from './modules/storage/storage.js';
+import { loadImportStats, saveImportStats, loadRecentlyViewed, loadPendingImports } from './modules/storage/storage.js';
 import { getTimeAgo } from './modules/storage/stats.js';
-import { loadServiceIndex, initializeServiceCache } from './modules/services/cache.js';
-import { getRandomCard, isApiLevelSort } from './modules/services/cards.js';
-import { fetchChubCards } from './modules/services/chubApi.js';
-import { importCardToSillyTavern } from './modules/services/import.js';
-import { showCardDetail, closeDetailModal, showImageLightbox } from './modules/modals/detail.js';
-import { createCardBrowser, refreshCardGrid } from './modules/browser.js';
-import { getOriginalMenuHTML, createBottomActions } from './modules/templates/templates.js';
+import { initializeServiceCache, setCacheMaxAge, clearCachedData, setOfflineMode, isOfflineMode, getServiceLoadError, getSourceCacheStatus, DEFAULT_DATA_URL, setDataSources, getMirrorHealth, checkMirrorHealth } from './modules/services/cache.js';
+import { getRandomCard, isApiLevelSort, createEmptyFilters } from './modules/services/cards.js';
+import { loadSourceRegistry, isSourceRegistryLoaded, getSources, getCharacterSourceNames } from './modules/services/sourceRegistry.js';
+import { fetchChubCards, getChubToken, saveChubToken, hasChubToken } from './modules/services/chubApi.js';
+import { importCardToSillyTavern, processPendingImports, importCardForQueue, inspectCardImport, importInspectedCard } from './modules/services/import.js';
+import { setImportQueueRunner, setImportQueueConcurrency, enqueueImports } from './modules/services/importQueue.js';
+import { registerSourceProvider, unregisterSourceProvider, getProvider, updateChubAccountProviders } from './modules/providers/providers.js';
+import { getLocalCollectionCards, pickLocalCollection, clearLocalCollection } from './modules/services/localCollection.js';
+import { showCardDetail, closeDetailModal, showImageLightbox, getDetailCardEdits, setupEditMode } from './modules/modals/detail.js';
+import { showImportQueuePanel } from './modules/modals/importQueue.js';
+import { showUpdatesModal } from './modules/modals/updates.js';
+import { showImportInspector } from './modules/modals/importInspector.js';
+import { showCreatorProfile } from './modules/modals/creatorProfile.js';
+import { getCreatorCards, getCreatorProfile } from './modules/services/creators.js';
+import { exportCard, exportCardsAsZip, EXPORT_FORMATS } from './modules/services/export.js';
+import { POST_IMPORT_ACTIONS } from './modules/services/postImport.js';
+import { createCardBrowser, refreshCardGrid, renderSavedSearches } from './modules/browser.js';
+import { getOriginalMenuHTML, createBottomActions, createSourceStatusBadge, createMirrorHealthHTML, createNewForYouHTML } from './modules/templates/templates.js';
+import { runWatchlists, getNewForYouCards, markNewCardsSeen, getWatchlistSort } from './modules/services/watchlists.js';
+import { buildPostImportOptionsHTML } from './modules/templates/detailModal.js';
 import { escapeHTML } from './modules/utils/utils.js';
 
 // Extension name and settings
@@ -22,16 +35,16 @@ const state = {
     currentService: null,
     currentCards: [],
     selectedCard: null,
-    filters: {
-        search: '',
-        tags: [],
-        creator: ''
-    },
+    filters: createEmptyFilters(),
     sortBy: 'relevance',
     fuse: null,
     recentlyViewed: [],
     searchCollapsed: false,
-    cacheInitialized: false
+    cacheInitialized: false,
+    sourceStatuses: {},
+    apiPaging: null,
+    serverFilters: {},
+    selectedCards: new Map()
 };
 
 // Default settings
@@ -48,7 +61,16 @@ const defaultSettings = {
     blurNsfw: false,
     hideNsfw: false,
     trackStats: true,
-    tagBlocklist: []
+    tagBlocklist: [],
+    cacheMaxAgeHours: 6,
+    offlineMode: false,
+    dataUrl: '',
+    dataMirrors: [],
+    importEmbeddedLorebooks: false,
+    importConcurrency: 2,
+    duplicateAction: 'ask',
+    postImportAction: 'none',
+    postImportAssignTags: false
 };
 
 // Stats storage
@@ -72,6 +94,12 @@ function loadSettings() {
             extension_settings[extensionName][key] = defaultSettings[key];
         }
     }
+
+    setCacheMaxAge(extension_settings[extensionName].cacheMaxAgeHours);
+    setOfflineMode(extension_settings[extensionName].offlineMode);
+    setDataSources(extension_settings[extensionName].dataUrl, extension_settings[extensionName].dataMirrors);
+    updateChubAccountProviders(hasChubToken());
+    setImportQueueConcurrency(extension_settings[extensionName].importConcurrency);
 }
 
 // Apply blur setting to all card images
@@ -115,30 +143,90 @@ async function showCardDetailWrapper(card, save = true) {
                 extension_settings,
                 importStats,
                 getRequestHeaders,
-                processDroppedFiles
+                processDroppedFiles,
+                { edits: getDetailCardEdits() }
             );
         });
     }
 
-    // Creator link
+    // Edit form, filled from the definition the import resolves to rather than the browser's summary
+    const selectedCard = state.selectedCard;
+    setupEditMode(detailModal, async () => {
+        const inspection = await inspectCardImport(selectedCard, extensionName, extension_settings, getRequestHeaders);
+        return inspection.cardV3.data;
+    });
+
+    // After-import choice, only shown for characters (the ones that can be inspected)
+    if (detailModal.querySelector('.bot-browser-inspect-button')) {
+        const settings = extension_settings[extensionName];
+        detailModal.querySelector('.bot-browser-detail-actions').insertAdjacentHTML('beforebegin', buildPostImportOptionsHTML(POST_IMPORT_ACTIONS, settings.postImportAction, settings.postImportAssignTags));
+
+        detailModal.querySelector('.bot-browser-post-import').addEventListener('change', (e) => {
+            if (e.target.matches('.bot-browser-post-import-action')) {
+                settings.postImportAction = e.target.value;
+            } else if (e.target.matches('.bot-browser-post-import-tags')) {
+                settings.postImportAssignTags = e.target.checked;
+            }
+            saveSettingsDebounced();
+        });
+    }
+
+    // Inspect import button
+    const inspectButton = detailModal.querySelector('.bot-browser-inspect-button');
+    if (inspectButton) {
+        inspectButton.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            await showImportInspector(
+                state.selectedCard,
+                (card) => inspectCardImport(card, extensionName, extension_settings, getRequestHeaders, getDetailCardEdits()),
+                async (inspection) => {
+                    importStats = await importInspectedCard(inspection, extensionName, extension_settings, importStats, processDroppedFiles);
+                }
+            );
+        });
+    }
+
+    // Download menu
+    const downloadButton = detailModal.querySelector('.bot-browser-download-button');
+    const downloadMenu = detailModal.querySelector('.bot-browser-download-menu');
+    if (downloadButton && downloadMenu) {
+        downloadButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            downloadMenu.style.display = downloadMenu.style.display === 'none' ? '' : 'none';
+        });
+
+        downloadMenu.addEventListener('click', async (e) => {
+            const option = e.target.closest('[data-format]');
+            if (!option) return;
+            e.stopPropagation();
+            e.preventDefault();
+            downloadMenu.style.display = 'none';
+            downloadButton.disabled = true;
+
+            try {
+                await exportCard(state.selectedCard, option.dataset.format, extensionName, extension_settings, getRequestHeaders, getDetailCardEdits());
+            } catch (error) {
+                console.error('[Bot Browser] Download failed:', error);
+                toastr.error(`Failed to download ${EXPORT_FORMATS[option.dataset.format].label}: ${error.message}`);
+            } finally {
+                downloadButton.disabled = false;
+            }
+        });
+    }
+
+    // Creator link opens the creator's profile
     const creatorLink = detailModal.querySelector('.bot-browser-creator-link');
     if (creatorLink) {
         creatorLink.addEventListener('click', (e) => {
             e.stopPropagation();
             e.preventDefault();
             const creator = creatorLink.dataset.creator;
-            console.log('[Bot Browser] Filtering by creator:', creator);
+            console.log('[Bot Browser] Showing creator profile:', creator);
 
             closeDetailModal();
-
-            state.filters.creator = creator;
-            const creatorFilterDropdown = document.querySelector('.bot-browser-creator-filter');
-            if (creatorFilterDropdown) {
-                creatorFilterDropdown.value = creator;
-            }
-            refreshCardGrid(state, extensionName, extension_settings, showCardDetailWrapper);
-
-            toastr.success(`Showing all cards by ${escapeHTML(creator)}`, 'Filtered by Creator');
+            showCreatorProfileFor(creator);
         });
     }
 
@@ -155,6 +243,7 @@ async function showCardDetailWrapper(card, save = true) {
             if (!state.filters.tags.includes(tag)) {
                 state.filters.tags.push(tag);
             }
+            state.filters.excludedTags = state.filters.excludedTags.filter(t => t !== tag);
 
             const tagFilterDropdown = document.querySelector('.bot-browser-tag-filter');
             if (tagFilterDropdown) {
@@ -185,18 +274,35 @@ async function showCardDetailWrapper(card, save = true) {
     }
 }
 
+function showCreatorProfileFor(creator) {
+    const cards = getCreatorCards(creator, state.view === 'browser' ? state.currentCards : []);
+    showCreatorProfile(getCreatorProfile(creator, cards, importStats), {
+        onOpenCard: (card) => showCardDetailWrapper(card),
+        onFilter: state.view === 'browser' ? filterByCreator : null
+    });
+}
+
+function filterByCreator(creator) {
+    // The browser lists creators as written on the cards, the link may differ in case
+    const cardCreator = state.currentCards.find(card => (card.creator || '').toLowerCase() === creator.toLowerCase())?.creator || creator;
+    state.filters.creators = [cardCreator];
+    refreshCardGrid(state, extensionName, extension_settings, showCardDetailWrapper);
+
+    toastr.success(`Showing all cards by ${escapeHTML(cardCreator)}`, 'Filtered by Creator');
+}
+
 // Navigate back to sources view
 function navigateToSources() {
     state.view = 'sources';
     state.currentService = null;
     state.currentCards = [];
-    state.filters = { search: '', tags: [], creator: '' };
+    state.filters = createEmptyFilters();
 
     const menu = document.getElementById('bot-browser-menu');
     if (!menu) return;
 
     const menuContent = menu.querySelector('.bot-browser-content');
-    menuContent.innerHTML = getOriginalMenuHTML(state.recentlyViewed);
+    menuContent.innerHTML = getOriginalMenuHTML(state.recentlyViewed, getSources(), state.sourceStatuses, isOfflineMode());
 
     // Add bottom action buttons to each tab content
     const tabContents = menuContent.querySelectorAll('.bot-browser-tab-content');
@@ -213,13 +319,81 @@ function navigateToSources() {
     setupRecentlyViewedCards(menu);
     setupCloseButton(menu);
     setupBottomButtons(menu);
+    renderSavedSearches();
+    renderNewForYou(menu);
 
     // Apply blur setting
     applyBlurSetting();
+    refreshSourceStatuses(menu);
 
     console.log('[Bot Browser] Navigated back to sources');
 }
 
+// Mark sources whose cached data is stale or missing (only relevant while offline)
+async function refreshSourceStatuses(menu) {
+    if (!isOfflineMode()) {
+        state.sourceStatuses = {};
+    } else {
+        const sourceNames = Array.from(menu.querySelectorAll('.bot-browser-source[data-source]'))
+            .map(button => button.dataset.source)
+            .filter(source => source !== 'all' && getProvider(source).staticIndex);
+
+        const statuses = {};
+        for (const sourceName of sourceNames) {
+            statuses[sourceName] = await getSourceCacheStatus(sourceName);
+        }
+        state.sourceStatuses = statuses;
+    }
+
+    menu.querySelectorAll('.bot-browser-source[data-source]').forEach(button => {
+        button.querySelector('.bot-browser-source-status')?.remove();
+        button.insertAdjacentHTML('beforeend', createSourceStatusBadge(state.sourceStatuses[button.dataset.source]));
+    });
+}
+
+// Import cards that were queued while offline
+async function importPendingCards() {
+    importStats = await processPendingImports(
+        extensionName,
+        extension_settings,
+        importStats,
+        getRequestHeaders,
+        processDroppedFiles
+    );
+}
+
+// Queue the cards selected in the browser for a batch import
+function importSelectedCards(event) {
+    const added = enqueueImports(event.detail.cards);
+    if (added === 0) {
+        toastr.info('Those cards are already in the import queue');
+    }
+    showImportQueuePanel();
+}
+
+// Download the cards selected in the browser as one zip
+async function downloadSelectedCards(event) {
+    const { cards, format } = event.detail;
+    toastr.info(`Preparing ${cards.length} card${cards.length !== 1 ? 's' : ''} as ${EXPORT_FORMATS[format].label}...`, 'Download');
+
+    try {
+        const { exported, failed } = await exportCardsAsZip(cards, format, extensionName, extension_settings, getRequestHeaders);
+        if (failed.length > 0) {
+            toastr.warning(`${failed.length} card${failed.length !== 1 ? 's' : ''} could not be exported: ${failed.map(f => f.card.name).join(', ')}`);
+        }
+        if (exported > 0) {
+            toastr.success(`Downloaded ${exported} card${exported !== 1 ? 's' : ''}`);
+        }
+    } catch (error) {
+        console.error('[Bot Browser] Zip download failed:', error);
+        toastr.error('Failed to build the zip: ' + error.message);
+    }
+}
+
+async function importQueuedCard(card) {
+    importStats = await importCardForQueue(card, extensionName, extension_settings, importStats, getRequestHeaders, processDroppedFiles);
+}
+
 // Setup tab switching
 function setupTabSwitching(menu) {
     const tabButtons = menu.querySelectorAll('.bot-browser-tab');
@@ -280,36 +454,147 @@ function setupSourceButtons(menu) {
         button.addEventListener('click', async () => {
             const sourceName = button.dataset.source;
             if (!sourceName) return;
+            await openSource(sourceName);
+        });
+    });
+}
 
-            console.log(`[Bot Browser] Loading source: ${sourceName}`);
+// Load a source's cards and show them in the browser, optionally with a saved search applied
+async function openSource(sourceName, savedSearch = null) {
+    console.log(`[Bot Browser] Loading source: ${sourceName}`);
 
-            try {
-                let cards = [];
-
-                if (sourceName === 'all') {
-                    toastr.info('Loading all cards...', '', { timeOut: 2000 });
-                    const serviceNames = ['anchorhold', 'catbox', 'character_tavern', 'chub', 'nyai_me', 'risuai_realm', 'webring', 'mlpchag', 'desuarchive'];
-
-                    for (const service of serviceNames) {
-                        const serviceCards = await loadServiceIndex(service);
-                        const cardsWithSource = serviceCards.map(card => ({
-                            ...card,
-                            sourceService: service
-                        }));
-                        cards = cards.concat(cardsWithSource);
-                    }
+    try {
+        let cards = [];
+
+        if (sourceName === 'all') {
+            toastr.info('Loading all cards...', '', { timeOut: 2000 });
+            const serviceNames = getCharacterSourceNames();
+            const failedServices = [];
 
-                    console.log(`[Bot Browser] Loaded ${cards.length} cards from all sources`);
-                } else {
-                    toastr.info(`Loading ${sourceName}...`, '', { timeOut: 2000 });
-                    cards = await loadServiceIndex(sourceName);
+            for (const service of serviceNames) {
+                let serviceCards = [];
+                try {
+                    serviceCards = await getProvider(service).list();
+                    if (getServiceLoadError(service)) {
+                        failedServices.push(service);
+                    }
+                } catch (error) {
+                    console.error(`[Bot Browser] Error loading ${service}:`, error);
+                    failedServices.push(service);
                 }
+                const cardsWithSource = serviceCards.map(card => ({
+                    ...card,
+                    sourceService: service
+                }));
+                cards = cards.concat(cardsWithSource);
+            }
 
-                createCardBrowser(sourceName, cards, state, extensionName, extension_settings, showCardDetailWrapper);
-            } catch (error) {
-                console.error('[Bot Browser] Error loading source:', error);
-                toastr.error(`Failed to load ${sourceName}`);
+            if (failedServices.length > 0) {
+                toastr.warning(`Could not load: ${failedServices.join(', ')}`, isOfflineMode() ? 'Not Cached' : 'Some Sources Failed');
             }
+
+            console.log(`[Bot Browser] Loaded ${cards.length} cards from all sources`);
+        } else {
+            toastr.info(`Loading ${sourceName}...`, '', { timeOut: 2000 });
+            const provider = getProvider(sourceName);
+            cards = await provider.list();
+            if (cards.length === 0 && provider.promptForCards) {
+                cards = await provider.promptForCards();
+            }
+
+            const loadError = getServiceLoadError(sourceName);
+            if (loadError) {
+                toastr.warning(loadError, `Could not load ${sourceName}`);
+            }
+        }
+
+        createCardBrowser(sourceName, cards, state, extensionName, extension_settings, showCardDetailWrapper, savedSearch);
+    } catch (error) {
+        console.error('[Bot Browser] Error loading source:', error);
+        toastr.error(`Failed to load ${sourceName}`);
+    }
+}
+
+function openSavedSearch(event) {
+    const { savedSearch } = event.detail;
+
+    // Visiting a watchlist counts as seeing what it found; it opens with the query and sort the watchlist
+    // ran, so on live sources the new cards are in the first results rather than somewhere past the default page
+    markNewCardsSeen({ searchId: savedSearch.id });
+    updateNewCardsBadge();
+
+    openSource(savedSearch.source, savedSearch.watch ? { ...savedSearch, sortBy: getWatchlistSort(savedSearch) } : savedSearch);
+}
+
+// Re-run due watchlists and update everything that shows their new cards
+async function refreshWatchlists() {
+    const added = await runWatchlists(extensionName, extension_settings);
+    updateNewCardsBadge();
+
+    const menu = document.getElementById('bot-browser-menu');
+    if (menu) {
+        renderSavedSearches(state.view === 'browser' ? state.currentService : null);
+        if (state.view === 'sources') {
+            renderNewForYou(menu);
+        }
+    }
+
+    if (added > 0) {
+        toastr.info(`${added} new card${added !== 1 ? 's' : ''} match your watchlists`, 'New for You');
+    }
+}
+
+// Count of unseen watchlist finds on the Bot Browser button
+function updateNewCardsBadge() {
+    const botButton = document.getElementById('rm_button_bot');
+    if (!botButton) return;
+
+    const count = getNewForYouCards().length;
+    let badge = botButton.querySelector('.bot-browser-new-badge');
+
+    if (count === 0) {
+        badge?.remove();
+        return;
+    }
+
+    if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'bot-browser-new-badge';
+        botButton.appendChild(badge);
+    }
+    badge.textContent = count > 99 ? '99+' : String(count);
+    badge.title = `${count} new card${count !== 1 ? 's' : ''} since your last visit`;
+}
+
+function renderNewForYou(menu) {
+    const container = menu.querySelector('.bot-browser-new-for-you');
+    if (!container) return;
+
+    const entries = getNewForYouCards();
+    container.innerHTML = createNewForYouHTML(entries);
+
+    container.querySelector('.bot-browser-new-for-you-clear')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        e.preventDefault();
+        markNewCardsSeen();
+        updateNewCardsBadge();
+        renderNewForYou(menu);
+        renderSavedSearches();
+    });
+
+    container.querySelectorAll('.bot-browser-recent-card').forEach(cardEl => {
+        cardEl.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+
+            const entry = entries.find(({ card }) => card.id === cardEl.dataset.cardId);
+            if (!entry) return;
+
+            markNewCardsSeen({ cardId: entry.card.id });
+            updateNewCardsBadge();
+            renderNewForYou(menu);
+            renderSavedSearches();
+            await showCardDetailWrapper(entry.card);
         });
     });
 }
@@ -346,6 +631,17 @@ function setupBottomButtons(menu) {
         });
     });
 
+    const updatesButtons = menu.querySelectorAll('.bot-browser-updates');
+    updatesButtons.forEach(updatesButton => {
+        updatesButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            showUpdatesModal(async (card) => {
+                importStats = await importCardToSillyTavern(card, extensionName, extension_settings, importStats, getRequestHeaders, processDroppedFiles, { duplicateAction: 'replace' });
+            });
+        });
+    });
+
     const randomButtons = menu.querySelectorAll('.bot-browser-random');
     randomButtons.forEach(randomButton => {
         randomButton.addEventListener('click', async (e) => {
@@ -358,7 +654,7 @@ function setupBottomButtons(menu) {
 
 // Play service roulette animation and select random card
 async function playServiceRoulette(menu) {
-    const serviceNames = ['risuai_realm', 'webring', 'nyai_me', 'chub', 'character_tavern', 'catbox', 'anchorhold', 'mlpchag', 'desuarchive'];
+    const serviceNames = getCharacterSourceNames();
     const serviceButtons = menu.querySelectorAll('.bot-browser-source[data-source]');
 
     // Filter out the "all" button and lorebook buttons
@@ -404,8 +700,8 @@ async function playServiceRoulette(menu) {
 
                     // Load a random card from the selected service
                     try {
-                        const cards = await loadServiceIndex(selectedService);
-                        const randomCard = await getRandomCard(selectedService, cards, loadServiceIndex);
+                        const cards = await getProvider(selectedService).list();
+                        const randomCard = await getRandomCard(selectedService, cards, (name) => getProvider(name).list());
 
                         if (randomCard) {
                             await showCardDetailWrapper(randomCard);
@@ -546,6 +842,99 @@ function showSettingsModal() {
                 </div>
             </div>
 
+            <div class="bot-browser-settings-section">
+                <h3>Importing</h3>
+
+                <label class="checkbox_label">
+                    <input type="checkbox" id="bb-setting-import-embedded-lorebooks" ${settings.importEmbeddedLorebooks ? 'checked' : ''}>
+                    <span>Import Embedded Lorebooks as Worlds</span>
+                </label>
+                <small style="color: rgba(255,255,255,0.6); display: block; margin-top: 5px; margin-left: 28px;">Cards always keep their embedded lorebook. With this on, the lorebook is also imported as a separate world and linked to the character.</small>
+
+                <div class="bot-browser-setting-group" style="margin-top: 15px;">
+                    <label for="bb-setting-duplicate-action">When a Card Is Already Imported:</label>
+                    <select id="bb-setting-duplicate-action" class="text_pole">
+                        <option value="ask" ${settings.duplicateAction === 'ask' ? 'selected' : ''}>Ask</option>
+                        <option value="skip" ${settings.duplicateAction === 'skip' ? 'selected' : ''}>Skip</option>
+                        <option value="copy" ${settings.duplicateAction === 'copy' ? 'selected' : ''}>Import as copy</option>
+                        <option value="replace" ${settings.duplicateAction === 'replace' ? 'selected' : ''}>Replace existing</option>
+                    </select>
+                    <small style="color: rgba(255,255,255,0.6);">Cards are matched against your characters by name, creator and their description and first message.</small>
+                </div>
+
+                <div class="bot-browser-setting-group" style="margin-top: 15px;">
+                    <label for="bb-setting-post-import-action">After Importing a Card:</label>
+                    <select id="bb-setting-post-import-action" class="text_pole">
+                        ${Object.entries(POST_IMPORT_ACTIONS).map(([value, label]) => `<option value="${value}" ${settings.postImportAction === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <small style="color: rgba(255,255,255,0.6);">Batch imports never switch chats; they still add cards to the open group.</small>
+                </div>
+
+                <label class="checkbox_label" style="margin-top: 15px;">
+                    <input type="checkbox" id="bb-setting-post-import-tags" ${settings.postImportAssignTags ? 'checked' : ''}>
+                    <span>Assign the Card's Tags as SillyTavern Tags</span>
+                </label>
+                <small style="color: rgba(255,255,255,0.6); display: block; margin-top: 5px; margin-left: 28px;">Tags that don't exist yet are created.</small>
+
+                <div class="bot-browser-setting-group" style="margin-top: 15px;">
+                    <label for="bb-setting-import-concurrency">Batch Imports at Once: <span id="bb-import-concurrency-value">${settings.importConcurrency}</span></label>
+                    <input type="range" id="bb-setting-import-concurrency" min="1" max="4" step="1" value="${settings.importConcurrency}" class="bot-browser-slider">
+                    <small style="color: rgba(255,255,255,0.6);">How many selected cards the import queue imports in parallel. Lower is gentler on the source sites.</small>
+                </div>
+            </div>
+
+            <div class="bot-browser-settings-section">
+                <h3>Data Cache</h3>
+
+                <div class="bot-browser-setting-group">
+                    <label for="bb-setting-cache-max-age">Refresh Cached Data After: <span id="bb-cache-max-age-value">${settings.cacheMaxAgeHours}h</span></label>
+                    <input type="range" id="bb-setting-cache-max-age" min="0" max="72" step="1" value="${settings.cacheMaxAgeHours}" class="bot-browser-slider">
+                    <small style="color: rgba(255,255,255,0.6);">Source indexes and card data are kept in your browser. Newer copies are served instantly, older ones are re-checked with the data URL. The last downloaded copy is used whenever no mirror is reachable. 0 = always re-check.</small>
+                </div>
+
+                <label class="checkbox_label">
+                    <input type="checkbox" id="bb-setting-offline-mode" ${settings.offlineMode ? 'checked' : ''}>
+                    <span>Offline Mode</span>
+                </label>
+                <small style="color: rgba(255,255,255,0.6); display: block; margin-top: 5px; margin-left: 28px;">Browse only cached data without contacting GitHub or Chub. Cards that haven't been cached are queued and imported once you're back online.${loadPendingImports().length > 0 ? ` <strong>${loadPendingImports().length} queued.</strong>` : ''}</small>
+
+                <div class="bot-browser-setting-group">
+                    <label for="bb-setting-data-url">Data URL:</label>
+                    <input type="text" id="bb-setting-data-url" class="text_pole" style="width: 100%;" placeholder="${DEFAULT_DATA_URL}" value="${escapeHTML(settings.dataUrl || '')}">
+                    <small style="color: rgba(255,255,255,0.6);">Base URL of an updated_cards mirror (the folder containing index/ and chunks/). Leave empty to use GitHub.</small>
+                </div>
+
+                <div class="bot-browser-setting-group">
+                    <label for="bb-setting-data-mirrors">Fallback Mirrors:</label>
+                    <textarea id="bb-setting-data-mirrors" class="text_pole" rows="3" style="width: 100%; resize: vertical; font-family: monospace; font-size: 0.9em;" placeholder="One URL per line, tried in order">${escapeHTML((settings.dataMirrors || []).join('\n'))}</textarea>
+                    <small style="color: rgba(255,255,255,0.6);">Used in order whenever the data URL fails or times out.</small>
+                    <div class="bot-browser-mirror-health" id="bb-mirror-health"></div>
+                    <button id="bb-check-mirrors" class="bot-browser-action-button">
+                        <i class="fa-solid fa-heart-pulse"></i> Check Mirrors
+                    </button>
+                </div>
+
+                <button id="bb-clear-data-cache" class="bot-browser-action-button">
+                    <i class="fa-solid fa-database"></i> Clear Cached Data
+                </button>
+            </div>
+
+            <div class="bot-browser-settings-section">
+                <h3>Local Collection</h3>
+
+                <small style="color: rgba(255,255,255,0.6); display: block;">Browse your own PNG, JSON and CharX cards (or zips of them) as the "Local Collection" source. Loading replaces the current collection. <strong id="bb-local-collection-count"></strong></small>
+
+                <button id="bb-load-local-folder" class="bot-browser-action-button">
+                    <i class="fa-solid fa-folder-open"></i> Load Folder
+                </button>
+                <button id="bb-load-local-files" class="bot-browser-action-button">
+                    <i class="fa-solid fa-file-zipper"></i> Load Files / Zip
+                </button>
+                <button id="bb-clear-local-collection" class="bot-browser-action-button">
+                    <i class="fa-solid fa-trash"></i> Clear Collection
+                </button>
+            </div>
+
             <div class="bot-browser-settings-section">
                 <h3><i class="fa-solid fa-fire"></i> Chub Live Sorting</h3>
 
@@ -555,10 +944,16 @@ function showSettingsModal() {
                         <strong>NSFW Content Enabled</strong><br>
                         When using Chub's live sorting options (🔥 Trending, 🕐 Recent, etc.), NSFW content is automatically included via the API.
                         <br><br>
-                        <strong>Note:</strong> Chub uses Google OAuth for login. API-level authentication is not currently supported, but NSFW content is requested directly via API parameters.
+                        <strong>Note:</strong> NSFW content is requested directly via API parameters, no login needed.
                     </small>
                 </div>
 
+                <div class="bot-browser-setting-group">
+                    <label for="bb-setting-chub-token">Chub API Token:</label>
+                    <input type="password" id="bb-setting-chub-token" class="text_pole" style="width: 100%;" autocomplete="off" placeholder="Paste your API key from chub.ai account settings" value="${escapeHTML(getChubToken() || '')}">
+                    <small style="color: rgba(255,255,255,0.6);">Adds "My Chub Favorites", "Creators I Follow" and "My Uploads" sources and a favorite button on Chub cards. The token is stored in this browser only.</small>
+                </div>
+
                 <div style="padding: 12px; background: rgba(255, 150, 50, 0.1); border: 1px solid rgba(255, 150, 50, 0.3); border-radius: 6px;">
                     <small style="color: rgba(255, 200, 100, 0.9); display: block; line-height: 1.5;">
                         <i class="fa-solid fa-info-circle" style="margin-right: 5px;"></i>
@@ -643,6 +1038,18 @@ function showSettingsModal() {
         cardsPerPageValue.textContent = e.target.value;
     });
 
+    const cacheMaxAgeSlider = document.getElementById('bb-setting-cache-max-age');
+    const cacheMaxAgeValue = document.getElementById('bb-cache-max-age-value');
+    cacheMaxAgeSlider.addEventListener('input', (e) => {
+        cacheMaxAgeValue.textContent = e.target.value + 'h';
+    });
+
+    const importConcurrencySlider = document.getElementById('bb-setting-import-concurrency');
+    const importConcurrencyValue = document.getElementById('bb-import-concurrency-value');
+    importConcurrencySlider.addEventListener('input', (e) => {
+        importConcurrencyValue.textContent = e.target.value;
+    });
+
     // Clear buttons
     document.getElementById('bb-clear-recent').addEventListener('click', () => {
         if (confirm('Clear all recently viewed cards?')) {
@@ -655,12 +1062,85 @@ function showSettingsModal() {
     document.getElementById('bb-clear-search').addEventListener('click', () => {
         if (confirm('Clear search history?')) {
             localStorage.removeItem('botBrowser_lastSearch');
-            state.filters = { search: '', tags: [], creator: '' };
+            state.filters = createEmptyFilters();
             state.sortBy = 'relevance';
             toastr.success('Search history cleared');
         }
     });
 
+    // Mirror health for whatever is currently typed in, so new mirrors can be tested before saving
+    const readDataUrlInputs = () => ({
+        dataUrl: document.getElementById('bb-setting-data-url').value.trim(),
+        dataMirrors: document.getElementById('bb-setting-data-mirrors').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+    });
+
+    const getEnteredDataUrls = () => {
+        const { dataUrl, dataMirrors } = readDataUrlInputs();
+        return [...new Set([dataUrl || DEFAULT_DATA_URL, ...dataMirrors].map(url => url.replace(/\/+$/, '')))];
+    };
+
+    const renderMirrorHealth = () => {
+        const container = document.getElementById('bb-mirror-health');
+        if (!container) return;
+        container.innerHTML = createMirrorHealthHTML(getEnteredDataUrls().map(url => ({ url, health: getMirrorHealth(url) })));
+    };
+
+    renderMirrorHealth();
+    document.getElementById('bb-setting-data-url').addEventListener('change', renderMirrorHealth);
+    document.getElementById('bb-setting-data-mirrors').addEventListener('change', renderMirrorHealth);
+
+    document.getElementById('bb-check-mirrors').addEventListener('click', async (e) => {
+        const button = e.currentTarget;
+        button.disabled = true;
+        for (const url of getEnteredDataUrls()) {
+            await checkMirrorHealth(url);
+            renderMirrorHealth();
+        }
+        button.disabled = false;
+    });
+
+    const updateLocalCollectionCount = async () => {
+        const count = (await getLocalCollectionCards()).length;
+        const countElement = document.getElementById('bb-local-collection-count');
+        if (countElement) {
+            countElement.textContent = count > 0 ? `${count} card${count !== 1 ? 's' : ''} loaded.` : '';
+        }
+    };
+    updateLocalCollectionCount();
+
+    const loadLocalCollection = async (directory) => {
+        try {
+            const result = await pickLocalCollection(directory);
+            if (!result) return;
+            toastr.success(`Loaded ${result.added} card${result.added !== 1 ? 's' : ''}${result.skipped > 0 ? ` (${result.skipped} files skipped)` : ''}`, 'Local Collection');
+            updateLocalCollectionCount();
+        } catch (error) {
+            console.error('[Bot Browser] Error loading local collection:', error);
+            toastr.error('Failed to load local collection: ' + error.message);
+        }
+    };
+
+    document.getElementById('bb-load-local-folder').addEventListener('click', () => loadLocalCollection(true));
+    document.getElementById('bb-load-local-files').addEventListener('click', () => loadLocalCollection(false));
+
+    document.getElementById('bb-clear-local-collection').addEventListener('click', async () => {
+        if (confirm('Remove all cards from the local collection?')) {
+            await clearLocalCollection();
+            updateLocalCollectionCount();
+            toastr.success('Local collection cleared');
+        }
+    });
+
+    document.getElementById('bb-clear-data-cache').addEventListener('click', async () => {
+        if (confirm('Clear all cached source data? Everything will be downloaded again on next use.')) {
+            await clearCachedData();
+            toastr.success('Cached data cleared');
+        }
+    });
+
     // Save button
     const saveButton = settingsModal.querySelector('.bot-browser-settings-save');
     saveButton.addEventListener('click', () => {
@@ -673,6 +1153,27 @@ function showSettingsModal() {
         settings.blurCards = document.getElementById('bb-setting-blur-cards').checked;
         settings.blurNsfw = document.getElementById('bb-setting-blur-nsfw').checked;
         settings.hideNsfw = document.getElementById('bb-setting-hide-nsfw').checked;
+        settings.importEmbeddedLorebooks = document.getElementById('bb-setting-import-embedded-lorebooks').checked;
+        settings.duplicateAction = document.getElementById('bb-setting-duplicate-action').value;
+        settings.postImportAction = document.getElementById('bb-setting-post-import-action').value;
+        settings.postImportAssignTags = document.getElementById('bb-setting-post-import-tags').checked;
+        settings.importConcurrency = parseInt(document.getElementById('bb-setting-import-concurrency').value);
+        setImportQueueConcurrency(settings.importConcurrency);
+        settings.cacheMaxAgeHours = parseInt(document.getElementById('bb-setting-cache-max-age').value);
+        setCacheMaxAge(settings.cacheMaxAgeHours);
+
+        const { dataUrl, dataMirrors } = readDataUrlInputs();
+        settings.dataUrl = dataUrl;
+        settings.dataMirrors = dataMirrors;
+        setDataSources(settings.dataUrl, settings.dataMirrors);
+
+        const hadChubToken = hasChubToken();
+        saveChubToken(document.getElementById('bb-setting-chub-token').value);
+        updateChubAccountProviders(hasChubToken());
+
+        const wasOffline = settings.offlineMode;
+        settings.offlineMode = document.getElementById('bb-setting-offline-mode').checked;
+        setOfflineMode(settings.offlineMode);
 
         // Parse tag blocklist from textarea (split by newlines, trim, filter empty)
         const blocklistText = document.getElementById('bb-setting-tag-blocklist').value;
@@ -695,6 +1196,12 @@ function showSettingsModal() {
 
         if (state.view === 'browser') {
             refreshCardGrid(state, extensionName, extension_settings, showCardDetailWrapper);
+        } else if (wasOffline !== settings.offlineMode || hadChubToken !== hasChubToken()) {
+            navigateToSources();
+        }
+
+        if (wasOffline && !settings.offlineMode) {
+            importPendingCards();
         }
     });
 
@@ -945,7 +1452,7 @@ function createBotBrowserMenu() {
 
     const menuContent = document.createElement('div');
     menuContent.className = 'bot-browser-content';
-    menuContent.innerHTML = getOriginalMenuHTML(state.recentlyViewed);
+    menuContent.innerHTML = getOriginalMenuHTML(state.recentlyViewed, getSources(), state.sourceStatuses, isOfflineMode());
 
     // Add bottom action buttons to each tab content
     const tabContents = menuContent.querySelectorAll('.bot-browser-tab-content');
@@ -1007,8 +1514,21 @@ function createBotBrowserMenu() {
     setupRecentlyViewedCards(menu);
     setupCloseButton(menu);
     setupBottomButtons(menu);
+    renderSavedSearches();
+    renderNewForYou(menu);
 
     applyBlurSetting();
+    refreshSourceStatuses(menu);
+    refreshWatchlists();
+
+    // Opened before master-index.json arrived - redraw the sources once it has
+    if (!isSourceRegistryLoaded()) {
+        loadSourceRegistry().then(() => {
+            if (state.view === 'sources' && isSourceRegistryLoaded()) {
+                navigateToSources();
+            }
+        });
+    }
 
     console.log('[Bot Browser] Menu created and displayed');
 }
@@ -1039,7 +1559,9 @@ function closeBotBrowserMenu() {
 async function cache() {
     if (!state.cacheInitialized) {
         state.cacheInitialized = true;
-        await initializeServiceCache(showCardDetailWrapper);
+        await loadSourceRegistry();
+        const indexedSources = getCharacterSourceNames().filter(name => getProvider(name).staticIndex);
+        await initializeServiceCache(showCardDetailWrapper, indexedSources);
     }
 }
 
@@ -1081,6 +1603,21 @@ function addBotButton() {
 // Listen for navigation events from browser.js
 window.addEventListener('bot-browser-navigate-sources', navigateToSources);
 window.addEventListener('bot-browser-close', closeBotBrowserMenu);
+window.addEventListener('bot-browser-import-selected', importSelectedCards);
+window.addEventListener('bot-browser-download-selected', downloadSelectedCards);
+window.addEventListener('bot-browser-open-saved-search', openSavedSearch);
+window.addEventListener('bot-browser-watchlists-changed', refreshWatchlists);
+
+setImportQueueRunner(importQueuedCard);
+
+// Import anything queued while the connection was down
+window.addEventListener('online', importPendingCards);
+
+// Public API for other extensions to add their own sources
+window.BotBrowser = {
+    registerSourceProvider,
+    unregisterSourceProvider
+};
 
 // Initialize extension
 jQuery(async () => {
@@ -1093,6 +1630,11 @@ jQuery(async () => {
     state.recentlyViewed = loadRecentlyViewed(extensionName, extension_settings);
 
     addBotButton();
+    updateNewCardsBadge();
+
+    if (!isOfflineMode()) {
+        importPendingCards();
+    }
 
     console.log('[Bot Browser] Extension loaded successfully!');
 
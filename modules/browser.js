@@ -1,14 +1,25 @@
-import { Fuse } from '../../../../../lib.js';
-import { debounce, escapeHTML } from './utils/utils.js';
-import { createBrowserHeader, createCardGrid, createCardHTML, createBottomActions } from './templates/templates.js';
-import { getAllTags, getAllCreators, filterCards, sortCards, deduplicateCards, validateCardImages, isApiLevelSort } from './services/cards.js';
+import { debounce, escapeHTML, isDisplayableImageUrl } from './utils/utils.js';
+import { createBrowserHeader, createCardGrid, createCardHTML, createBottomActions, createSelectionBarHTML, createSavedSearchChipsHTML } from './templates/templates.js';
+import { getAllTags, getAllCreators, createEmptyFilters, normalizeFilters, createCardFuse, filterCards, sortCards, deduplicateCards, validateCardImages, isApiLevelSort } from './services/cards.js';
 import { loadPersistentSearch, savePersistentSearch, loadSearchCollapsed, saveSearchCollapsed } from './storage/storage.js';
-import { fetchChubCards, isChubApiSort } from './services/chubApi.js';
-
-export function createCardBrowser(serviceName, cards, state, extensionName, extension_settings, showCardDetailFunc) {
+import { isOfflineMode } from './services/cache.js';
+import { getSourceDisplayName } from './services/sourceRegistry.js';
+import { getProvider } from './providers/providers.js';
+import { isCardAlreadyImported } from './services/duplicates.js';
+import { parseSearchQuery, getQuerySuggestions, getUnsupportedTerms } from './services/searchQuery.js';
+import { getSavedSearches, getSavedSearch, addSavedSearch, removeSavedSearch, setSavedSearchWatched } from './services/savedSearches.js';
+import { getNewCardCounts, isWatchlistTooBroad } from './services/watchlists.js';
+
+/**
+ * @param {Object|null} [savedSearch] - Saved search to open the source with, instead of the last search
+ */
+export function createCardBrowser(serviceName, cards, state, extensionName, extension_settings, showCardDetailFunc, savedSearch = null) {
     console.log('[Bot Browser DEBUG v2] createCardBrowser START - serviceName:', serviceName);
     state.view = 'browser';
     state.currentService = serviceName;
+    state.apiPaging = null;
+    state.serverFilters = {};
+    state.selectedCards = new Map();
 
     // Deduplicate cards before storing, and preserve or add the source service name
     const cardsWithSource = cards.map(card => ({
@@ -17,31 +28,22 @@ export function createCardBrowser(serviceName, cards, state, extensionName, exte
     }));
     state.currentCards = deduplicateCards(cardsWithSource);
 
-    // Load persistent search for this service if this is the first time opening
-    if (!state.filters.search && !state.filters.tags.length && !state.filters.creator) {
-        const savedSearch = loadPersistentSearch(extensionName, extension_settings, serviceName);
-        if (savedSearch) {
-            state.filters = savedSearch.filters || { search: '', tags: [], creator: '' };
-            state.sortBy = savedSearch.sortBy || extension_settings[extensionName].defaultSortBy || 'relevance';
+    if (savedSearch) {
+        state.filters = normalizeFilters(structuredClone(savedSearch.filters));
+        state.sortBy = savedSearch.sortBy || 'relevance';
+        state.serverFilters = structuredClone(savedSearch.serverFilters || {});
+        savePersistentSearch(extensionName, extension_settings, serviceName, state.filters, state.sortBy);
+    } else if (!state.filters.search && !state.filters.tags.length && !state.filters.excludedTags.length && !state.filters.creators.length) {
+        // Load persistent search for this service if this is the first time opening
+        const lastSearch = loadPersistentSearch(extensionName, extension_settings, serviceName);
+        if (lastSearch) {
+            state.filters = normalizeFilters(lastSearch.filters);
+            state.sortBy = lastSearch.sortBy || extension_settings[extensionName].defaultSortBy || 'relevance';
         }
     }
 
     // Initialize Fuse.js for fuzzy search
-    const fuseOptions = {
-        keys: [
-            { name: 'name', weight: 3 },
-            { name: 'creator', weight: 2 },
-            { name: 'desc_search', weight: 1.5 },
-            { name: 'desc_preview', weight: 1 },
-            { name: 'tags', weight: 1.5 }
-        ],
-        threshold: extension_settings[extensionName].fuzzySearchThreshold || 0.4,
-        distance: 100,
-        minMatchCharLength: 2,
-        ignoreLocation: true,
-        useExtendedSearch: true
-    };
-    state.fuse = new Fuse(state.currentCards, fuseOptions);
+    state.fuse = createCardFuse(state.currentCards, extensionName, extension_settings);
 
     const menu = document.getElementById('bot-browser-menu');
     if (!menu) return;
@@ -56,7 +58,7 @@ export function createCardBrowser(serviceName, cards, state, extensionName, exte
 
     const cardsWithImages = sortedCards.filter(card => {
         const imageUrl = card.avatar_url || card.image_url;
-        return imageUrl && imageUrl.trim().length > 0 && (imageUrl.startsWith('http://') || imageUrl.startsWith('https://'));
+        return isDisplayableImageUrl(imageUrl);
     });
 
     // Store filtered cards for pagination
@@ -64,9 +66,7 @@ export function createCardBrowser(serviceName, cards, state, extensionName, exte
     state.currentPage = 1;
     state.totalPages = Math.ceil(cardsWithImages.length / (extension_settings[extensionName].cardsPerPage || 200));
 
-    const serviceDisplayName = serviceName === 'all' ? 'All Sources' :
-        serviceName === 'anchorhold' ? '4chan - /aicg/' :
-            serviceName.split('_').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+    const serviceDisplayName = getSourceDisplayName(serviceName);
 
     // Load collapsed state before creating HTML to prevent animation
     const searchCollapsed = loadSearchCollapsed();
@@ -76,20 +76,81 @@ export function createCardBrowser(serviceName, cards, state, extensionName, exte
     const hideNsfw = extension_settings[extensionName].hideNsfw || false;
     const nsfwText = hideNsfw ? ' (after hiding NSFW)' : '';
     const cardCountText = `${cardsWithImages.length} card${cardsWithImages.length !== 1 ? 's' : ''} found${nsfwText}`;
-    const isChubSource = serviceName === 'chub';
-    console.log('[Bot Browser] Creating browser header - serviceName:', serviceName, 'isChubSource:', isChubSource, 'currentSort:', state.sortBy);
-    menuContent.innerHTML = createBrowserHeader(serviceDisplayName, state.filters.search, cardCountText, searchCollapsed, hideNsfw, isChubSource, state.sortBy);
+    const liveProvider = getLiveProvider(serviceName);
+    const apiSortOptions = liveProvider?.sortOptions || [];
+    console.log('[Bot Browser] Creating browser header - serviceName:', serviceName, 'apiSorts:', apiSortOptions.length, 'currentSort:', state.sortBy);
+    menuContent.innerHTML = createBrowserHeader(serviceDisplayName, state.filters.search, cardCountText, searchCollapsed, hideNsfw, apiSortOptions, state.sortBy, liveProvider ? serviceDisplayName : '', liveProvider?.filterFields || [], state.serverFilters);
 
     // Update filter dropdowns
     updateFilterDropdowns(menuContent, allTags, allCreators, state);
 
     // Render first page
     renderPage(state, menuContent, showCardDetailFunc, extensionName, extension_settings);
+    renderSavedSearches(serviceName);
 
     // Add event listeners
     setupBrowserEventListeners(menuContent, state, extensionName, extension_settings, showCardDetailFunc);
 
-    console.log('[Bot Browser v2.1] Card browser created with', sortedCards.length, 'cards, isChubSource=', serviceName === 'chub');
+    // A saved search on a live source is asked of the API again, the way typing it would, not just filtered locally
+    if (savedSearch && liveProvider && needsProviderQuery(liveProvider, state)) {
+        queryProvider(liveProvider, state, extensionName, extension_settings, showCardDetailFunc);
+    }
+
+    console.log('[Bot Browser v2.1] Card browser created with', sortedCards.length, 'cards, live provider:', !!liveProvider);
+}
+
+// Provider of a source with server-side search or sorting, unless we are offline
+function getLiveProvider(serviceName) {
+    const provider = getProvider(serviceName);
+    if (!provider || isOfflineMode()) return null;
+    return (provider.search || provider.sort) ? provider : null;
+}
+
+// Label of the selected sort, read from the options the header rendered for this source
+function getSortLabel(sortFilterContainer, sortBy) {
+    const option = Array.from(sortFilterContainer.querySelectorAll('.bot-browser-multi-select-option'))
+        .find(opt => opt.dataset.value === sortBy);
+    return option?.querySelector('span')?.textContent || 'Relevance';
+}
+
+function hasTagFilter(filters) {
+    return filters.tags.length > 0 || filters.excludedTags.length > 0;
+}
+
+function getTagOptionClass(filters, tag) {
+    if (filters.tags.includes(tag)) return 'selected';
+    if (filters.excludedTags.includes(tag)) return 'excluded';
+    return '';
+}
+
+// Trigger text of the tag dropdown, e.g. "fantasy OR sci-fi, not horror"
+function getTagFilterLabel(filters) {
+    if (!hasTagFilter(filters)) return 'All Tags';
+
+    const parts = [];
+    if (filters.tags.length === 1) {
+        parts.push(filters.tags[0]);
+    } else if (filters.tags.length > 1) {
+        parts.push(`${filters.tags.length} Tags (${filters.tagMode === 'any' ? 'any' : 'all'})`);
+    }
+    if (filters.excludedTags.length === 1) {
+        parts.push(`not ${filters.excludedTags[0]}`);
+    } else if (filters.excludedTags.length > 1) {
+        parts.push(`${filters.excludedTags.length} excluded`);
+    }
+    return parts.join(', ');
+}
+
+function getCreatorFilterLabel(filters) {
+    if (filters.creators.length === 0) return 'All Creators';
+    if (filters.creators.length === 1) return filters.creators[0];
+    return `${filters.creators.length} Creators Selected`;
+}
+
+function updateTagModeButtons(tagFilterContainer, filters) {
+    tagFilterContainer.querySelectorAll('[data-tag-mode]').forEach(button => {
+        button.classList.toggle('active', button.dataset.tagMode === (filters.tagMode || 'all'));
+    });
 }
 
 // Update filter dropdowns
@@ -105,29 +166,23 @@ function updateFilterDropdowns(menuContent, allTags, allCreators, state) {
 
     // Add "All Tags" option (clear all)
     const allTagsOption = document.createElement('div');
-    allTagsOption.className = `bot-browser-multi-select-option ${state.filters.tags.length === 0 ? 'selected' : ''}`;
+    allTagsOption.className = `bot-browser-multi-select-option ${!hasTagFilter(state.filters) ? 'selected' : ''}`;
     allTagsOption.dataset.value = '';
     allTagsOption.innerHTML = `<i class="fa-solid fa-check"></i> <span>All Tags</span>`;
     tagOptionsContainer.appendChild(allTagsOption);
 
     // Add tag options
     allTags.forEach(tag => {
-        const isSelected = state.filters.tags.includes(tag);
         const option = document.createElement('div');
-        option.className = `bot-browser-multi-select-option ${isSelected ? 'selected' : ''}`;
+        option.className = `bot-browser-multi-select-option ${getTagOptionClass(state.filters, tag)}`;
         option.dataset.value = tag;
-        option.innerHTML = `<i class="fa-solid fa-check"></i> <span>${escapeHTML(tag)}</span>`;
+        option.innerHTML = `<i class="fa-solid fa-check"></i><i class="fa-solid fa-ban"></i> <span>${escapeHTML(tag)}</span>`;
         tagOptionsContainer.appendChild(option);
     });
 
     // Update trigger text
-    if (state.filters.tags.length === 0) {
-        tagTriggerText.textContent = 'All Tags';
-    } else if (state.filters.tags.length === 1) {
-        tagTriggerText.textContent = state.filters.tags[0];
-    } else {
-        tagTriggerText.textContent = `${state.filters.tags.length} Tags Selected`;
-    }
+    tagTriggerText.textContent = getTagFilterLabel(state.filters);
+    updateTagModeButtons(tagFilterContainer, state.filters);
 
     // Populate creators (Custom Multi-Select)
     const creatorFilterContainer = menuContent.querySelector('#bot-browser-creator-filter');
@@ -139,14 +194,14 @@ function updateFilterDropdowns(menuContent, allTags, allCreators, state) {
 
     // Add "All Creators" option (clear all)
     const allCreatorsOption = document.createElement('div');
-    allCreatorsOption.className = `bot-browser-multi-select-option ${!state.filters.creator ? 'selected' : ''}`;
+    allCreatorsOption.className = `bot-browser-multi-select-option ${state.filters.creators.length === 0 ? 'selected' : ''}`;
     allCreatorsOption.dataset.value = '';
     allCreatorsOption.innerHTML = `<i class="fa-solid fa-check"></i> <span>All Creators</span>`;
     creatorOptionsContainer.appendChild(allCreatorsOption);
 
     // Add creator options
     allCreators.forEach(creator => {
-        const isSelected = state.filters.creator === creator;
+        const isSelected = state.filters.creators.includes(creator);
         const option = document.createElement('div');
         option.className = `bot-browser-multi-select-option ${isSelected ? 'selected' : ''}`;
         option.dataset.value = creator;
@@ -155,11 +210,7 @@ function updateFilterDropdowns(menuContent, allTags, allCreators, state) {
     });
 
     // Update trigger text
-    if (!state.filters.creator) {
-        creatorTriggerText.textContent = 'All Creators';
-    } else {
-        creatorTriggerText.textContent = state.filters.creator;
-    }
+    creatorTriggerText.textContent = getCreatorFilterLabel(state.filters);
 
     // Update sort filter initial state
     const sortFilterContainer = menuContent.querySelector('#bot-browser-sort-filter');
@@ -167,16 +218,8 @@ function updateFilterDropdowns(menuContent, allTags, allCreators, state) {
         const sortTriggerText = sortFilterContainer.querySelector('.selected-text');
         const sortOptions = sortFilterContainer.querySelectorAll('.bot-browser-multi-select-option');
 
-        const sortLabels = {
-            'relevance': 'Relevance',
-            'name_asc': 'Name (A-Z)',
-            'name_desc': 'Name (Z-A)',
-            'creator_asc': 'Creator (A-Z)',
-            'creator_desc': 'Creator (Z-A)'
-        };
-
         if (sortTriggerText) {
-            sortTriggerText.textContent = sortLabels[state.sortBy] || 'Relevance';
+            sortTriggerText.textContent = getSortLabel(sortFilterContainer, state.sortBy);
         }
 
         sortOptions.forEach(option => {
@@ -191,8 +234,10 @@ function updateFilterDropdowns(menuContent, allTags, allCreators, state) {
 
     // Filter out tags that don't exist in the current service (cleanup)
     const validTags = state.filters.tags.filter(tag => allTags.includes(tag));
-    if (validTags.length !== state.filters.tags.length) {
+    const validExcludedTags = state.filters.excludedTags.filter(tag => allTags.includes(tag));
+    if (validTags.length !== state.filters.tags.length || validExcludedTags.length !== state.filters.excludedTags.length) {
         state.filters.tags = validTags;
+        state.filters.excludedTags = validExcludedTags;
         // Re-run update to fix UI if tags were removed
         updateFilterDropdowns(menuContent, allTags, allCreators, state);
     }
@@ -242,14 +287,22 @@ function setupBrowserEventListeners(menuContent, state, extensionName, extension
         state.filters.search = e.target.value;
         savePersistentSearch(extensionName, extension_settings, state.currentService, state.filters, state.sortBy);
         
-        // For Chub, use API search when query is present and using an API-level sort
-        if (state.currentService === 'chub' && state.filters.search.length >= 2) {
-            await handleChubApiSearch(state, state.filters.search, extensionName, extension_settings, showCardDetailFunc);
+        // Sources with server-side search get the free text sent to their API, operators are applied locally
+        const liveProvider = getLiveProvider(state.currentService);
+        const searchText = parseSearchQuery(state.filters.search).text;
+        if (liveProvider?.search && searchText.length >= 2) {
+            await handleProviderSearch(liveProvider, state, searchText, extensionName, extension_settings, showCardDetailFunc);
         } else {
+            // Stop paging through results of a query that is no longer in the search box
+            if (state.apiPaging?.options.search) {
+                state.apiPaging = null;
+            }
             refreshCardGrid(state, extensionName, extension_settings, showCardDetailFunc);
         }
     }, 500));
 
+    setupSearchAutocomplete(menuContent, searchInput, state);
+
     // Custom Tag Filter Logic
     setupCustomDropdown(
         menuContent.querySelector('#bot-browser-tag-filter'),
@@ -280,9 +333,20 @@ function setupBrowserEventListeners(menuContent, state, extensionName, extension
         showCardDetailFunc
     );
 
+    menuContent.querySelector('.bot-browser-save-search').addEventListener('click', (e) => {
+        e.stopPropagation();
+        const defaultName = parseSearchQuery(state.filters.search).text || getSourceDisplayName(state.currentService);
+        const name = prompt('Name for this search:', defaultName)?.trim();
+        if (!name) return;
+
+        addSavedSearch(name, state.currentService, state.filters, state.sortBy, state.serverFilters);
+        renderSavedSearches(state.currentService);
+        toastr.success(`Saved search "${escapeHTML(name)}"`);
+    });
+
     const clearButton = menuContent.querySelector('.bot-browser-clear-filters');
     clearButton.addEventListener('click', () => {
-        state.filters = { search: '', tags: [], creator: '' };
+        state.filters = createEmptyFilters();
         state.sortBy = 'relevance';
         searchInput.value = '';
 
@@ -298,9 +362,38 @@ function setupBrowserEventListeners(menuContent, state, extensionName, extension
         const sortTriggerText = menuContent.querySelector('#bot-browser-sort-filter .selected-text');
         if (sortTriggerText) sortTriggerText.textContent = 'Relevance';
 
+        // Reset server-side filters
+        state.serverFilters = {};
+        menuContent.querySelectorAll('[data-filter-key]').forEach(input => {
+            if (input.dataset.filterType === 'checkbox') {
+                input.checked = false;
+            } else {
+                input.value = '';
+            }
+        });
+
         savePersistentSearch(extensionName, extension_settings, state.currentService, state.filters, state.sortBy);
-        refreshCardGrid(state, extensionName, extension_settings, showCardDetailFunc);
+
+        // A live source may be showing API results for the old query, so fetch its default listing again
+        const liveProvider = getLiveProvider(state.currentService);
+        if (liveProvider) {
+            queryProvider(liveProvider, state, extensionName, extension_settings, showCardDetailFunc);
+        } else {
+            refreshCardGrid(state, extensionName, extension_settings, showCardDetailFunc);
+        }
     });
+
+    // Server-side filters re-run the query against the provider's API
+    menuContent.querySelectorAll('[data-filter-key]').forEach(input => {
+        input.addEventListener('change', () => {
+            state.serverFilters = readServerFilters(menuContent);
+            const liveProvider = getLiveProvider(state.currentService);
+            if (liveProvider) {
+                queryProvider(liveProvider, state, extensionName, extension_settings, showCardDetailFunc);
+            }
+        });
+    });
+
     // Toggle search section
     const toggleSearchButton = menuContent.querySelector('.bot-browser-toggle-search');
     const searchSection = document.getElementById('bot-browser-search-section');
@@ -326,6 +419,158 @@ function setupBrowserEventListeners(menuContent, state, extensionName, extension
     });
 }
 
+/**
+ * Fill the saved search chips of the sources screen or the browser header.
+ * Opening a chip is left to index.js through the 'bot-browser-open-saved-search' event,
+ * watch changes are announced with 'bot-browser-watchlists-changed'.
+ * @param {string|null} currentSource - Source open in the browser, null on the sources screen
+ */
+export function renderSavedSearches(currentSource = null) {
+    const container = document.querySelector('#bot-browser-menu .bot-browser-saved-searches');
+    if (!container) return;
+
+    const savedSearches = getSavedSearches();
+    const tooBroadIds = new Set(savedSearches.filter(search => search.watch && isWatchlistTooBroad(search.id)).map(search => search.id));
+    container.innerHTML = createSavedSearchChipsHTML(savedSearches, currentSource, getNewCardCounts(), tooBroadIds);
+    container.style.display = savedSearches.length > 0 ? '' : 'none';
+
+    if (container.dataset.bound) return;
+    container.dataset.bound = 'true';
+
+    container.addEventListener('click', (e) => {
+        const chip = e.target.closest('.bot-browser-saved-search-chip');
+        if (!chip) return;
+        e.stopPropagation();
+        e.preventDefault();
+
+        if (e.target.closest('.bot-browser-saved-search-remove')) {
+            removeSavedSearch(chip.dataset.searchId);
+            renderSavedSearches(currentSource);
+            window.dispatchEvent(new CustomEvent('bot-browser-watchlists-changed'));
+            return;
+        }
+
+        if (e.target.closest('.bot-browser-saved-search-watch')) {
+            const savedSearch = getSavedSearch(chip.dataset.searchId);
+            const updated = setSavedSearchWatched(savedSearch.id, !savedSearch.watch);
+            renderSavedSearches(currentSource);
+            if (updated.watch) {
+                toastr.info(`New cards matching "${escapeHTML(updated.name)}" will show up under New for You`, 'Watching');
+            }
+            window.dispatchEvent(new CustomEvent('bot-browser-watchlists-changed'));
+            return;
+        }
+
+        const savedSearch = getSavedSearch(chip.dataset.searchId);
+        if (savedSearch) {
+            window.dispatchEvent(new CustomEvent('bot-browser-open-saved-search', { detail: { savedSearch } }));
+        }
+    });
+}
+
+// Tags and creators of the loaded cards for autocomplete, recomputed only when the cards change
+function getQueryValues(state) {
+    if (state.queryValues?.cards !== state.currentCards) {
+        state.queryValues = {
+            cards: state.currentCards,
+            tags: getAllTags(state.currentCards),
+            creators: getAllCreators(state.currentCards)
+        };
+    }
+    return state.queryValues;
+}
+
+// Suggestions under the search box for operator names and tag:/creator: values
+function setupSearchAutocomplete(menuContent, searchInput, state) {
+    const list = menuContent.querySelector('.bot-browser-search-suggestions');
+    if (!list) return;
+
+    let suggestions = null;
+    let activeIndex = 0;
+
+    const hide = () => {
+        suggestions = null;
+        list.classList.remove('open');
+        list.innerHTML = '';
+    };
+
+    const render = () => {
+        list.innerHTML = suggestions.items.map((item, index) => `
+            <div class="bot-browser-multi-select-option${index === activeIndex ? ' selected' : ''}" data-index="${index}">
+                <span>${escapeHTML(item.label)}</span>
+            </div>
+        `).join('');
+        list.classList.add('open');
+    };
+
+    const update = () => {
+        suggestions = getQuerySuggestions(searchInput.value, searchInput.selectionStart ?? searchInput.value.length, getQueryValues(state));
+        activeIndex = 0;
+        if (suggestions) render();
+        else hide();
+    };
+
+    const apply = (index) => {
+        const item = suggestions.items[index];
+        const value = searchInput.value;
+        searchInput.value = value.slice(0, suggestions.start) + item.insert + value.slice(suggestions.end);
+        const caret = suggestions.start + item.insert.length;
+        searchInput.setSelectionRange(caret, caret);
+        searchInput.focus();
+        hide();
+
+        // Field names wait for a value, finished operators run the search
+        if (item.insert.endsWith(' ')) {
+            searchInput.dispatchEvent(new Event('input'));
+        } else {
+            update();
+        }
+    };
+
+    searchInput.addEventListener('input', (e) => {
+        // Our own dispatch after picking a suggestion
+        if (!e.isTrusted) return;
+        update();
+    });
+
+    searchInput.addEventListener('keydown', (e) => {
+        if (!suggestions) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const count = suggestions.items.length;
+            activeIndex = (activeIndex + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+            render();
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            apply(activeIndex);
+        } else if (e.key === 'Escape') {
+            e.stopPropagation();
+            hide();
+        }
+    });
+
+    searchInput.addEventListener('blur', () => {
+        // Let a click on a suggestion land first
+        setTimeout(() => {
+            if (document.activeElement !== searchInput) hide();
+        }, 150);
+    });
+
+    list.addEventListener('mousedown', (e) => {
+        // Keep the focus in the search box
+        e.preventDefault();
+    });
+
+    list.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const option = e.target.closest('[data-index]');
+        if (option && suggestions) {
+            apply(parseInt(option.dataset.index));
+        }
+    });
+}
+
 function setupCustomDropdown(container, state, filterType, extensionName, extension_settings, showCardDetailFunc) {
     if (!container) return;
 
@@ -380,6 +625,18 @@ function setupCustomDropdown(container, state, filterType, extensionName, extens
         });
     }
 
+    // All/any switch of the tag filter
+    container.querySelectorAll('[data-tag-mode]').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (state.filters.tagMode === button.dataset.tagMode) return;
+
+            state.filters.tagMode = button.dataset.tagMode;
+            savePersistentSearch(extensionName, extension_settings, state.currentService, state.filters, state.sortBy);
+            refreshCardGrid(state, extensionName, extension_settings, showCardDetailFunc);
+        });
+    });
+
     // Option Selection
     optionsContainer.addEventListener('click', (e) => {
         e.stopPropagation();
@@ -392,13 +649,16 @@ function setupCustomDropdown(container, state, filterType, extensionName, extens
             if (value === '') {
                 // Clear all tags
                 state.filters.tags = [];
+                state.filters.excludedTags = [];
+            } else if (state.filters.tags.includes(value)) {
+                // Included -> excluded
+                state.filters.tags = state.filters.tags.filter(t => t !== value);
+                state.filters.excludedTags.push(value);
+            } else if (state.filters.excludedTags.includes(value)) {
+                // Excluded -> not filtered
+                state.filters.excludedTags = state.filters.excludedTags.filter(t => t !== value);
             } else {
-                // Toggle tag selection
-                if (state.filters.tags.includes(value)) {
-                    state.filters.tags = state.filters.tags.filter(t => t !== value);
-                } else {
-                    state.filters.tags.push(value);
-                }
+                state.filters.tags.push(value);
             }
 
             // Save and refresh
@@ -408,14 +668,19 @@ function setupCustomDropdown(container, state, filterType, extensionName, extens
             // Keep dropdown open for multi-select
             // The updateFilterUI function will handle updating the selected states
         } else if (filterType === 'creator') {
-            state.filters.creator = value;
+            if (value === '') {
+                state.filters.creators = [];
+            } else if (state.filters.creators.includes(value)) {
+                state.filters.creators = state.filters.creators.filter(c => c !== value);
+            } else {
+                state.filters.creators.push(value);
+            }
 
             // Save and refresh
             savePersistentSearch(extensionName, extension_settings, state.currentService, state.filters, state.sortBy);
             refreshCardGrid(state, extensionName, extension_settings, showCardDetailFunc);
 
-            // Close dropdown for single select
-            dropdown.classList.remove('open');
+            // Keep dropdown open for multi-select
         } else if (filterType === 'sort') {
             state.sortBy = value;
 
@@ -425,10 +690,11 @@ function setupCustomDropdown(container, state, filterType, extensionName, extens
             // Close dropdown for single select
             dropdown.classList.remove('open');
 
-            // Check if this is a Chub API sort that needs to refetch data
-            if (state.currentService === 'chub' && isChubApiSort(value)) {
-                console.log('[Bot Browser] Fetching Chub cards with API sort:', value);
-                handleChubApiSort(state, value, extensionName, extension_settings, showCardDetailFunc);
+            // Check if this is a provider API sort that needs to refetch data
+            const liveProvider = getLiveProvider(state.currentService);
+            if (liveProvider?.sort && isProviderSort(liveProvider, value)) {
+                console.log(`[Bot Browser] Fetching ${liveProvider.name} cards with API sort:`, value);
+                handleProviderSort(liveProvider, state, value, extensionName, extension_settings, showCardDetailFunc);
             } else {
                 // Regular local sort
                 refreshCardGrid(state, extensionName, extension_settings, showCardDetailFunc);
@@ -440,90 +706,187 @@ function setupCustomDropdown(container, state, filterType, extensionName, extens
 
 
 
-// Handle Chub API search - sends query directly to Chub API
-async function handleChubApiSearch(state, searchQuery, extensionName, extension_settings, showCardDetailFunc) {
+function isProviderSort(provider, sortBy) {
+    return (provider.sortOptions || []).some(option => option.value === sortBy);
+}
+
+// Whether the state asks for more than the provider's default listing: a search, an API sort or server filters
+function needsProviderQuery(provider, state) {
+    return (!!provider.search && parseSearchQuery(state.filters.search).text.length >= 2)
+        || (!!provider.sort && (isProviderSort(provider, state.sortBy) || Object.keys(state.serverFilters).length > 0));
+}
+
+// Fetch the current query from the provider's API: the search text when there is one, otherwise the API sort
+function queryProvider(provider, state, extensionName, extension_settings, showCardDetailFunc) {
+    const searchText = parseSearchQuery(state.filters.search).text;
+    if (provider.search && searchText.length >= 2) {
+        return handleProviderSearch(provider, state, searchText, extensionName, extension_settings, showCardDetailFunc);
+    }
+    if (provider.sort) {
+        const sortBy = isProviderSort(provider, state.sortBy) ? state.sortBy : 'default';
+        return handleProviderSort(provider, state, sortBy, extensionName, extension_settings, showCardDetailFunc);
+    }
+}
+
+// Current values of the server-side filter inputs; empty fields are left out
+function readServerFilters(menuContent) {
+    const filters = {};
+
+    menuContent.querySelectorAll('[data-filter-key]').forEach(input => {
+        const key = input.dataset.filterKey;
+        switch (input.dataset.filterType) {
+            case 'checkbox':
+                if (input.checked) filters[key] = true;
+                break;
+            case 'number': {
+                const value = parseInt(input.value);
+                if (value > 0) filters[key] = value;
+                break;
+            }
+            case 'tags': {
+                const tags = input.value.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+                if (tags.length > 0) filters[key] = tags;
+                break;
+            }
+            default:
+                if (input.value) filters[key] = input.value;
+        }
+    });
+
+    return filters;
+}
+
+// The user may have left the source while an API request was running
+function isShowingProvider(state, provider) {
+    return state.view === 'browser' && state.currentService === provider.name;
+}
+
+function rebuildFuseIndex(state, extensionName, extension_settings) {
+    state.fuse = createCardFuse(state.currentCards, extensionName, extension_settings);
+}
+
+// Paging state for cards that came from a provider's API; options are passed back to paginate()
+function createApiPaging(provider, result, options) {
+    return {
+        providerName: provider.name,
+        cursor: provider.paginate ? (result.cursor || null) : null,
+        total: result.count || result.cards.length,
+        options,
+        loading: false
+    };
+}
+
+// Fetch the next API page when the user asks for more on the last local page, and append it
+async function loadNextApiPage(state, menuContent, showCardDetailFunc, extensionName, extension_settings) {
+    const paging = state.apiPaging;
+    if (!paging || !paging.cursor || paging.loading) return;
+
+    const provider = getProvider(paging.providerName);
+    paging.loading = true;
+
+    const gridContainer = menuContent.querySelector('.bot-browser-card-grid');
+    if (gridContainer) {
+        gridContainer.insertAdjacentHTML('beforeend', '<div class="bot-browser-loading bot-browser-loading-more"><i class="fa-solid fa-spinner fa-spin"></i> Loading more...</div>');
+    }
+
+    let result;
+    try {
+        result = await provider.paginate(paging.cursor, paging.options);
+    } catch (error) {
+        console.error(`[Bot Browser] Error loading more cards from ${provider.name} API:`, error);
+        toastr.error(`Failed to load more cards from ${getSourceDisplayName(provider.name)}.`);
+        paging.cursor = null;
+        menuContent.querySelector('.bot-browser-loading-more')?.remove();
+        return;
+    } finally {
+        paging.loading = false;
+    }
+
+    // Sort, search or source changed while we were waiting
+    if (state.apiPaging !== paging || !isShowingProvider(state, provider)) return;
+
+    paging.cursor = result.cursor || null;
+    if (result.count) paging.total = result.count;
+
+    const newCards = result.cards.map(card => ({
+        ...card,
+        sourceService: provider.name
+    }));
+    state.currentCards = deduplicateCards([...state.currentCards, ...newCards]);
+    rebuildFuseIndex(state, extensionName, extension_settings);
+
+    console.log(`[Bot Browser] Loaded ${newCards.length} more cards from ${provider.name} API (${state.currentCards.length}/${paging.total})`);
+
+    // Stays on the current page; fetching more is always up to the user, never chained from here
+    const matchedBefore = state.filteredCards.length;
+    refreshCardGrid(state, extensionName, extension_settings, showCardDetailFunc, true);
+
+    if (state.filteredCards.length === matchedBefore) {
+        toastr.info(paging.cursor ? 'No new matches on the next page. Load more to keep looking.' : 'No new matches.');
+    }
+}
+
+// Handle provider API search - sends query directly to the source's API
+async function handleProviderSearch(provider, state, searchQuery, extensionName, extension_settings, showCardDetailFunc) {
     const menuContent = document.querySelector('.bot-browser-content');
     const countContainer = document.querySelector('.bot-browser-results-count');
     const gridContainer = menuContent?.querySelector('.bot-browser-card-grid');
+    const displayName = getSourceDisplayName(provider.name);
 
     // Show loading state
     if (countContainer) {
-        countContainer.textContent = 'Searching Chub...';
+        countContainer.textContent = `Searching ${displayName}...`;
     }
     if (gridContainer) {
-        gridContainer.innerHTML = '<div class="bot-browser-loading"><i class="fa-solid fa-spinner fa-spin"></i> Searching Chub API...</div>';
+        gridContainer.innerHTML = `<div class="bot-browser-loading"><i class="fa-solid fa-spinner fa-spin"></i> Searching ${escapeHTML(displayName)} API...</div>`;
     }
 
     try {
-        // Fetch cards from Chub API with search query
+        // Fetch cards from the provider with search query
         const hideNsfw = extension_settings[extensionName].hideNsfw || false;
-        const result = await fetchChubCards({
-            sort: isChubApiSort(state.sortBy) ? state.sortBy : 'default',
-            first: 200,
+        const options = {
+            sort: isProviderSort(provider, state.sortBy) ? state.sortBy : 'default',
             search: searchQuery,
-            nsfw: !hideNsfw
-        });
+            nsfw: !hideNsfw,
+            filters: state.serverFilters
+        };
+        const result = await provider.search(searchQuery, options);
+        if (!isShowingProvider(state, provider)) return;
 
-        console.log(`[Bot Browser] Searched Chub API for "${searchQuery}", found ${result.cards.length} results`);
+        console.log(`[Bot Browser] Searched ${provider.name} API for "${searchQuery}", found ${result.cards.length} results`);
+        state.apiPaging = createApiPaging(provider, result, options);
 
         // Update state with new cards
         const cardsWithSource = result.cards.map(card => ({
             ...card,
-            sourceService: 'chub'
+            sourceService: provider.name
         }));
         state.currentCards = deduplicateCards(cardsWithSource);
 
         // Rebuild Fuse.js index for the new cards
-        const fuseOptions = {
-            keys: [
-                { name: 'name', weight: 3 },
-                { name: 'creator', weight: 2 },
-                { name: 'desc_search', weight: 1.5 },
-                { name: 'desc_preview', weight: 1 },
-                { name: 'tags', weight: 1.5 }
-            ],
-            threshold: extension_settings[extensionName].fuzzySearchThreshold || 0.4,
-            distance: 100,
-            minMatchCharLength: 2,
-            ignoreLocation: true,
-            useExtendedSearch: true
-        };
-        state.fuse = new Fuse(state.currentCards, fuseOptions);
-
-        // Reset search filter since the API already filtered
-        const originalSearch = state.filters.search;
-        state.filters.search = '';
+        rebuildFuseIndex(state, extensionName, extension_settings);
 
-        // Now refresh the grid with the new data
+        // Now refresh the grid with the new data (the API already applied the search)
         refreshCardGrid(state, extensionName, extension_settings, showCardDetailFunc);
 
-        // Restore search filter in state (for display purposes)
-        state.filters.search = originalSearch;
-
         // Update the filter dropdowns with new tags/creators
         const allTags = getAllTags(state.currentCards);
         const allCreators = getAllCreators(state.currentCards);
         if (menuContent) {
             updateFilterDropdowns(menuContent, allTags, allCreators, state);
         }
-
-        // Show API search indicator
-        if (countContainer) {
-            const hideNsfwText = hideNsfw ? ' (NSFW hidden)' : '';
-            countContainer.textContent = `${result.cards.length} results from Chub API for "${searchQuery}"${hideNsfwText}`;
-        }
-
     } catch (error) {
-        console.error('[Bot Browser] Error searching Chub API:', error);
-        toastr.error('Failed to search Chub API. Using local search.');
+        console.error(`[Bot Browser] Error searching ${provider.name} API:`, error);
+        toastr.error(`Failed to search ${displayName} API. Using local search.`);
 
         // Fall back to local search
+        state.apiPaging = null;
         refreshCardGrid(state, extensionName, extension_settings, showCardDetailFunc);
     }
 }
 
-// Handle Chub API-level sorting by fetching new data
-async function handleChubApiSort(state, sortBy, extensionName, extension_settings, showCardDetailFunc) {
+// Handle provider API-level sorting by fetching new data
+async function handleProviderSort(provider, state, sortBy, extensionName, extension_settings, showCardDetailFunc) {
     const menuContent = document.querySelector('.bot-browser-content');
     const countContainer = document.querySelector('.bot-browser-results-count');
     const gridContainer = menuContent?.querySelector('.bot-browser-card-grid');
@@ -533,43 +896,28 @@ async function handleChubApiSort(state, sortBy, extensionName, extension_setting
         countContainer.textContent = 'Loading...';
     }
     if (gridContainer) {
-        gridContainer.innerHTML = '<div class="bot-browser-loading"><i class="fa-solid fa-spinner fa-spin"></i> Fetching cards from Chub API...</div>';
+        gridContainer.innerHTML = `<div class="bot-browser-loading"><i class="fa-solid fa-spinner fa-spin"></i> Fetching cards from ${escapeHTML(getSourceDisplayName(provider.name))} API...</div>`;
     }
 
     try {
-        // Fetch cards from Chub API with the specified sort
+        // Fetch cards from the provider with the specified sort
         const hideNsfw = extension_settings[extensionName].hideNsfw || false;
-        const result = await fetchChubCards({
-            sort: sortBy,
-            first: 500, // Fetch a good number of cards
-            nsfw: !hideNsfw
-        });
+        const options = { sort: sortBy, search: '', nsfw: !hideNsfw, filters: state.serverFilters };
+        const result = await provider.sort(sortBy, options);
+        if (!isShowingProvider(state, provider)) return;
 
-        console.log(`[Bot Browser] Fetched ${result.cards.length} cards from Chub API with sort: ${sortBy}`);
+        console.log(`[Bot Browser] Fetched ${result.cards.length} cards from ${provider.name} API with sort: ${sortBy}`);
+        state.apiPaging = createApiPaging(provider, result, options);
 
         // Update state with new cards
         const cardsWithSource = result.cards.map(card => ({
             ...card,
-            sourceService: 'chub'
+            sourceService: provider.name
         }));
         state.currentCards = deduplicateCards(cardsWithSource);
 
         // Rebuild Fuse.js index for the new cards
-        const fuseOptions = {
-            keys: [
-                { name: 'name', weight: 3 },
-                { name: 'creator', weight: 2 },
-                { name: 'desc_search', weight: 1.5 },
-                { name: 'desc_preview', weight: 1 },
-                { name: 'tags', weight: 1.5 }
-            ],
-            threshold: extension_settings[extensionName].fuzzySearchThreshold || 0.4,
-            distance: 100,
-            minMatchCharLength: 2,
-            ignoreLocation: true,
-            useExtendedSearch: true
-        };
-        state.fuse = new Fuse(state.currentCards, fuseOptions);
+        rebuildFuseIndex(state, extensionName, extension_settings);
 
         // Now refresh the grid with the new data
         refreshCardGrid(state, extensionName, extension_settings, showCardDetailFunc);
@@ -583,18 +931,21 @@ async function handleChubApiSort(state, sortBy, extensionName, extension_setting
 
         toastr.success(`Loaded ${result.cards.length} cards sorted by ${sortBy}`);
     } catch (error) {
-        console.error('[Bot Browser] Error fetching from Chub API:', error);
-        toastr.error('Failed to fetch cards from Chub API. Using cached data.');
+        console.error(`[Bot Browser] Error fetching from ${provider.name} API:`, error);
+        toastr.error(`Failed to fetch cards from ${getSourceDisplayName(provider.name)} API. Using cached data.`);
 
         // Fall back to local sort
+        state.apiPaging = null;
         refreshCardGrid(state, extensionName, extension_settings, showCardDetailFunc);
     }
 }
 
-function renderPage(state, menuContent, showCardDetailFunc, extensionName, extension_settings) {
+function renderPage(state, menuContent, showCardDetailFunc, extensionName, extension_settings, preserveScroll = false) {
     const gridContainer = menuContent.querySelector('.bot-browser-card-grid');
     if (!gridContainer) return;
 
+    const previousScrollTop = gridContainer.scrollTop;
+
     const cardsPerPage = extension_settings[extensionName].cardsPerPage || 200;
 
     // Calculate which cards to show
@@ -603,18 +954,35 @@ function renderPage(state, menuContent, showCardDetailFunc, extensionName, exten
     const pageCards = state.filteredCards.slice(startIndex, endIndex);
 
     // Create HTML for page cards
-    const cardsHTML = pageCards.map(card => createCardHTML(card)).join('');
+    const cardsHTML = pageCards.map(card => createCardHTML(card, state.selectedCards.has(card.id), isCardAlreadyImported(card))).join('');
 
-    // Create pagination HTML
-    const paginationHTML = createPaginationHTML(state.currentPage, state.totalPages);
+    // Create pagination HTML; the last page offers to load more when the API has more
+    const canLoadMore = !!state.apiPaging?.cursor && state.currentPage >= state.totalPages;
+    const paginationHTML = createPaginationHTML(state.currentPage, state.totalPages, canLoadMore);
 
     // Set grid content
     gridContainer.innerHTML = cardsHTML + paginationHTML;
 
     // Attach card click listeners
     gridContainer.querySelectorAll('.bot-browser-card-thumbnail').forEach(cardEl => {
+        const checkbox = cardEl.querySelector('.bot-browser-card-select input');
+        checkbox.addEventListener('change', () => {
+            const card = state.currentCards.find(c => c.id === cardEl.dataset.cardId);
+            if (!card) return;
+
+            if (checkbox.checked) {
+                state.selectedCards.set(card.id, card);
+            } else {
+                state.selectedCards.delete(card.id);
+            }
+            cardEl.classList.toggle('selected', checkbox.checked);
+            updateSelectionBar(menuContent, state);
+        });
+
         cardEl.addEventListener('click', async (e) => {
             e.stopPropagation();
+            // Let the selection checkbox toggle instead of opening the card
+            if (e.target.closest('.bot-browser-card-select')) return;
             e.preventDefault();
             const cardId = cardEl.dataset.cardId;
             const card = state.currentCards.find(c => c.id === cardId);
@@ -624,11 +992,13 @@ function renderPage(state, menuContent, showCardDetailFunc, extensionName, exten
         });
     });
 
+    updateSelectionBar(menuContent, state);
+
     // Attach pagination listeners
     setupPaginationListeners(gridContainer, state, menuContent, showCardDetailFunc, extensionName, extension_settings);
 
-    // Force scroll to top - gridContainer is the scrolling element
-    gridContainer.scrollTop = 0;
+    // Force scroll to top - gridContainer is the scrolling element (unless more API cards were just appended)
+    gridContainer.scrollTop = preserveScroll ? previousScrollTop : 0;
 
     // Validate images
     setTimeout(() => validateCardImages(), 100);
@@ -636,8 +1006,71 @@ function renderPage(state, menuContent, showCardDetailFunc, extensionName, exten
     console.log(`[Bot Browser] Rendered page ${state.currentPage}/${state.totalPages} (${pageCards.length} cards)`);
 }
 
-function createPaginationHTML(currentPage, totalPages) {
-    if (totalPages <= 1) return '';
+// Selection bar above the grid; hidden while nothing is selected
+function updateSelectionBar(menuContent, state) {
+    let bar = menuContent.querySelector('.bot-browser-selection-bar');
+
+    if (state.selectedCards.size === 0) {
+        bar?.remove();
+        return;
+    }
+
+    if (!bar) {
+        bar = document.createElement('div');
+        bar.className = 'bot-browser-selection-bar';
+        menuContent.querySelector('.bot-browser-card-grid-wrapper').before(bar);
+
+        bar.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (e.target.closest('.bot-browser-selection-page')) {
+                selectCurrentPage(menuContent, state);
+            } else if (e.target.closest('.bot-browser-selection-import')) {
+                const cards = Array.from(state.selectedCards.values());
+                window.dispatchEvent(new CustomEvent('bot-browser-import-selected', { detail: { cards } }));
+                clearSelection(menuContent, state);
+            } else if (e.target.closest('.bot-browser-selection-download')) {
+                const cards = Array.from(state.selectedCards.values());
+                const format = bar.querySelector('.bot-browser-selection-format').value;
+                window.dispatchEvent(new CustomEvent('bot-browser-download-selected', { detail: { cards, format } }));
+            } else if (e.target.closest('.bot-browser-selection-clear')) {
+                clearSelection(menuContent, state);
+            }
+        });
+    }
+
+    bar.innerHTML = createSelectionBarHTML(state.selectedCards.size);
+}
+
+function selectCurrentPage(menuContent, state) {
+    menuContent.querySelectorAll('.bot-browser-card-thumbnail').forEach(cardEl => {
+        const card = state.currentCards.find(c => c.id === cardEl.dataset.cardId);
+        if (!card) return;
+        state.selectedCards.set(card.id, card);
+        cardEl.classList.add('selected');
+        cardEl.querySelector('.bot-browser-card-select input').checked = true;
+    });
+    updateSelectionBar(menuContent, state);
+}
+
+function clearSelection(menuContent, state) {
+    state.selectedCards.clear();
+    menuContent.querySelectorAll('.bot-browser-card-thumbnail.selected').forEach(cardEl => {
+        cardEl.classList.remove('selected');
+        cardEl.querySelector('.bot-browser-card-select input').checked = false;
+    });
+    updateSelectionBar(menuContent, state);
+}
+
+function createPaginationHTML(currentPage, totalPages, canLoadMore = false) {
+    const loadMoreHTML = canLoadMore ? `
+        <button class="bot-browser-pagination-btn bot-browser-load-more" data-action="load-more">
+            <i class="fa-solid fa-cloud-arrow-down"></i> Load more
+        </button>
+    ` : '';
+
+    if (totalPages <= 1) {
+        return loadMoreHTML ? `<div class="bot-browser-pagination">${loadMoreHTML}</div>` : '';
+    }
 
     return `
         <div class="bot-browser-pagination">
@@ -657,6 +1090,7 @@ function createPaginationHTML(currentPage, totalPages) {
             <button class="bot-browser-pagination-btn" data-action="last" ${currentPage === totalPages ? 'disabled' : ''}>
                 <i class="fa-solid fa-angles-right"></i>
             </button>
+            ${loadMoreHTML}
         </div>
     `;
 }
@@ -670,6 +1104,12 @@ function setupPaginationListeners(gridContainer, state, menuContent, showCardDet
         btn.addEventListener('click', () => {
             const action = btn.dataset.action;
 
+            if (action === 'load-more') {
+                btn.disabled = true;
+                loadNextApiPage(state, menuContent, showCardDetailFunc, extensionName, extension_settings);
+                return;
+            }
+
             switch (action) {
                 case 'first':
                     state.currentPage = 1;
@@ -708,34 +1148,70 @@ function setupPaginationListeners(gridContainer, state, menuContent, showCardDet
     }
 }
 
-export function refreshCardGrid(state, extensionName, extension_settings, showCardDetailFunc) {
-    const filteredCards = filterCards(state.currentCards, state.filters, state.fuse, extensionName, extension_settings);
+export function refreshCardGrid(state, extensionName, extension_settings, showCardDetailFunc, keepPage = false) {
+    // API search results are already matched, don't fuzzy-search them again for the same text (operators still apply)
+    const apiSearch = state.apiPaging?.options.search;
+    const query = parseSearchQuery(state.filters.search);
+    const filters = apiSearch && apiSearch === query.text ? { ...state.filters, search: query.operators.join(' ') } : state.filters;
+    const filteredCards = filterCards(state.currentCards, filters, state.fuse, extensionName, extension_settings);
+    warnUnsupportedOperators(state, query);
     const sortedCards = sortCards(filteredCards, state.sortBy);
     const cardsWithImages = sortedCards.filter(card => {
         const imageUrl = card.avatar_url || card.image_url;
-        return imageUrl && imageUrl.trim().length > 0 && (imageUrl.startsWith('http://') || imageUrl.startsWith('https://'));
+        return isDisplayableImageUrl(imageUrl);
     });
 
-    // Store filtered cards and reset to page 1
+    // Store filtered cards and reset to page 1 (or stay put when more cards were appended)
     state.filteredCards = cardsWithImages;
-    state.currentPage = 1;
     state.totalPages = Math.ceil(cardsWithImages.length / (extension_settings[extensionName].cardsPerPage || 200));
+    state.currentPage = keepPage ? Math.max(1, Math.min(state.currentPage, state.totalPages)) : 1;
 
     const menuContent = document.querySelector('.bot-browser-content');
-    const countContainer = document.querySelector('.bot-browser-results-count');
 
     // Update filter UI to reflect current selections
     updateFilterUI(menuContent, state);
 
     if (menuContent) {
-        renderPage(state, menuContent, showCardDetailFunc, extensionName, extension_settings);
+        renderPage(state, menuContent, showCardDetailFunc, extensionName, extension_settings, keepPage);
     }
 
-    if (countContainer) {
-        const hideNsfw = extension_settings[extensionName].hideNsfw || false;
-        const nsfwText = hideNsfw ? ' (after hiding NSFW)' : '';
-        countContainer.textContent = `${cardsWithImages.length} card${cardsWithImages.length !== 1 ? 's' : ''} found${nsfwText}`;
+    updateResultsCount(state, extensionName, extension_settings);
+}
+
+// filterCards leaves out operators the loaded cards have no data for; say so instead of showing wrong results
+let lastUnsupportedWarning = '';
+
+function warnUnsupportedOperators(state, query) {
+    state.ignoredOperators = getUnsupportedTerms(state.currentCards, query.terms).map(term => term.word);
+
+    const warning = state.ignoredOperators.length > 0 ? `${state.currentService}|${state.ignoredOperators.join(' ')}` : '';
+    if (warning && warning !== lastUnsupportedWarning) {
+        const words = state.ignoredOperators.join(', ');
+        toastr.warning(`The ${getSourceDisplayName(state.currentService)} cards loaded here don't include the data for ${words}, so ${state.ignoredOperators.length > 1 ? 'they are' : 'it is'} ignored.`, 'Search');
+    }
+    lastUnsupportedWarning = warning;
+}
+
+// Header count; for API results this is the provider's total, not just what has been loaded so far
+function updateResultsCount(state, extensionName, extension_settings) {
+    const countContainer = document.querySelector('.bot-browser-results-count');
+    if (!countContainer) return;
+
+    const hideNsfw = extension_settings[extensionName].hideNsfw || false;
+    const nsfwText = hideNsfw ? ' (after hiding NSFW)' : '';
+    const shownCount = state.filteredCards.length;
+    const paging = state.apiPaging;
+    const ignoredText = state.ignoredOperators?.length > 0 ? ` (ignored: ${state.ignoredOperators.join(' ')})` : '';
+
+    if (paging) {
+        const total = Math.max(paging.total, shownCount);
+        const searchText = paging.options.search ? ` for "${paging.options.search}"` : '';
+        const loadedText = paging.cursor ? ` (${shownCount} loaded)` : '';
+        countContainer.textContent = `${total} result${total !== 1 ? 's' : ''} from ${getSourceDisplayName(paging.providerName)} API${searchText}${loadedText}${nsfwText}${ignoredText}`;
+        return;
     }
+
+    countContainer.textContent = `${shownCount} card${shownCount !== 1 ? 's' : ''} found${nsfwText}${ignoredText}`;
 }
 
 // Update filter UI without recreating all options (performance optimization)
@@ -747,27 +1223,22 @@ function updateFilterUI(menuContent, state) {
     if (tagFilterContainer) {
         const tagTriggerText = tagFilterContainer.querySelector('.selected-text');
         if (tagTriggerText) {
-            if (state.filters.tags.length === 0) {
-                tagTriggerText.textContent = 'All Tags';
-            } else if (state.filters.tags.length === 1) {
-                tagTriggerText.textContent = state.filters.tags[0];
-            } else {
-                tagTriggerText.textContent = `${state.filters.tags.length} Tags Selected`;
-            }
+            tagTriggerText.textContent = getTagFilterLabel(state.filters);
         }
 
-        // Update selected state on options
+        // Update included/excluded state on options
         const tagOptions = tagFilterContainer.querySelectorAll('.bot-browser-multi-select-option');
         tagOptions.forEach(option => {
             const value = option.dataset.value;
-            if (value === '' && state.filters.tags.length === 0) {
-                option.classList.add('selected');
-            } else if (state.filters.tags.includes(value)) {
-                option.classList.add('selected');
+            if (value === '') {
+                option.classList.toggle('selected', !hasTagFilter(state.filters));
             } else {
-                option.classList.remove('selected');
+                option.classList.toggle('selected', state.filters.tags.includes(value));
+                option.classList.toggle('excluded', state.filters.excludedTags.includes(value));
             }
         });
+
+        updateTagModeButtons(tagFilterContainer, state.filters);
     }
 
     // Update creator filter trigger text
@@ -775,20 +1246,16 @@ function updateFilterUI(menuContent, state) {
     if (creatorFilterContainer) {
         const creatorTriggerText = creatorFilterContainer.querySelector('.selected-text');
         if (creatorTriggerText) {
-            if (!state.filters.creator) {
-                creatorTriggerText.textContent = 'All Creators';
-            } else {
-                creatorTriggerText.textContent = state.filters.creator;
-            }
+            creatorTriggerText.textContent = getCreatorFilterLabel(state.filters);
         }
 
         // Update selected state on options
         const creatorOptions = creatorFilterContainer.querySelectorAll('.bot-browser-multi-select-option');
         creatorOptions.forEach(option => {
             const value = option.dataset.value;
-            if (value === '' && !state.filters.creator) {
+            if (value === '' && state.filters.creators.length === 0) {
                 option.classList.add('selected');
-            } else if (state.filters.creator === value) {
+            } else if (state.filters.creators.includes(value)) {
                 option.classList.add('selected');
             } else {
                 option.classList.remove('selected');
@@ -802,26 +1269,8 @@ function updateFilterUI(menuContent, state) {
         const sortTriggerText = sortFilterContainer.querySelector('.selected-text');
         const sortOptions = sortFilterContainer.querySelectorAll('.bot-browser-multi-select-option');
 
-        // Map values to display names (include Chub-specific options)
-        const sortLabels = {
-            'relevance': 'Relevance',
-            'name_asc': 'Name (A-Z)',
-            'name_desc': 'Name (Z-A)',
-            'creator_asc': 'Creator (A-Z)',
-            'creator_desc': 'Creator (Z-A)',
-            // Chub API sort options
-            'recent': '🕐 Recent',
-            'trending': '🔥 Trending',
-            'rating': '⭐ Top Rated',
-            'stars': '✨ Most Stars',
-            'downloads': '📥 Most Downloads',
-            'favorites': '❤️ Most Favorites',
-            'newcomer': '🆕 Newcomers',
-            'activity': '📅 Recently Active'
-        };
-
         if (sortTriggerText) {
-            sortTriggerText.textContent = sortLabels[state.sortBy] || 'Relevance';
+            sortTriggerText.textContent = getSortLabel(sortFilterContainer, state.sortBy);
         }
 
         // Update selected state on options
@@ -0,0 +1,127 @@
+import { escapeHTML, isDisplayableImageUrl } from '../utils/utils.js';
+import { getTimeAgo } from '../storage/stats.js';
+import { getSourceDisplayName } from '../services/sourceRegistry.js';
+
+// Prolific creators can have thousands of cards; the rest are a filter away
+const MAX_PROFILE_CARDS = 200;
+
+/**
+ * Show a creator's profile: their cards across the loaded sources, counts per source,
+ * most common tags and what was imported from them
+ * @param {Object} profile - From getCreatorProfile
+ * @param {Object} handlers
+ * @param {function(Object): void} handlers.onOpenCard - Open a card's detail view
+ * @param {function(string): void|null} handlers.onFilter - Filter the open browser by this creator, null outside the browser
+ */
+export function showCreatorProfile(profile, { onOpenCard, onFilter }) {
+    const overlay = document.createElement('div');
+    overlay.className = 'bot-browser-detail-overlay';
+
+    const modal = document.createElement('div');
+    modal.className = 'bot-browser-detail-modal bot-browser-creator-modal';
+    modal.innerHTML = `
+        <div class="bot-browser-detail-header">
+            <h2><i class="fa-solid fa-user-pen"></i> ${escapeHTML(profile.creator)}</h2>
+            <button class="bot-browser-detail-close">
+                <i class="fa-solid fa-times"></i>
+            </button>
+        </div>
+        <div class="bot-browser-detail-content bot-browser-creator-content" style="display: block; overflow-y: auto;">
+            ${buildProfileHTML(profile)}
+        </div>
+        <div class="bot-browser-detail-actions">
+            ${onFilter ? `
+                <button class="bot-browser-import-button bot-browser-creator-filter-button">
+                    <i class="fa-solid fa-filter"></i> Filter Browser by Creator
+                </button>
+            ` : ''}
+            <button class="bot-browser-detail-back bot-browser-creator-close">
+                <i class="fa-solid fa-times"></i> Close
+            </button>
+        </div>
+    `;
+
+    const close = () => {
+        overlay.remove();
+        modal.remove();
+    };
+
+    overlay.addEventListener('click', (e) => {
+        e.stopPropagation();
+        close();
+    });
+
+    modal.addEventListener('click', (e) => {
+        e.stopPropagation();
+
+        const cardEl = e.target.closest('.bot-browser-creator-card');
+        if (e.target.closest('.bot-browser-detail-close') || e.target.closest('.bot-browser-creator-close')) {
+            close();
+        } else if (e.target.closest('.bot-browser-creator-filter-button')) {
+            close();
+            onFilter(profile.creator);
+        } else if (cardEl) {
+            const card = profile.cards.find(c => c.id === cardEl.dataset.cardId);
+            if (card) {
+                close();
+                onOpenCard(card);
+            }
+        }
+    });
+
+    document.body.appendChild(overlay);
+    document.body.appendChild(modal);
+}
+
+function buildProfileHTML(profile) {
+    const cardCount = profile.cards.length;
+
+    return `
+        <div class="bot-browser-creator-summary">
+            <div class="bot-browser-detail-section">
+                <h3>${cardCount} card${cardCount !== 1 ? 's' : ''} in loaded sources</h3>
+                <ul class="bot-browser-creator-sources">
+                    ${profile.bySource.map(([source, count]) => `<li>${escapeHTML(getSourceDisplayName(source))}: <strong>${count}</strong></li>`).join('')}
+                </ul>
+                ${cardCount === 0 ? '<div class="bot-browser-updates-empty">Open more sources to find this creator\'s cards.</div>' : ''}
+            </div>
+            ${profile.commonTags.length > 0 ? `
+                <div class="bot-browser-detail-section">
+                    <h3>Common Tags</h3>
+                    <div class="bot-browser-detail-tags">
+                        ${profile.commonTags.map(([tag, count]) => `<span class="bot-browser-tag-pill">${escapeHTML(tag)} (${count})</span>`).join('')}
+                    </div>
+                </div>
+            ` : ''}
+            <div class="bot-browser-detail-section">
+                <h3>Imported: ${profile.importCount}</h3>
+                ${profile.imports.length > 0 ? `
+                    <ul class="bot-browser-creator-imports">
+                        ${profile.imports.map(record => `
+                            <li>${escapeHTML(record.name)} <span>${escapeHTML(getSourceDisplayName(record.source))}, ${getTimeAgo(record.timestamp)}</span></li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        </div>
+        ${cardCount > 0 ? `
+            <div class="bot-browser-creator-cards">
+                ${profile.cards.slice(0, MAX_PROFILE_CARDS).map(buildCardHTML).join('')}
+            </div>
+            ${cardCount > MAX_PROFILE_CARDS ? `<div class="bot-browser-updates-empty">Showing ${MAX_PROFILE_CARDS} of ${cardCount} cards.</div>` : ''}
+        ` : ''}
+    `;
+}
+
+function buildCardHTML(card) {
+    const imageUrl = card.avatar_url || card.image_url;
+    return `
+        <div class="bot-browser-creator-card" data-card-id="${escapeHTML(card.id)}" title="${escapeHTML(card.name)}">
+            ${isDisplayableImageUrl(imageUrl)
+                ? `<img src="${escapeHTML(imageUrl)}" loading="lazy" alt="">`
+                : '<div class="bot-browser-creator-card-placeholder"><i class="fa-solid fa-user"></i></div>'}
+            <div class="bot-browser-creator-card-name">${escapeHTML(card.name)}</div>
+            <div class="bot-browser-creator-card-source">${escapeHTML(getSourceDisplayName(card.sourceService || card.service || 'Unknown'))}</div>
+        </div>
+    `;
+}
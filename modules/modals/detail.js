@@ -1,11 +1,14 @@
-import { loadCardChunk } from '../services/cache.js';
+import { cacheCardImage } from '../services/cache.js';
+import { getProviderForCard } from '../providers/providers.js';
 import { addToRecentlyViewed } from '../storage/storage.js';
-import { buildDetailModalHTML } from '../templates/detailModal.js';
+import { buildDetailModalHTML, buildFavoriteButtonHTML, buildEditFormHTML, buildEditGreetingHTML, buildEditTagHTML } from '../templates/detailModal.js';
 import { prepareCardDataForModal } from '../data/cardPreparation.js';
+import { escapeHTML } from '../utils/utils.js';
 
 // Show card detail modal
 export async function showCardDetail(card, extensionName, extension_settings, state, save=true) {
-    let fullCard = await loadFullCard(card);
+    const provider = getProviderForCard(card);
+    let fullCard = provider.getFullCard ? await provider.getFullCard(card) : card;
 
     // Verify we're showing the right card
     if (fullCard.name !== card.name) {
@@ -17,6 +20,9 @@ export async function showCardDetail(card, extensionName, extension_settings, st
 
     if (save) {
         state.recentlyViewed = addToRecentlyViewed(extensionName, extension_settings, state.recentlyViewed, fullCard);
+
+        // Keep the image around so this card can be imported in offline mode
+        cacheCardImage(fullCard.avatar_url || fullCard.image_url);
     }
 
     const { detailOverlay, detailModal } = createDetailModal(fullCard);
@@ -25,53 +31,200 @@ export async function showCardDetail(card, extensionName, extension_settings, st
     document.body.appendChild(detailModal);
 
     setupDetailModalEvents(detailModal, detailOverlay, fullCard, state);
+    setupFavoriteButton(detailModal, fullCard);
 }
 
-async function loadFullCard(card) {
-    let fullCard = card;
-    const chunkService = card.sourceService || card.service;
+// Field values of the edit form, as plain text
+function readEditForm(form) {
+    return {
+        name: form.querySelector('[data-field="name"]').value.trim(),
+        description: form.querySelector('[data-field="description"]').value,
+        personality: form.querySelector('[data-field="personality"]').value,
+        scenario: form.querySelector('[data-field="scenario"]').value,
+        first_mes: form.querySelector('[data-field="first_mes"]').value,
+        alternate_greetings: Array.from(form.querySelectorAll('.bot-browser-edit-greeting textarea')).map(textarea => textarea.value).filter(greeting => greeting.trim()),
+        tags: Array.from(form.querySelectorAll('.bot-browser-edit-tag')).map(tag => tag.dataset.tag),
+        system_prompt: form.querySelector('[data-field="system_prompt"]').value,
+        creator_notes: form.querySelector('[data-field="creator_notes"]').value
+    };
+}
 
-    if (card.entries && typeof card.entries === 'object' && Object.keys(card.entries).length > 0) {
-        return card;
-    }
+/**
+ * Toggle between the card view and the edit form; the form keeps its values while hidden.
+ * The form is built on the first click, from the definition the import would actually bring in.
+ * @param {HTMLElement} detailModal
+ * @param {function(): Promise<Object>} loadDefinition - V3 data fields of the card
+ */
+export function setupEditMode(detailModal, loadDefinition) {
+    const editButton = detailModal.querySelector('.bot-browser-edit-button');
+    if (!editButton) return;
+
+    const info = detailModal.querySelector('.bot-browser-detail-info');
+    const importButton = detailModal.querySelector('.bot-browser-import-button');
+    let form = null;
+
+    const updateLabels = () => {
+        const editing = form.style.display !== 'none';
+        const edited = !!getDetailCardEdits();
+        editButton.innerHTML = editing ? '<i class="fa-solid fa-eye"></i> Preview' : '<i class="fa-solid fa-pen-to-square"></i> Edit';
+        importButton.innerHTML = `<i class="fa-solid fa-download"></i> ${edited ? 'Import Edited Card' : 'Import to SillyTavern'}`;
+    };
 
-    if (card.chunk && chunkService) {
-        const chunkData = await loadCardChunk(chunkService, card.chunk);
+    editButton.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        e.preventDefault();
 
-        let cardsArray = null;
-        if (chunkData && chunkData.cards && Array.isArray(chunkData.cards)) {
-            cardsArray = chunkData.cards;
-        } else if (chunkData && chunkData.lorebooks && Array.isArray(chunkData.lorebooks)) {
-            cardsArray = chunkData.lorebooks;
-        } else if (chunkData && Array.isArray(chunkData) && chunkData.length > 0) {
-            cardsArray = chunkData;
+        if (!form) {
+            editButton.disabled = true;
+            editButton.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Loading...';
+            try {
+                const definition = await loadDefinition();
+                info.insertAdjacentHTML('afterend', buildEditFormHTML(definition));
+                form = detailModal.querySelector('.bot-browser-detail-edit');
+                setupEditForm(form, updateLabels);
+            } catch (error) {
+                console.error('[Bot Browser] Could not load the card definition to edit:', error);
+                toastr.error(`Could not load the card to edit: ${error.message}`);
+                editButton.innerHTML = '<i class="fa-solid fa-pen-to-square"></i> Edit';
+                return;
+            } finally {
+                editButton.disabled = false;
+            }
         }
 
-        if (cardsArray && cardsArray.length > 0) {
-            let chunkCard = cardsArray.find(c =>
-                c.id === card.id ||
-                (c.image_url && c.image_url === card.id) ||
-                (c.image_url && c.image_url === card.image_url)
-            );
+        const editing = form.style.display === 'none';
+        form.style.display = editing ? '' : 'none';
+        info.style.display = editing ? 'none' : '';
+        updateLabels();
+    });
+}
 
-            if (!chunkCard) {
-                chunkCard = cardsArray.find(c => c.name === card.name);
+function setupEditForm(form, updateLabels) {
+    form.dataset.original = JSON.stringify(readEditForm(form));
+    form.addEventListener('input', updateLabels);
+
+    form.addEventListener('click', (e) => {
+        const greeting = e.target.closest('.bot-browser-edit-greeting');
+
+        if (e.target.closest('.bot-browser-edit-greeting-remove')) {
+            greeting.remove();
+        } else if (e.target.closest('.bot-browser-edit-greeting-use')) {
+            // Swap with the first message
+            const firstMessage = form.querySelector('[data-field="first_mes"]');
+            const textarea = greeting.querySelector('textarea');
+            [firstMessage.value, textarea.value] = [textarea.value, firstMessage.value];
+        } else if (e.target.closest('.bot-browser-edit-greeting-add')) {
+            form.querySelector('.bot-browser-edit-greetings').insertAdjacentHTML('beforeend', buildEditGreetingHTML(''));
+        } else if (e.target.closest('.bot-browser-edit-tag-remove')) {
+            e.target.closest('.bot-browser-edit-tag').remove();
+        } else if (e.target.closest('.bot-browser-edit-reset')) {
+            const original = JSON.parse(form.dataset.original);
+            for (const field of ['name', 'description', 'personality', 'scenario', 'first_mes', 'system_prompt', 'creator_notes']) {
+                form.querySelector(`[data-field="${field}"]`).value = original[field];
             }
+            form.querySelector('.bot-browser-edit-greetings').innerHTML = original.alternate_greetings.map(buildEditGreetingFromText).join('');
+            form.querySelector('.bot-browser-edit-tags').innerHTML = original.tags.map(buildEditTagFromText).join('');
+        } else {
+            return;
+        }
 
-            if (chunkCard) {
-                fullCard = { ...chunkCard, ...card };
-            } else {
-                const fallbackCard = cardsArray[card.chunk_idx];
-                if (fallbackCard) {
-                    fullCard = { ...fallbackCard, ...card };
-                }
-            }
-        } else if (chunkData && !Array.isArray(chunkData) && chunkData.entries && typeof chunkData.entries === 'object') {
-            fullCard = { ...card, ...chunkData };
+        e.preventDefault();
+        updateLabels();
+    });
+
+    form.querySelector('.bot-browser-edit-tag-input').addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ',') return;
+        e.preventDefault();
+
+        const tag = e.target.value.trim();
+        const existing = Array.from(form.querySelectorAll('.bot-browser-edit-tag')).map(element => element.dataset.tag.toLowerCase());
+        if (tag && !existing.includes(tag.toLowerCase())) {
+            form.querySelector('.bot-browser-edit-tags').insertAdjacentHTML('beforeend', buildEditTagFromText(tag));
+            updateLabels();
         }
+        e.target.value = '';
+    });
+}
+
+function buildEditGreetingFromText(text) {
+    return buildEditGreetingHTML(escapeHTML(text));
+}
+
+function buildEditTagFromText(tag) {
+    return buildEditTagHTML(escapeHTML(tag));
+}
+
+/**
+ * Fields changed in the open detail modal's edit form, in Character Card V3 naming
+ * @returns {Object|null} - null when nothing was edited
+ */
+export function getDetailCardEdits() {
+    const form = document.querySelector('#bot-browser-detail-modal .bot-browser-detail-edit');
+    if (!form?.dataset.original) return null;
+
+    const original = JSON.parse(form.dataset.original);
+    const current = readEditForm(form);
+    const edits = {};
+
+    for (const [field, value] of Object.entries(current)) {
+        if (JSON.stringify(value) !== JSON.stringify(original[field])) {
+            edits[field] = value;
+        }
+    }
+
+    // An empty name would leave SillyTavern without a file name
+    if (edits.name === '') delete edits.name;
+
+    return Object.keys(edits).length > 0 ? edits : null;
+}
+
+// Show the star button when the card's source can favorite it for the user's account
+async function setupFavoriteButton(detailModal, fullCard) {
+    const provider = getProviderForCard(fullCard);
+    if (!provider.isFavorite || !provider.setFavorite) return;
+
+    const button = detailModal.querySelector('.bot-browser-favorite-button');
+    if (!button) return;
+
+    // Shown right away; the state can take a while when the source has to load the user's favorites first
+    button.disabled = true;
+    button.style.display = '';
+
+    let isFavorite;
+    try {
+        isFavorite = await provider.isFavorite(fullCard);
+    } catch (error) {
+        console.warn('[Bot Browser] Could not load favorite state:', error);
+        button.style.display = 'none';
+        return;
     }
+    if (isFavorite === null) {
+        button.style.display = 'none';
+        return;
+    }
+
+    button.innerHTML = buildFavoriteButtonHTML(isFavorite);
+    button.classList.toggle('favorited', isFavorite);
+    button.disabled = false;
 
-    return fullCard;
+    button.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        e.preventDefault();
+        button.disabled = true;
+
+        try {
+            await provider.setFavorite(fullCard, !isFavorite);
+            isFavorite = !isFavorite;
+            button.innerHTML = buildFavoriteButtonHTML(isFavorite);
+            button.classList.toggle('favorited', isFavorite);
+            toastr.success(isFavorite ? `Added ${fullCard.name} to your favorites` : `Removed ${fullCard.name} from your favorites`, '', { timeOut: 2000 });
+        } catch (error) {
+            console.error('[Bot Browser] Error updating favorite:', error);
+            toastr.error('Failed to update favorite: ' + error.message);
+        } finally {
+            button.disabled = false;
+        }
+    });
 }
 
 function createDetailModal(fullCard) {
@@ -0,0 +1,71 @@
+import { escapeHTML } from '../utils/utils.js';
+import { getTimeAgo } from '../storage/stats.js';
+
+/**
+ * Ask what to do with a card that is already in SillyTavern
+ * @param {string} cardName
+ * @param {Array<Object>} matches - Existing SillyTavern characters that look like the same card
+ * @returns {Promise<'skip'|'copy'|'replace'>} - Closing the dialog counts as skip
+ */
+export function askDuplicateAction(cardName, matches) {
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'bot-browser-detail-overlay bot-browser-duplicate-overlay';
+
+        const modal = document.createElement('div');
+        modal.className = 'bot-browser-detail-modal bot-browser-duplicate-modal';
+        modal.innerHTML = `
+            <div class="bot-browser-detail-header">
+                <h2><i class="fa-solid fa-clone"></i> Already Imported</h2>
+                <button class="bot-browser-detail-close" data-action="skip">
+                    <i class="fa-solid fa-times"></i>
+                </button>
+            </div>
+            <div class="bot-browser-duplicate-content">
+                <p><strong>${escapeHTML(cardName)}</strong> looks like ${matches.length === 1 ? 'a character' : `${matches.length} characters`} you already have:</p>
+                <ul>
+                    ${matches.map(character => `
+                        <li>
+                            ${escapeHTML(character.name)}
+                            <small>${escapeHTML(character.avatar)}${character.date_added ? ` • added ${getTimeAgo(character.date_added)}` : ''}</small>
+                        </li>
+                    `).join('')}
+                </ul>
+                ${matches.length > 1 ? '<small>Replacing updates the first one.</small>' : ''}
+            </div>
+            <div class="bot-browser-detail-actions">
+                <button class="bot-browser-detail-back" data-action="skip">
+                    <i class="fa-solid fa-forward"></i> Skip
+                </button>
+                <button class="bot-browser-detail-back" data-action="copy">
+                    <i class="fa-solid fa-copy"></i> Import as Copy
+                </button>
+                <button class="bot-browser-import-button" data-action="replace">
+                    <i class="fa-solid fa-arrows-rotate"></i> Replace Existing
+                </button>
+            </div>
+        `;
+
+        const close = (action) => {
+            overlay.remove();
+            modal.remove();
+            resolve(action);
+        };
+
+        overlay.addEventListener('click', (e) => {
+            e.stopPropagation();
+            close('skip');
+        });
+
+        modal.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                close(button.dataset.action);
+            }
+        });
+
+        document.body.appendChild(overlay);
+        document.body.appendChild(modal);
+    });
+}
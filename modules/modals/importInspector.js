@@ -0,0 +1,133 @@
+import { escapeHTML } from '../utils/utils.js';
+import { describeCardChunks } from '../utils/cardFiles.js';
+
+/**
+ * Show the "Inspect import" view: resolves what the import would produce and lets the user confirm it
+ * @param {Object} card
+ * @param {function(Object): Promise<Object>} inspect - Resolves the ImportInspection for the card
+ * @param {function(Object): Promise<void>} confirmImport - Imports the inspected file
+ */
+export async function showImportInspector(card, inspect, confirmImport) {
+    const overlay = document.createElement('div');
+    overlay.className = 'bot-browser-detail-overlay bot-browser-inspect-overlay';
+
+    const modal = document.createElement('div');
+    modal.className = 'bot-browser-detail-modal bot-browser-inspect-modal';
+    modal.innerHTML = `
+        <div class="bot-browser-detail-header">
+            <h2><i class="fa-solid fa-magnifying-glass"></i> Inspect Import: ${escapeHTML(card.name)}</h2>
+            <button class="bot-browser-detail-close">
+                <i class="fa-solid fa-times"></i>
+            </button>
+        </div>
+        <div class="bot-browser-inspect-content">
+            <div class="bot-browser-updates-empty"><i class="fa-solid fa-spinner fa-spin"></i> Resolving the card that would be imported...</div>
+        </div>
+        <div class="bot-browser-detail-actions">
+            <button class="bot-browser-import-button bot-browser-inspect-confirm" disabled>
+                <i class="fa-solid fa-download"></i> Import This Card
+            </button>
+            <button class="bot-browser-detail-back bot-browser-inspect-cancel">
+                <i class="fa-solid fa-times"></i> Cancel
+            </button>
+        </div>
+    `;
+
+    let imageUrl = null;
+    const close = () => {
+        if (imageUrl) URL.revokeObjectURL(imageUrl);
+        overlay.remove();
+        modal.remove();
+    };
+
+    let inspection = null;
+
+    overlay.addEventListener('click', (e) => {
+        e.stopPropagation();
+        close();
+    });
+
+    modal.addEventListener('click', async (e) => {
+        e.stopPropagation();
+
+        if (e.target.closest('.bot-browser-detail-close') || e.target.closest('.bot-browser-inspect-cancel')) {
+            close();
+        } else if (e.target.closest('.bot-browser-inspect-tab')) {
+            const tab = e.target.closest('.bot-browser-inspect-tab');
+            modal.querySelectorAll('.bot-browser-inspect-tab').forEach(button => button.classList.toggle('active', button === tab));
+            modal.querySelectorAll('.bot-browser-inspect-json').forEach(pre => {
+                pre.style.display = pre.dataset.spec === tab.dataset.spec ? 'block' : 'none';
+            });
+        } else if (e.target.closest('.bot-browser-inspect-confirm') && inspection) {
+            const confirmButton = e.target.closest('.bot-browser-inspect-confirm');
+            confirmButton.disabled = true;
+            await confirmImport(inspection);
+            close();
+        }
+    });
+
+    document.body.appendChild(overlay);
+    document.body.appendChild(modal);
+
+    const content = modal.querySelector('.bot-browser-inspect-content');
+
+    try {
+        inspection = await inspect(card);
+    } catch (error) {
+        console.error('[Bot Browser] Import inspection failed:', error);
+        content.innerHTML = `<div class="bot-browser-updates-empty"><i class="fa-solid fa-triangle-exclamation"></i> This card can't be imported: ${escapeHTML(error.message)}</div>`;
+        return;
+    }
+
+    // Closed while resolving
+    if (!modal.isConnected) return;
+
+    if (inspection.format === 'png') {
+        imageUrl = URL.createObjectURL(inspection.file);
+    }
+    content.innerHTML = buildInspectionHTML(inspection, imageUrl);
+    modal.querySelector('.bot-browser-inspect-confirm').disabled = false;
+}
+
+function buildStatusRow(ok, text) {
+    return `<li class="${ok ? 'ok' : 'missing'}"><i class="fa-solid ${ok ? 'fa-check' : 'fa-xmark'}"></i> ${escapeHTML(text)}</li>`;
+}
+
+function buildInspectionHTML(inspection, imageUrl) {
+    const data = inspection.cardV3.data;
+    const bookEntries = data.character_book?.entries?.length || 0;
+    const greetings = data.alternate_greetings?.length || 0;
+    const sizeKb = Math.max(1, Math.round(inspection.file.size / 1024));
+
+    return `
+        <div class="bot-browser-inspect-summary">
+            ${imageUrl ? `<img class="bot-browser-inspect-image" src="${imageUrl}" alt="">` : '<div class="bot-browser-inspect-image"><i class="fa-solid fa-file-code"></i></div>'}
+            <div class="bot-browser-inspect-details">
+                <h4>Import path</h4>
+                <ol>
+                    ${inspection.routes.length > 0
+                        ? inspection.routes.map(route => `<li>${escapeHTML(route)}</li>`).join('')
+                        : '<li>Source provider import</li>'}
+                </ol>
+                <h4>File sent to SillyTavern</h4>
+                <ul class="bot-browser-inspect-status">
+                    <li><i class="fa-solid fa-file"></i> ${escapeHTML(inspection.file.name)} (${inspection.format.toUpperCase()}, ${sizeKb} KB)</li>
+                    ${inspection.format === 'png' ? `
+                        ${buildStatusRow(inspection.chunks.chara, inspection.chunks.chara ? 'V2 data (chara chunk)' : 'No V2 chara chunk')}
+                        ${buildStatusRow(inspection.chunks.ccv3, inspection.chunks.ccv3 ? 'V3 data (ccv3 chunk)' : 'No V3 ccv3 chunk')}
+                        <li><i class="fa-solid fa-list"></i> Chunks: ${escapeHTML(describeCardChunks(inspection.found))}</li>
+                    ` : ''}
+                    ${buildStatusRow(bookEntries > 0, bookEntries > 0 ? `Embedded lorebook with ${bookEntries} entr${bookEntries !== 1 ? 'ies' : 'y'}` : 'No embedded lorebook')}
+                    ${inspection.lorebookWorld ? `<li><i class="fa-solid fa-book"></i> Will also be imported as world "${escapeHTML(inspection.lorebookWorld)}"</li>` : ''}
+                    <li><i class="fa-solid fa-comments"></i> ${greetings} alternate greeting${greetings !== 1 ? 's' : ''}</li>
+                </ul>
+            </div>
+        </div>
+        <div class="bot-browser-inspect-tabs">
+            <button class="bot-browser-inspect-tab active" data-spec="v3">V3${inspection.v3Derived ? ' (derived)' : ''}</button>
+            <button class="bot-browser-inspect-tab" data-spec="v2">V2${inspection.v2Derived ? ' (derived)' : ''}</button>
+        </div>
+        <pre class="bot-browser-inspect-json" data-spec="v3">${escapeHTML(JSON.stringify(inspection.cardV3, null, 2))}</pre>
+        <pre class="bot-browser-inspect-json" data-spec="v2" style="display: none;">${escapeHTML(JSON.stringify(inspection.cardV2, null, 2))}</pre>
+    `;
+}
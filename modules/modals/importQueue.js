@@ -0,0 +1,64 @@
+import { createImportQueueHTML } from '../templates/templates.js';
+import {
+    onImportQueueChange,
+    getImportQueue,
+    getImportQueueProgress,
+    cancelImportQueue,
+    retryFailedImports,
+    clearFinishedImports
+} from '../services/importQueue.js';
+
+let unsubscribe = null;
+let collapsed = false;
+
+// Show the floating queue panel; it stays open while the browser is closed and updates itself
+export function showImportQueuePanel() {
+    let panel = document.getElementById('bot-browser-import-queue');
+    if (!panel) {
+        panel = document.createElement('div');
+        panel.id = 'bot-browser-import-queue';
+        panel.className = 'bot-browser-import-queue';
+        document.body.appendChild(panel);
+        setupImportQueueEvents(panel);
+    }
+
+    if (!unsubscribe) {
+        unsubscribe = onImportQueueChange(() => renderImportQueuePanel(panel));
+    }
+
+    renderImportQueuePanel(panel);
+}
+
+export function closeImportQueuePanel() {
+    if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+    }
+    document.getElementById('bot-browser-import-queue')?.remove();
+}
+
+function renderImportQueuePanel(panel) {
+    const progress = getImportQueueProgress();
+    panel.innerHTML = createImportQueueHTML(getImportQueue(), progress);
+    panel.classList.toggle('collapsed', collapsed);
+}
+
+// Delegated, since the panel is re-rendered on every queue change
+function setupImportQueueEvents(panel) {
+    panel.addEventListener('click', (e) => {
+        e.stopPropagation();
+
+        if (e.target.closest('.bot-browser-queue-toggle')) {
+            collapsed = !collapsed;
+            panel.classList.toggle('collapsed', collapsed);
+        } else if (e.target.closest('.bot-browser-queue-cancel')) {
+            cancelImportQueue();
+            toastr.info('Import queue cancelled. Cards already importing will finish.');
+        } else if (e.target.closest('.bot-browser-queue-retry')) {
+            retryFailedImports();
+        } else if (e.target.closest('.bot-browser-queue-close')) {
+            clearFinishedImports();
+            closeImportQueuePanel();
+        }
+    });
+}
@@ -0,0 +1,197 @@
+import { escapeHTML } from '../utils/utils.js';
+import { getTimeAgo } from '../storage/stats.js';
+import { loadImportedCards } from '../storage/storage.js';
+import { getSourceDisplayName } from '../services/sourceRegistry.js';
+import { checkForUpdates, getCheckableImports, getUpdateDiff } from '../services/updates.js';
+
+const STATUS_LABELS = {
+    changed: { icon: 'fa-solid fa-circle-up', text: 'Updated upstream' },
+    unchanged: { icon: 'fa-solid fa-check', text: 'Up to date' },
+    baseline: { icon: 'fa-solid fa-bookmark', text: 'Imported before tracking - saved as baseline' },
+    missing: { icon: 'fa-solid fa-ghost', text: 'No longer at the source' },
+    error: { icon: 'fa-solid fa-triangle-exclamation', text: 'Check failed' }
+};
+
+// Results of the last check, kept while the page is open
+let lastResults = null;
+let lastCheckedAt = null;
+
+/**
+ * Show the "Updates" view for previously imported cards
+ * @param {function(Object): Promise<void>} onReimport - Import the given card over the existing character
+ */
+export function showUpdatesModal(onReimport) {
+    const overlay = document.createElement('div');
+    overlay.id = 'bot-browser-updates-overlay';
+    overlay.className = 'bot-browser-detail-overlay';
+
+    const modal = document.createElement('div');
+    modal.id = 'bot-browser-updates-modal';
+    modal.className = 'bot-browser-detail-modal';
+    modal.innerHTML = `
+        <div class="bot-browser-detail-header">
+            <h2><i class="fa-solid fa-arrows-rotate"></i> Card Updates</h2>
+            <button class="bot-browser-detail-close">
+                <i class="fa-solid fa-times"></i>
+            </button>
+        </div>
+        <div class="bot-browser-detail-content bot-browser-updates-content" style="display: block; overflow-y: auto;"></div>
+        <div class="bot-browser-detail-actions">
+            <button class="bot-browser-import-button bot-browser-updates-check">
+                <i class="fa-solid fa-magnifying-glass"></i> Check Now
+            </button>
+            <button class="bot-browser-detail-back">
+                <i class="fa-solid fa-times"></i> Close
+            </button>
+        </div>
+    `;
+
+    document.body.appendChild(overlay);
+    document.body.appendChild(modal);
+
+    const content = modal.querySelector('.bot-browser-updates-content');
+    const closeModal = () => {
+        modal.remove();
+        overlay.remove();
+    };
+
+    overlay.addEventListener('click', (e) => {
+        e.stopPropagation();
+        closeModal();
+    });
+
+    modal.addEventListener('click', async (e) => {
+        e.stopPropagation();
+
+        if (e.target.closest('.bot-browser-detail-close') || e.target.closest('.bot-browser-detail-back')) {
+            closeModal();
+        } else if (e.target.closest('.bot-browser-updates-check')) {
+            await runCheck(modal, content);
+        } else if (e.target.closest('.bot-browser-update-diff-toggle')) {
+            toggleDiff(e.target.closest('.bot-browser-update-row'));
+        } else if (e.target.closest('.bot-browser-update-reimport')) {
+            const button = e.target.closest('.bot-browser-update-reimport');
+            const result = lastResults?.[parseInt(button.closest('.bot-browser-update-row').dataset.index)];
+            if (!result) return;
+
+            button.disabled = true;
+            try {
+                await onReimport(result.card);
+
+                // Import errors are reported by the import itself; only a fresh import record means it worked
+                const record = loadImportedCards().find(entry => entry.id === result.record.id);
+                if (record && record.importedAt > result.record.importedAt) {
+                    result.record = record;
+                    result.status = 'unchanged';
+                    renderResults(content);
+                }
+            } finally {
+                button.disabled = false;
+            }
+        }
+    });
+
+    renderResults(content);
+}
+
+async function runCheck(modal, content) {
+    const checkButton = modal.querySelector('.bot-browser-updates-check');
+    checkButton.disabled = true;
+    content.innerHTML = '<div class="bot-browser-updates-empty"><i class="fa-solid fa-spinner fa-spin"></i> <span class="bot-browser-updates-progress">Checking...</span></div>';
+
+    try {
+        lastResults = await checkForUpdates((checked, total) => {
+            const progress = content.querySelector('.bot-browser-updates-progress');
+            if (progress) progress.textContent = `Checking ${checked} / ${total}...`;
+        });
+        lastCheckedAt = Date.now();
+    } catch (error) {
+        console.error('[Bot Browser] Update check failed:', error);
+        toastr.error('Failed to check for updates: ' + error.message);
+    } finally {
+        checkButton.disabled = false;
+    }
+
+    renderResults(content);
+}
+
+function renderResults(content) {
+    if (!lastResults) {
+        const count = getCheckableImports().length;
+        content.innerHTML = `
+            <div class="bot-browser-updates-empty">
+                ${count > 0
+                    ? `${count} imported character${count !== 1 ? 's' : ''} can be checked against ${count !== 1 ? 'their sources' : 'its source'}. Press "Check Now" to look for newer versions.`
+                    : 'No imported characters to check yet. Cards you import from now on are tracked here.'}
+            </div>
+        `;
+        return;
+    }
+
+    // Changed cards first, then anything that needs attention
+    const order = ['changed', 'error', 'missing', 'baseline', 'unchanged'];
+    const rows = lastResults
+        .map((result, index) => ({ result, index }))
+        .sort((a, b) => order.indexOf(a.result.status) - order.indexOf(b.result.status));
+    const changedCount = lastResults.filter(result => result.status === 'changed').length;
+
+    content.innerHTML = `
+        <div class="bot-browser-updates-summary">
+            ${changedCount} of ${lastResults.length} card${lastResults.length !== 1 ? 's' : ''} changed upstream • checked ${getTimeAgo(lastCheckedAt)}
+        </div>
+        ${rows.map(({ result, index }) => createUpdateRowHTML(result, index)).join('')}
+    `;
+}
+
+function createUpdateRowHTML(result, index) {
+    const { record, status } = result;
+    const label = STATUS_LABELS[status];
+
+    return `
+        <div class="bot-browser-update-row ${status}" data-index="${index}">
+            <div class="bot-browser-update-main">
+                <i class="${label.icon}"></i>
+                <div class="bot-browser-update-text">
+                    <span class="bot-browser-update-name">${escapeHTML(record.name)}</span>
+                    <small>${escapeHTML(record.creator || 'Unknown')} • ${escapeHTML(getSourceDisplayName(record.source))} • imported ${getTimeAgo(record.importedAt)}</small>
+                    <small class="bot-browser-update-status">${escapeHTML(result.error ? `${label.text}: ${result.error}` : label.text)}</small>
+                </div>
+                ${status === 'changed' ? `
+                    <button class="bot-browser-update-diff-toggle" title="Show what changed"><i class="fa-solid fa-code-compare"></i> Diff</button>
+                    <button class="bot-browser-update-reimport" title="Import the new version over your copy"><i class="fa-solid fa-download"></i> Reimport</button>
+                ` : ''}
+            </div>
+            <div class="bot-browser-update-diff" style="display: none;"></div>
+        </div>
+    `;
+}
+
+// Side-by-side view of the fields that differ, built when first opened
+function toggleDiff(row) {
+    const diffContainer = row.querySelector('.bot-browser-update-diff');
+    if (diffContainer.style.display !== 'none') {
+        diffContainer.style.display = 'none';
+        return;
+    }
+
+    if (!diffContainer.innerHTML) {
+        const result = lastResults[parseInt(row.dataset.index)];
+        const { character, fields } = getUpdateDiff(result.record, result.card);
+
+        diffContainer.innerHTML = `
+            ${!character ? '<div class="bot-browser-updates-empty">Your copy was not found in SillyTavern, showing the new version only.</div>' : ''}
+            ${fields.length === 0 ? '<div class="bot-browser-updates-empty">Only fields that aren\'t compared here changed.</div>' : ''}
+            ${fields.map(field => `
+                <div class="bot-browser-update-diff-field">
+                    <div class="bot-browser-update-diff-label">${escapeHTML(field.label)}</div>
+                    <div class="bot-browser-update-diff-columns">
+                        <div><small>In SillyTavern</small><pre>${escapeHTML(field.local)}</pre></div>
+                        <div><small>At the source</small><pre>${escapeHTML(field.upstream)}</pre></div>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    diffContainer.style.display = 'block';
+}
@@ -0,0 +1,43 @@
+// Personal Chub sources for the account behind the saved API token
+import { fetchChubFavorites, fetchAllChubFavorites, fetchChubUploads, fetchAllChubUploads, fetchChubFollowedCreatorCards } from '../services/chubApi.js';
+import { CHUB_SORT_OPTIONS, chubFavoriteActions, importChubCard } from './chubProvider.js';
+
+const CHUB_ICON = 'https://avatars.charhub.io/icons/assets/full_logo.png';
+
+// Shared by every account source: cards come from the live API and import like Chub cards
+function createAccountProvider(fields) {
+    return {
+        icon: CHUB_ICON,
+        iconBackground: 'white',
+        includeInAll: false,
+        getFullCard: async (card) => card,
+        importCard: importChubCard,
+        ...chubFavoriteActions,
+        ...fields
+    };
+}
+
+// Favorites and uploads are plain Chub searches, so they support the live sorts and paging.
+// list() has no cursor to hand back, so it loads every page up front.
+function createAccountSearchProvider(fields, fetchPage, fetchAll) {
+    return createAccountProvider({
+        sortOptions: CHUB_SORT_OPTIONS,
+        list: () => fetchAll(),
+        search: (query, { sort = 'default', nsfw = true } = {}) => fetchPage({ sort, search: query, nsfw, first: 200 }),
+        sort: (sortBy, { nsfw = true } = {}) => fetchPage({ sort: sortBy, nsfw }),
+        paginate: (cursor, { sort = 'default', search = '', nsfw = true } = {}) => fetchPage({ sort, search, nsfw, cursor, first: 200 }),
+        ...fields
+    });
+}
+
+export function createChubAccountProviders() {
+    return [
+        createAccountSearchProvider({ name: 'chub_favorites', displayName: 'My Chub Favorites' }, fetchChubFavorites, fetchAllChubFavorites),
+        createAccountProvider({
+            name: 'chub_following',
+            displayName: 'Creators I Follow',
+            list: () => fetchChubFollowedCreatorCards()
+        }),
+        createAccountSearchProvider({ name: 'chub_uploads', displayName: 'My Uploads' }, fetchChubUploads, fetchAllChubUploads)
+    ];
+}
@@ -0,0 +1,193 @@
+// Provider for Chub: the static GitHub index plus Chub's live API for search, sorting and paging
+import { importWorldInfo } from '../../../../../world-info.js';
+import { fetchChubCards, fetchChubLorebookEntries, hasChubToken, getChubFullPath, isChubFavorite, setChubFavorite } from '../services/chubApi.js';
+import { readCardFromPng, normalizeCardJson } from '../utils/cardFiles.js';
+import { createHttpError } from '../utils/utils.js';
+import { createStaticIndexProvider, loadFullCardFromChunk } from './staticIndexProvider.js';
+
+export const CHUB_SORT_OPTIONS = [
+    { value: 'recent', label: '🕐 Recent' },
+    { value: 'trending', label: '🔥 Trending' },
+    { value: 'rating', label: '⭐ Top Rated' },
+    { value: 'stars', label: '✨ Most Stars' },
+    { value: 'downloads', label: '📥 Most Downloads' },
+    { value: 'favorites', label: '❤️ Most Favorites' },
+    { value: 'newcomer', label: '🆕 Newcomers' },
+    { value: 'activity', label: '📅 Recently Active' }
+];
+
+const CHUB_FILTER_FIELDS = [
+    { key: 'topics', label: 'Include tags', type: 'tags', placeholder: 'e.g. fantasy, female' },
+    { key: 'excludeTopics', label: 'Exclude tags', type: 'tags', placeholder: 'e.g. nsfl' },
+    { key: 'minTokens', label: 'Min tokens', type: 'number' },
+    { key: 'maxTokens', label: 'Max tokens', type: 'number' },
+    { key: 'requireLore', label: 'Lorebook', type: 'checkbox' },
+    { key: 'requireExpressions', label: 'Expressions', type: 'checkbox' },
+    { key: 'requireGallery', label: 'Gallery', type: 'checkbox' },
+    {
+        key: 'language',
+        label: 'Language',
+        type: 'select',
+        options: [
+            { value: '', label: 'Any' },
+            { value: 'en', label: 'English' },
+            { value: 'ja', label: 'Japanese' },
+            { value: 'zh', label: 'Chinese' },
+            { value: 'ko', label: 'Korean' },
+            { value: 'ru', label: 'Russian' },
+            { value: 'es', label: 'Spanish' },
+            { value: 'pt', label: 'Portuguese' },
+            { value: 'fr', label: 'French' },
+            { value: 'de', label: 'German' }
+        ]
+    }
+];
+
+// Lorebook search only understands the tag and language filters
+const CHUB_LOREBOOK_FILTER_FIELDS = CHUB_FILTER_FIELDS.filter(field => ['topics', 'excludeTopics', 'language'].includes(field.key));
+
+// Both sources start from the static index and switch to Chub's live API for search, sorting and paging
+export function createChubProvider(name) {
+    const provider = {
+        ...createStaticIndexProvider(name),
+        importCard: importChubCard
+    };
+
+    if (name === 'chub_lorebooks') {
+        const namespace = 'lorebooks';
+        return {
+            ...provider,
+            sortOptions: CHUB_SORT_OPTIONS,
+            filterFields: CHUB_LOREBOOK_FILTER_FIELDS,
+            getFullCard: getFullLorebook,
+            search: (query, { sort = 'default', nsfw = true, filters = {} } = {}) => fetchChubCards({ sort, first: 200, search: query, nsfw, filters, namespace }),
+            sort: (sortBy, { nsfw = true, filters = {} } = {}) => fetchChubCards({ sort: sortBy, first: 200, nsfw, filters, namespace }),
+            paginate: (cursor, { sort = 'default', search = '', nsfw = true, filters = {} } = {}) => fetchChubCards({ sort, first: 200, search, nsfw, cursor, filters, namespace })
+        };
+    }
+
+    return {
+        ...provider,
+        ...chubFavoriteActions,
+        sortOptions: CHUB_SORT_OPTIONS,
+        filterFields: CHUB_FILTER_FIELDS,
+        search: (query, { sort = 'default', nsfw = true, filters = {} } = {}) => fetchChubCards({ sort, first: 200, search: query, nsfw, filters }),
+        sort: (sortBy, { nsfw = true, filters = {} } = {}) => fetchChubCards({ sort: sortBy, first: 500, nsfw, filters }),
+        paginate: (cursor, { sort = 'default', search = '', nsfw = true, filters = {} } = {}) => fetchChubCards({ sort, first: 200, search, nsfw, cursor, filters })
+    };
+}
+
+// Star button in the detail modal, for Chub characters when the user saved an API token
+export const chubFavoriteActions = {
+    isFavorite: async (card) => (hasChubToken() && getChubFullPath(card) ? isChubFavorite(card) : null),
+    setFavorite: (card, favorite) => setChubFavorite(card, favorite)
+};
+
+// Lorebooks from the static index carry their entries in a chunk; live API results are fetched from Chub
+async function getFullLorebook(card) {
+    if (card.chunk) {
+        return loadFullCardFromChunk(card);
+    }
+
+    const fullPath = card.id.split('/lorebooks/')[1];
+    try {
+        return { ...card, entries: fullPath ? await fetchChubLorebookEntries(fullPath) : {} };
+    } catch (error) {
+        console.error('[Bot Browser] Could not load lorebook entries from Chub:', error);
+        // Still show it as a lorebook, just without entries
+        return { ...card, entries: {} };
+    }
+}
+
+// Chub cards are imported through SillyTavern's importURL endpoint, anything else the default way
+export async function importChubCard(card, context) {
+    if (card.id && card.id.includes('/lorebooks/')) {
+        return await importLorebook(card, context);
+    }
+
+    if (card.id && card.id.includes('chub.ai/characters/')) {
+        console.log('[Bot Browser] Using importURL for Chub character:', card.id);
+        return await importChubCharacter(card, context);
+    }
+
+    return await context.importDefault(card);
+}
+
+// Import Chub character using importURL endpoint
+async function importChubCharacter(card, { getRequestHeaders, processDroppedFiles, trackImport, noteRoute, inspection }) {
+    console.log('[Bot Browser] Importing Chub character via importURL:', card.id);
+
+    const request = await fetch('/api/content/importURL', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ url: card.id }),
+    });
+
+    if (!request.ok) {
+        const errorText = await request.text();
+        console.error('[Bot Browser] importURL failed:', request.status, errorText);
+        throw createHttpError(`Failed to import character: ${request.statusText}`, request);
+    }
+
+    // The endpoint returns a binary file (PNG with embedded character data)
+    const characterBlob = await request.blob();
+    
+    // Check if we got an error response instead of a file
+    if (characterBlob.size < 100) {
+        const text = await characterBlob.text();
+        if (text.includes('error')) {
+            console.error('[Bot Browser] Import error response:', text);
+            throw new Error('Failed to download character from Chub');
+        }
+    }
+
+    console.log('[Bot Browser] Downloaded character file:', characterBlob.size, 'bytes');
+    noteRoute('Chub card PNG downloaded through SillyTavern (importURL)');
+
+    // Create a file and import it
+    const fileName = card.name.replace(/[^a-z0-9]/gi, '_').toLowerCase() + '.png';
+    const file = new File([characterBlob], fileName, { type: 'image/png' });
+    
+    await processDroppedFiles([file]);
+
+    if (!inspection) {
+        toastr.success(`${card.name} imported successfully!`, '', { timeOut: 2000 });
+    }
+    console.log('[Bot Browser] ✓ Chub character imported via importURL');
+
+    // Track import with the definition we actually got, so the update checker has something to compare
+    const definition = normalizeCardJson(await readCardFromPng(new Uint8Array(await characterBlob.arrayBuffer())))?.data;
+    return trackImport(definition ? { ...card, definition } : card, 'character');
+}
+
+// Import lorebook
+async function importLorebook(card, { getRequestHeaders, trackImport }) {
+    const request = await fetch('/api/content/importURL', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ url: card.id }),
+    });
+
+    if (!request.ok) {
+        toastr.error(`Failed to import lorebook: ${request.statusText}`, 'Import Failed');
+        console.error('Lorebook import failed', request.status, request.statusText);
+        throw new Error(`Failed to import lorebook: ${request.statusText}`);
+    }
+
+    const lorebookData = await request.blob();
+
+    // Create a file name
+    const fileName = card.name.replace(/[^a-z0-9]/gi, '_').toLowerCase() + '.json';
+
+    // Create a File object from the blob
+    const file = new File([lorebookData], fileName, { type: 'application/json' });
+
+    // Use SillyTavern's native importWorldInfo function
+    // This properly updates the UI without requiring a page refresh
+    await importWorldInfo(file);
+
+    console.log('[Bot Browser] Lorebook imported successfully using importWorldInfo');
+
+    // Track import
+    return trackImport(card, 'lorebook');
+}
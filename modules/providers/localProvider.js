@@ -0,0 +1,36 @@
+// Provider for the user's own cards loaded from a folder or zip
+import { LOCAL_SOURCE_NAME, getLocalCollectionCards, getLocalCardFile, pickLocalCollection } from '../services/localCollection.js';
+
+export function createLocalProvider() {
+    return {
+        name: LOCAL_SOURCE_NAME,
+        displayName: 'Local Collection',
+        list: () => getLocalCollectionCards(),
+        // Index entries already hold every card field
+        getFullCard: async (card) => card,
+        importCard: importLocalCard,
+        promptForCards: async () => {
+            const result = await pickLocalCollection(false);
+            if (result) {
+                toastr.success(`Loaded ${result.added} card${result.added !== 1 ? 's' : ''}${result.skipped > 0 ? ` (${result.skipped} files skipped)` : ''}`, 'Local Collection');
+            }
+            return getLocalCollectionCards();
+        }
+    };
+}
+
+// The original PNG/JSON/CharX goes straight to SillyTavern's importer, so nothing is lost
+async function importLocalCard(card, { processDroppedFiles, trackImport, noteRoute, inspection }) {
+    const file = await getLocalCardFile(card);
+    if (!file) {
+        throw new Error('Card is no longer in the local collection');
+    }
+
+    noteRoute(`Original ${file.name.split('.').pop().toUpperCase()} file from the local collection`);
+    await processDroppedFiles([file]);
+
+    if (!inspection) {
+        toastr.success(`${card.name} imported successfully!`, '', { timeOut: 2000 });
+    }
+    return trackImport(card, 'character');
+}
@@ -0,0 +1,134 @@
+/**
+ * Source Provider Registry
+ * Every source the browser can show is backed by a provider. The GitHub indexes and Chub
+ * are built in; other extensions can register their own at runtime (also exposed as
+ * window.BotBrowser.registerSourceProvider).
+ */
+
+import { createStaticIndexProvider } from './staticIndexProvider.js';
+import { createChubProvider } from './chubProvider.js';
+import { createChubAccountProviders } from './chubAccountProvider.js';
+import { createLocalProvider } from './localProvider.js';
+import { addSource, removeSource, getSource } from '../services/sourceRegistry.js';
+
+/**
+ * @typedef {Object} ProviderPage
+ * @property {Array} cards - Cards in the internal card format (id, name, creator, tags, avatar_url, ...)
+ * @property {string|null} cursor - Cursor for the next page, or null when there is none
+ * @property {number} count - Total number of results the provider knows about
+ */
+
+/**
+ * @typedef {Object} ProviderFilterField
+ * @property {string} key - Key in the filters object passed to search/sort/paginate
+ * @property {string} label
+ * @property {'tags'|'number'|'checkbox'|'select'} type - tags are entered comma-separated and passed as an array
+ * @property {string} [placeholder]
+ * @property {Array<{value: string, label: string}>} [options] - Choices for select fields
+ */
+
+/**
+ * @typedef {Object} SourceProvider
+ * @property {string} name - Unique source name, used as data-source and card.sourceService
+ * @property {boolean} [staticIndex] - Set by built-in providers backed by the GitHub index
+ * @property {string} [displayName] - Name shown on the sources screen and browser header
+ * @property {string} [icon] - Icon URL for the source button
+ * @property {string} [iconBackground] - Background behind transparent icons
+ * @property {'characters'|'lorebooks'} [type] - Sources tab the provider appears in (default characters)
+ * @property {boolean} [includeInAll] - Set to false to keep the source out of "All" and the roulette
+ * @property {Array<{value: string, label: string}>} [sortOptions] - Extra sorts handled by sort()
+ * @property {Array<ProviderFilterField>} [filterFields] - Server-side filters shown in the browser header
+ * @property {function(): Promise<Array>} list - Initial cards for the browser grid
+ * @property {function(string, Object): Promise<ProviderPage>} [search] - Server-side search ({ sort, nsfw, filters })
+ * @property {function(string, Object): Promise<ProviderPage>} [sort] - Server-side sort for one of sortOptions, or 'default' ({ nsfw, filters })
+ * @property {function(string, Object): Promise<ProviderPage>} [paginate] - Next page for a cursor ({ sort, search, nsfw, filters })
+ * @property {function(Object): Promise<Object>} [getFullCard] - Resolve the complete card for the detail modal
+ * @property {function(Object): Promise<boolean|null>} [isFavorite] - Favorite state on the source's site, null when unavailable
+ * @property {function(Object, boolean): Promise<void>} [setFavorite] - Add the card to the user's favorites on the site, or remove it
+ * @property {function(): Promise<Array>} [promptForCards] - Ask the user for cards when the source is opened with an empty list
+ * @property {function(Object, Object): Promise<Object>} [importCard] - Import into SillyTavern, returns updated import stats.
+ *     Receives a context with getRequestHeaders, processDroppedFiles, trackImport(card, type) and importDefault(card).
+ *     When context.inspection is set the import is only being previewed: skip toasts and other side effects,
+ *     and describe the path taken with context.noteRoute(text)
+ */
+
+const providers = new Map();
+
+/**
+ * Register a source provider. Registering a name that already exists replaces it.
+ * @param {SourceProvider} provider
+ */
+export function registerSourceProvider(provider) {
+    if (!provider || typeof provider.name !== 'string' || !provider.name) {
+        throw new Error('Source provider needs a name');
+    }
+    if (provider.name === 'all') {
+        throw new Error('"all" is reserved for the aggregated source');
+    }
+    if (typeof provider.list !== 'function') {
+        throw new Error(`Source provider "${provider.name}" must implement list()`);
+    }
+
+    providers.set(provider.name, provider);
+
+    // Providers that aren't in master-index.json get their own source button
+    if (!getSource(provider.name) || provider.displayName || provider.icon) {
+        addSource({
+            name: provider.name,
+            displayName: provider.displayName,
+            icon: provider.icon,
+            iconBackground: provider.iconBackground,
+            type: provider.type,
+            includeInAll: provider.includeInAll
+        });
+    }
+
+    console.log(`[Bot Browser] Registered source provider: ${provider.name}`);
+}
+
+/**
+ * Remove a runtime-registered provider and its source button
+ * @param {string} name
+ */
+export function unregisterSourceProvider(name) {
+    providers.delete(name);
+    removeSource(name);
+}
+
+/**
+ * Provider for a source name. Sources without a registered provider are GitHub indexes.
+ * @param {string} name
+ * @returns {SourceProvider|null} - null for the "all" aggregate
+ */
+export function getProvider(name) {
+    if (!name || name === 'all') return null;
+
+    if (!providers.has(name)) {
+        providers.set(name, createStaticIndexProvider(name));
+    }
+    return providers.get(name);
+}
+
+/**
+ * Provider responsible for a card, based on the source it came from
+ * @param {Object} card
+ * @returns {SourceProvider}
+ */
+export function getProviderForCard(card) {
+    return getProvider(card.sourceService || card.service) || createStaticIndexProvider(card.service);
+}
+
+registerSourceProvider(createChubProvider('chub'));
+registerSourceProvider(createChubProvider('chub_lorebooks'));
+registerSourceProvider(createLocalProvider());
+
+// Favorites, follows and uploads only exist with a Chub API token
+export function updateChubAccountProviders(enabled) {
+    for (const provider of createChubAccountProviders()) {
+        if (enabled) {
+            registerSourceProvider(provider);
+        } else if (providers.has(provider.name)) {
+            unregisterSourceProvider(provider.name);
+        }
+    }
+}
@@ -0,0 +1,60 @@
+// Provider for sources published as static indexes in the updated_cards GitHub repo
+import { loadServiceIndex, loadCardChunk } from '../services/cache.js';
+
+export function createStaticIndexProvider(name) {
+    return {
+        name,
+        // Cards come from the GitHub index, so they can be preloaded and cached offline
+        staticIndex: true,
+        list: () => loadServiceIndex(name),
+        getFullCard: (card) => loadFullCardFromChunk(card)
+    };
+}
+
+// Merge the full card data from its chunk file into the index entry
+export async function loadFullCardFromChunk(card) {
+    let fullCard = card;
+    const chunkService = card.sourceService || card.service;
+
+    if (card.entries && typeof card.entries === 'object' && Object.keys(card.entries).length > 0) {
+        return card;
+    }
+
+    if (card.chunk && chunkService) {
+        const chunkData = await loadCardChunk(chunkService, card.chunk);
+
+        let cardsArray = null;
+        if (chunkData && chunkData.cards && Array.isArray(chunkData.cards)) {
+            cardsArray = chunkData.cards;
+        } else if (chunkData && chunkData.lorebooks && Array.isArray(chunkData.lorebooks)) {
+            cardsArray = chunkData.lorebooks;
+        } else if (chunkData && Array.isArray(chunkData) && chunkData.length > 0) {
+            cardsArray = chunkData;
+        }
+
+        if (cardsArray && cardsArray.length > 0) {
+            let chunkCard = cardsArray.find(c =>
+                c.id === card.id ||
+                (c.image_url && c.image_url === card.id) ||
+                (c.image_url && c.image_url === card.image_url)
+            );
+
+            if (!chunkCard) {
+                chunkCard = cardsArray.find(c => c.name === card.name);
+            }
+
+            if (chunkCard) {
+                fullCard = { ...chunkCard, ...card };
+            } else {
+                const fallbackCard = cardsArray[card.chunk_idx];
+                if (fallbackCard) {
+                    fullCard = { ...fallbackCard, ...card };
+                }
+            }
+        } else if (chunkData && !Array.isArray(chunkData) && chunkData.entries && typeof chunkData.entries === 'object') {
+            fullCard = { ...card, ...chunkData };
+        }
+    }
+
+    return fullCard;
+}
@@ -1,19 +1,196 @@
 import { default_avatar } from '../../../../../../script.js';
+import { getCachedEntry, getCachedEntryMeta, putCachedEntry, clearDataCache } from '../storage/dataCache.js';
 
-const baseUrl = 'https://raw.githubusercontent.com/mia13165/updated_cards/refs/heads/main';
+export const DEFAULT_DATA_URL = 'https://raw.githubusercontent.com/mia13165/updated_cards/refs/heads/main';
+
+// Primary data URL followed by fallback mirrors of the updated_cards repo, tried in order
+let dataUrls = [DEFAULT_DATA_URL];
+
+// Result of the last request made to each data URL: { status: 'ok'|'error', checkedAt, latency, error }
+const mirrorHealth = {};
+
+// How long a stale cached copy may wait on the network before we give up and serve it
+const STALE_FETCH_TIMEOUT = 8000;
+
+// Cached data younger than this is served without contacting GitHub
+let cacheMaxAgeMs = 6 * 60 * 60 * 1000;
+
+// When enabled, nothing is downloaded and only the persisted cache is used
+let offlineModeEnabled = false;
 
 // Storage for loaded data
 const loadedData = {
     masterIndex: null,
     serviceIndexes: {},
-    loadedChunks: {}
+    loadedChunks: {},
+    serviceErrors: {}
 };
 
+export function setCacheMaxAge(hours) {
+    cacheMaxAgeMs = Math.max(0, Number(hours) || 0) * 60 * 60 * 1000;
+}
+
+export function setOfflineMode(enabled) {
+    offlineModeEnabled = !!enabled;
+}
+
+// Offline when the user asked for it or the browser has no connection
+export function isOfflineMode() {
+    return offlineModeEnabled || navigator.onLine === false;
+}
+
+function normalizeDataUrl(url) {
+    return typeof url === 'string' ? url.trim().replace(/\/+$/, '') : '';
+}
+
+// Set the primary data URL (empty = GitHub) and the ordered list of fallback mirrors
+export function setDataSources(primaryUrl, mirrors = []) {
+    const urls = [normalizeDataUrl(primaryUrl) || DEFAULT_DATA_URL, ...mirrors.map(normalizeDataUrl)]
+        .filter(url => url.length > 0);
+    dataUrls = [...new Set(urls)];
+}
+
+export function getMirrorHealth(url) {
+    return mirrorHealth[normalizeDataUrl(url)] || null;
+}
+
+function recordMirrorHealth(url, startedAt, error = null) {
+    mirrorHealth[url] = {
+        status: error ? 'error' : 'ok',
+        checkedAt: Date.now(),
+        latency: Date.now() - startedAt,
+        error: error ? (error.name === 'AbortError' ? 'Timed out' : error.message) : null
+    };
+}
+
+// Request master-index.json from a data URL to see whether it is usable
+export async function checkMirrorHealth(url) {
+    const mirrorUrl = normalizeDataUrl(url);
+    const startedAt = Date.now();
+
+    try {
+        const response = await fetchWithTimeout(`${mirrorUrl}/index/master-index.json`, { cache: 'no-store' }, STALE_FETCH_TIMEOUT);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        recordMirrorHealth(mirrorUrl, startedAt);
+    } catch (error) {
+        recordMirrorHealth(mirrorUrl, startedAt, error);
+    }
+
+    return mirrorHealth[mirrorUrl];
+}
+
+async function fetchWithTimeout(url, options, timeout) {
+    if (!timeout) {
+        return fetch(url, options);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Fetch a path from the first data URL that answers, moving on to the next mirror
+// on network errors, timeouts and HTTP errors. A 304 counts as an answer.
+async function fetchFromMirrors(path, conditionalHeaders, hasCachedCopy) {
+    let lastError = null;
+
+    for (let i = 0; i < dataUrls.length; i++) {
+        const mirrorUrl = dataUrls[i];
+        const url = `${mirrorUrl}/${path}`;
+        // Don't let one slow mirror hold up the others or a usable cached copy
+        const timeout = hasCachedCopy || i < dataUrls.length - 1 ? STALE_FETCH_TIMEOUT : 0;
+        const startedAt = Date.now();
+
+        try {
+            let response;
+            try {
+                response = await fetchWithTimeout(url, { headers: conditionalHeaders }, timeout);
+            } catch (error) {
+                // Conditional headers need a CORS preflight; retry as a plain request before giving up
+                if (Object.keys(conditionalHeaders).length === 0 || error.name === 'AbortError') throw error;
+                response = await fetchWithTimeout(url, {}, timeout);
+            }
+
+            if (!response.ok && response.status !== 304) {
+                const error = new Error(`Failed to load ${path} (${response.status})`);
+                error.status = response.status;
+                throw error;
+            }
+
+            recordMirrorHealth(mirrorUrl, startedAt);
+            return response;
+        } catch (error) {
+            recordMirrorHealth(mirrorUrl, startedAt, error);
+            if (i < dataUrls.length - 1) {
+                console.warn(`[Bot Browser] ${mirrorUrl} failed for ${path}, trying next mirror:`, error.message);
+            }
+            lastError = error;
+        }
+    }
+
+    throw lastError;
+}
+
+// Fetch a JSON file relative to the data URLs through the persistent cache.
+// Fresh copies are returned as-is, older ones are revalidated with ETag/Last-Modified,
+// and the last known copy is served whenever every mirror is slow or unreachable.
+// Returns null for empty files; throws (with error.status for HTTP errors) when nothing is cached.
+async function fetchCachedJson(path) {
+    const cached = await getCachedEntry(path);
+    if (cached && (isOfflineMode() || Date.now() - cached.fetchedAt < cacheMaxAgeMs)) {
+        return cached.data;
+    }
+
+    if (isOfflineMode()) {
+        const error = new Error(`${path} is not available offline`);
+        error.offline = true;
+        throw error;
+    }
+
+    const conditionalHeaders = {};
+    if (cached?.etag) conditionalHeaders['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) conditionalHeaders['If-Modified-Since'] = cached.lastModified;
+
+    let response;
+    try {
+        response = await fetchFromMirrors(path, conditionalHeaders, !!cached);
+    } catch (error) {
+        if (cached) {
+            console.warn(`[Bot Browser] Could not load ${path} from any mirror, using cached copy from ${new Date(cached.fetchedAt).toLocaleString()}`);
+            return cached.data;
+        }
+        throw error;
+    }
+
+    if (response.status === 304 && cached) {
+        await putCachedEntry(path, { ...cached, fetchedAt: Date.now() });
+        return cached.data;
+    }
+
+    const text = await response.text();
+    const data = text && text.trim().length > 0 ? JSON.parse(text) : null;
+
+    await putCachedEntry(path, {
+        data,
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified'),
+        fetchedAt: Date.now()
+    });
+
+    return data;
+}
+
 export async function loadMasterIndex() {
     try {
-        const response = await fetch(`${baseUrl}/index/master-index.json`);
-        if (!response.ok) throw new Error('Failed to load master index');
-        loadedData.masterIndex = await response.json();
+        const data = await fetchCachedJson('index/master-index.json');
+        if (!data) throw new Error('Failed to load master index');
+        loadedData.masterIndex = data;
         return loadedData.masterIndex;
     } catch (error) {
         console.error('[Bot Browser] Error loading master index:', error);
@@ -27,23 +204,16 @@ export async function loadServiceIndex(serviceName) {
         return loadedData.serviceIndexes[serviceName];
     }
 
-    try {
-        const response = await fetch(`${baseUrl}/index/${serviceName}-search.json`);
-        if (!response.ok) {
-            console.warn(`[Bot Browser] ${serviceName} index not found (${response.status})`);
-            loadedData.serviceIndexes[serviceName] = [];
-            return [];
-        }
+    delete loadedData.serviceErrors[serviceName];
 
-        const text = await response.text();
-        if (!text || text.trim().length === 0) {
+    try {
+        const data = await fetchCachedJson(`index/${serviceName}-search.json`);
+        if (!data) {
             console.warn(`[Bot Browser] ${serviceName} index is empty`);
             loadedData.serviceIndexes[serviceName] = [];
             return [];
         }
 
-        const data = JSON.parse(text);
-
         // Handle different data formats: object with cards/lorebooks array, or direct array
         const items = data.cards || data.lorebooks || data;
         if (!Array.isArray(items)) {
@@ -53,12 +223,68 @@ export async function loadServiceIndex(serviceName) {
         loadedData.serviceIndexes[serviceName] = items;
         return items;
     } catch (error) {
-        console.error(`[Bot Browser] Error loading ${serviceName} index:`, error);
-        loadedData.serviceIndexes[serviceName] = [];
+        if (error.offline) {
+            console.warn(`[Bot Browser] ${serviceName} index has not been cached for offline use`);
+        } else if (error.status) {
+            console.warn(`[Bot Browser] ${serviceName} index not found (${error.status})`);
+        } else {
+            console.error(`[Bot Browser] Error loading ${serviceName} index:`, error);
+        }
+        // Not kept in loadedData.serviceIndexes so the next attempt tries again
+        loadedData.serviceErrors[serviceName] = error.offline ? 'Not available offline' : error.message;
         return [];
     }
 }
 
+// Service indexes already in memory, by service name; nothing is fetched
+export function getLoadedServiceIndexes() {
+    return { ...loadedData.serviceIndexes };
+}
+
+// Reason the last loadServiceIndex call for this service came back empty, or null
+export function getServiceLoadError(serviceName) {
+    return loadedData.serviceErrors[serviceName] || null;
+}
+
+// 'fresh', 'stale' (older than the max age) or 'missing' (never downloaded) for a service index
+export async function getSourceCacheStatus(serviceName) {
+    const meta = await getCachedEntryMeta(`index/${serviceName}-search.json`);
+    if (!meta) return 'missing';
+    return Date.now() - meta.fetchedAt < cacheMaxAgeMs ? 'fresh' : 'stale';
+}
+
+export async function isChunkCached(service, chunkFile) {
+    if (loadedData.loadedChunks[`${service}/${chunkFile}`]) return true;
+    return !!(await getCachedEntryMeta(`chunks/${service}/${chunkFile}`));
+}
+
+// Keep a copy of a card image so the card can still be imported offline
+export async function cacheCardImage(imageUrl) {
+    if (!imageUrl || isOfflineMode()) return;
+
+    const key = `images/${imageUrl}`;
+    if (await getCachedEntryMeta(key)) return;
+
+    try {
+        const response = await fetch(imageUrl);
+        if (!response.ok) return;
+
+        const blob = await response.blob();
+        if (!blob.type.startsWith('image/')) return;
+
+        await putCachedEntry(key, { data: blob, fetchedAt: Date.now() });
+    } catch (error) {
+        // Images that block CORS simply can't be imported offline
+        console.log('[Bot Browser] Could not cache card image for offline use:', imageUrl);
+    }
+}
+
+export async function getCachedCardImage(imageUrl) {
+    if (!imageUrl) return null;
+    const entry = await getCachedEntry(`images/${imageUrl}`);
+    return entry ? entry.data : null;
+}
+
 export async function loadCardChunk(service, chunkFile) {
     const chunkKey = `${service}/${chunkFile}`;
     if (loadedData.loadedChunks[chunkKey]) {
@@ -66,10 +292,8 @@ export async function loadCardChunk(service, chunkFile) {
     }
 
     try {
-        const response = await fetch(`${baseUrl}/chunks/${service}/${chunkFile}`);
-        if (!response.ok) throw new Error(`Failed to load chunk ${chunkKey}`);
-
-        const parsedData = await response.json();
+        const parsedData = await fetchCachedJson(`chunks/${service}/${chunkFile}`);
+        if (!parsedData) throw new Error(`Failed to load chunk ${chunkKey}`);
 
         let data;
         if (Array.isArray(parsedData)) {
@@ -145,11 +369,8 @@ function cleanupModal() {
     }
 }
 
-export async function initializeServiceCache(showCardDetailFunc) {
+export async function initializeServiceCache(showCardDetailFunc, allServices) {
     try {
-        await loadMasterIndex();
-
-        const allServices = ['character_tavern', 'catbox', 'webring', 'chub', 'anchorhold', 'risuai_realm', 'nyai_me', 'desuarchive', 'mlpchag'];
         let defaultAvatarCard = null;
         let cachedServices = {};
 
@@ -200,3 +421,12 @@ export function getLoadedChunk(service, chunkFile) {
     const chunkKey = `${service}/${chunkFile}`;
     return loadedData.loadedChunks[chunkKey];
 }
+
+// Drop both the in-memory and the persisted copies so the next load hits the network
+export async function clearCachedData() {
+    loadedData.masterIndex = null;
+    loadedData.serviceIndexes = {};
+    loadedData.loadedChunks = {};
+    loadedData.serviceErrors = {};
+    await clearDataCache();
+}
@@ -0,0 +1,68 @@
+// Edits made in the detail modal, written into whatever file the import path produces
+import { readCardFromPng } from '../utils/cardFiles.js';
+import { toCardV3, applyCardEdits, writeCardToPng } from '../utils/cardSpec.js';
+import { loadJSZip } from '../utils/utils.js';
+
+function getEditedFileName(file, edits) {
+    if (!edits.name) return file.name;
+    const extension = file.name.split('.').pop();
+    return edits.name.replace(/[^a-z0-9]/gi, '_').toLowerCase() + '.' + extension;
+}
+
+/**
+ * The same file with the edits applied to its card data
+ * @param {File} file - PNG, JSON or CharX card
+ * @param {Object|null} edits - V3 data fields; null returns the file as is
+ * @returns {Promise<File>}
+ */
+export async function applyCardEditsToFile(file, edits) {
+    if (!edits) return file;
+
+    const extension = file.name.split('.').pop().toLowerCase();
+    const fileName = getEditedFileName(file, edits);
+
+    if (extension === 'png') {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const cardJson = await readCardFromPng(bytes);
+        if (!cardJson) throw new Error('The card image carries no character data to edit');
+
+        const edited = writeCardToPng(bytes, applyCardEdits(toCardV3(cardJson), edits));
+        return new File([edited], fileName, { type: 'image/png' });
+    }
+
+    if (extension === 'json') {
+        const edited = applyCardEdits(toCardV3(JSON.parse(await file.text())), edits);
+        return new File([JSON.stringify(edited)], fileName, { type: 'application/json' });
+    }
+
+    if (extension === 'charx') {
+        const JSZip = await loadJSZip();
+        const zip = await JSZip.loadAsync(file);
+        const cardFile = zip.file('card.json');
+        if (!cardFile) throw new Error('card.json not found in CharX');
+
+        const edited = applyCardEdits(toCardV3(JSON.parse(await cardFile.async('string'))), edits);
+        zip.file('card.json', JSON.stringify(edited));
+        return new File([await zip.generateAsync({ type: 'blob' })], fileName, { type: 'application/zip' });
+    }
+
+    throw new Error(`Can't edit .${extension} cards`);
+}
+
+/**
+ * Wrap processDroppedFiles so every card file gets the edits before SillyTavern sees it
+ * @param {function(Array<File>): Promise<void>} processDroppedFiles
+ * @param {Object|null} edits - V3 data fields; null passes files through unchanged
+ * @returns {function(Array<File>): Promise<void>}
+ */
+export function withCardEdits(processDroppedFiles, edits) {
+    if (!edits) return processDroppedFiles;
+
+    return async (files) => {
+        const editedFiles = [];
+        for (const file of files) {
+            editedFiles.push(await applyCardEditsToFile(file, edits));
+        }
+        await processDroppedFiles(editedFiles);
+    };
+}
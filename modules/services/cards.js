@@ -1,3 +1,8 @@
+import { Fuse } from '../../../../../../lib.js';
+import { getCharacterSourceNames } from './sourceRegistry.js';
+import { isDisplayableImageUrl } from '../utils/utils.js';
+import { parseSearchQuery, matchesQueryTerms, getUnsupportedTerms } from './searchQuery.js';
+
 export function getAllTags(cards) {
     const tagsSet = new Set();
     cards.forEach(card => {
@@ -19,6 +24,25 @@ export function getAllCreators(cards) {
     return Array.from(creatorsSet).sort();
 }
 
+// Fuse.js index for the fuzzy part of the search box
+export function createCardFuse(cards, extensionName, extension_settings) {
+    const fuseOptions = {
+        keys: [
+            { name: 'name', weight: 3 },
+            { name: 'creator', weight: 2 },
+            { name: 'desc_search', weight: 1.5 },
+            { name: 'desc_preview', weight: 1 },
+            { name: 'tags', weight: 1.5 }
+        ],
+        threshold: extension_settings[extensionName].fuzzySearchThreshold || 0.4,
+        distance: 100,
+        minMatchCharLength: 2,
+        ignoreLocation: true,
+        useExtendedSearch: true
+    };
+    return new Fuse(cards, fuseOptions);
+}
+
 // Sort cards based on current sort option
 export function sortCards(cards, sortBy) {
     const sorted = [...cards]; // Create a copy to avoid mutating original
@@ -87,28 +111,68 @@ export function isApiLevelSort(sortBy) {
     return apiSorts.includes(sortBy);
 }
 
+/**
+ * Filter state of the card browser. Cards need all included tags, or any of them when tagMode is 'any';
+ * cards with an excluded tag are always hidden. Cards by any of the selected creators are shown.
+ * @returns {{search: string, tags: string[], excludedTags: string[], tagMode: 'all'|'any', creators: string[]}}
+ */
+export function createEmptyFilters() {
+    return { search: '', tags: [], excludedTags: [], tagMode: 'all', creators: [] };
+}
+
+// Filters saved by older versions lack the newer fields and had a single creator string
+export function normalizeFilters(filters) {
+    const { creator, ...rest } = filters || {};
+    const normalized = { ...createEmptyFilters(), ...rest };
+    if (creator && normalized.creators.length === 0) {
+        normalized.creators = [creator];
+    }
+    return normalized;
+}
+
 // Filter cards based on current filter state
 export function filterCards(cards, filters, fuse, extensionName, extension_settings) {
     let filteredCards = cards;
 
+    // Operators like tag: or tokens:< filter below, the remaining words are the fuzzy search.
+    // Operators these cards have no data for are left out (the browser tells the user)
+    const query = parseSearchQuery(filters.search);
+    const unsupportedTerms = getUnsupportedTerms(cards, query.terms);
+    const terms = query.terms.filter(term => !unsupportedTerms.includes(term));
+
     // Text search using Fuse.js for fuzzy matching
-    if (filters.search && fuse) {
-        const searchResults = fuse.search(filters.search);
+    if (query.text && fuse) {
+        const searchResults = fuse.search(query.text);
         // Extract the items from Fuse results (Fuse returns objects with { item, score, matches })
         filteredCards = searchResults.map(result => result.item);
     }
 
+    const excludedTags = filters.excludedTags || [];
+
     // Apply additional filters (tags, creator, and NSFW)
     filteredCards = filteredCards.filter(card => {
-        // Tag filter (must have ALL selected tags)
+        // Tag filter (must have ALL selected tags, or ANY of them in 'any' mode)
         if (filters.tags.length > 0) {
-            if (!card.tags || !filters.tags.every(tag => card.tags.includes(tag))) {
+            const hasTags = filters.tagMode === 'any'
+                ? filters.tags.some(tag => card.tags?.includes(tag))
+                : filters.tags.every(tag => card.tags?.includes(tag));
+            if (!hasTags) {
                 return false;
             }
         }
 
-        // Creator filter
-        if (filters.creator && card.creator !== filters.creator) {
+        // Excluded tags
+        if (excludedTags.length > 0 && card.tags && excludedTags.some(tag => card.tags.includes(tag))) {
+            return false;
+        }
+
+        // Creator filter (any of the selected creators)
+        if (filters.creators.length > 0 && !filters.creators.includes(card.creator)) {
+            return false;
+        }
+
+        // Search box operators
+        if (terms.length > 0 && !matchesQueryTerms(card, terms)) {
             return false;
         }
 
@@ -247,12 +311,12 @@ export async function getRandomCard(source, currentCards, loadServiceIndexFunc)
             // Random from current view
             cards = currentCards.filter(card => {
                 const imageUrl = card.avatar_url || card.image_url;
-                return imageUrl && imageUrl.trim().length > 0 && (imageUrl.startsWith('http://') || imageUrl.startsWith('https://'));
+                return isDisplayableImageUrl(imageUrl);
             });
         } else if (source === 'all' || !source) {
             // Random from all sources
             toastr.info('Loading all cards...', '', { timeOut: 1500 });
-            const serviceNames = ['anchorhold', 'catbox', 'character_tavern', 'chub', 'nyai_me', 'risuai_realm', 'webring', 'mlpchag', 'desuarchive'];
+            const serviceNames = getCharacterSourceNames();
 
             for (const service of serviceNames) {
                 const serviceCards = await loadServiceIndexFunc(service);
@@ -261,7 +325,7 @@ export async function getRandomCard(source, currentCards, loadServiceIndexFunc)
                     sourceService: service
                 })).filter(card => {
                     const imageUrl = card.avatar_url || card.image_url;
-                    return imageUrl && imageUrl.trim().length > 0 && (imageUrl.startsWith('http://') || imageUrl.startsWith('https://'));
+                    return isDisplayableImageUrl(imageUrl);
                 });
                 cards = cards.concat(cardsWithSource);
             }
@@ -269,7 +333,7 @@ export async function getRandomCard(source, currentCards, loadServiceIndexFunc)
             // Random from specific service
             cards = currentCards.filter(card => {
                 const imageUrl = card.avatar_url || card.image_url;
-                return imageUrl && imageUrl.trim().length > 0 && (imageUrl.startsWith('http://') || imageUrl.startsWith('https://'));
+                return isDisplayableImageUrl(imageUrl);
             });
         }
 
@@ -2,6 +2,7 @@
  * Chub API Service
  * Fetches cards directly from Chub's API with sorting and authentication support
  */
+import { createHttpError } from '../utils/utils.js';
 
 const CHUB_API_BASE = 'https://api.chub.ai';
 
@@ -21,6 +22,23 @@ const SORT_MAP = {
     'default': 'default'
 };
 
+// Request headers, with the API key when the user saved one
+// Chub reads the CH-API-KEY header; Authorization is sent as well for older endpoints
+function getChubHeaders(extraHeaders = {}) {
+    const headers = {
+        'Accept': 'application/json',
+        ...extraHeaders
+    };
+
+    const token = getChubToken();
+    if (token) {
+        headers['CH-API-KEY'] = token;
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    return headers;
+}
+
 /**
  * Fetch cards from Chub API with sorting
  * @param {Object} options - Fetch options
@@ -30,6 +48,18 @@ const SORT_MAP = {
  * @param {string} options.cursor - Pagination cursor (optional)
  * @param {boolean} options.nsfw - Include NSFW content (default true)
  * @param {boolean} options.includeAll - Include all content types
+ * @param {string} options.namespace - 'characters' (default) or 'lorebooks'
+ * @param {Object} options.filters - Server-side filters (optional)
+ * @param {Array<string>} options.filters.topics - Tags every result must have
+ * @param {Array<string>} options.filters.excludeTopics - Tags no result may have
+ * @param {number} options.filters.minTokens - Minimum token count
+ * @param {number} options.filters.maxTokens - Maximum token count
+ * @param {boolean} options.filters.requireLore - Only cards with a lorebook
+ * @param {boolean} options.filters.requireExpressions - Only cards with expression images
+ * @param {boolean} options.filters.requireGallery - Only cards with gallery images
+ * @param {string} options.filters.language - Language code, e.g. 'en'
+ * @param {string} options.username - Only cards uploaded by this Chub user (optional)
+ * @param {boolean} options.myFavorites - Only cards the token's account favorited (optional)
  * @returns {Promise<{cards: Array, cursor: string|null, count: number}>}
  */
 export async function fetchChubCards(options = {}) {
@@ -39,7 +69,11 @@ export async function fetchChubCards(options = {}) {
         search = '',
         cursor = null,
         nsfw = true,
-        includeAll = true
+        includeAll = true,
+        namespace = 'characters',
+        filters = {},
+        username = '',
+        myFavorites = false
     } = options;
 
     try {
@@ -59,6 +93,10 @@ export async function fetchChubCards(options = {}) {
             params.append('cursor', cursor);
         }
 
+        if (namespace !== 'characters') {
+            params.append('namespace', namespace);
+        }
+
         // NSFW/NSFL content parameters - comprehensive approach
         // Chub has multiple NSFW-related flags that need to be set properly
         if (nsfw) {
@@ -70,11 +108,6 @@ export async function fetchChubCards(options = {}) {
             // NSFL (Not Safe For Life) content - gore, extreme content
             params.append('nsfl', 'true');
             params.append('nsfl_ok', 'true');
-            // Additional flags to ensure all content is included
-            params.append('require_images', 'false');
-            params.append('require_custom_prompt', 'false');
-            params.append('require_lore', 'false');
-            params.append('require_expressions', 'false');
             // Don't exclude any content
             params.append('exclude_venus', 'false');
             params.append('exclude_nsfl', 'false');
@@ -89,30 +122,25 @@ export async function fetchChubCards(options = {}) {
             params.append('exclude_nsfl', 'true');
         }
 
+        if (username) {
+            params.append('username', username);
+        }
+
+        if (myFavorites) {
+            params.append('my_favorites', 'true');
+        }
+
+        appendChubFilterParams(params, filters);
+
         const url = `${CHUB_API_BASE}/search?${params.toString()}`;
         
-        // Build request headers
-        const headers = {
-            'Accept': 'application/json',
-        };
-        
-        // Add authentication token if available
-        // Chub uses CH-API-KEY header for API key authentication
-        const token = getChubToken();
-        if (token) {
-            // Try CH-API-KEY header (Chub's API key format)
-            headers['CH-API-KEY'] = token;
-            // Also try Authorization header as fallback
-            headers['Authorization'] = `Bearer ${token}`;
-            console.log('[Bot Browser] Fetching from Chub API (authenticated):', url);
-        } else {
-            console.log('[Bot Browser] Fetching from Chub API (anonymous):', url);
-        }
+        const headers = getChubHeaders();
+        console.log(`[Bot Browser] Fetching from Chub API (${hasChubToken() ? 'authenticated' : 'anonymous'}):`, url);
 
         const response = await fetch(url, { headers });
         
         if (!response.ok) {
-            throw new Error(`Chub API error: ${response.status} ${response.statusText}`);
+            throw createHttpError(`Chub API error: ${response.status} ${response.statusText}`, response);
         }
 
         const data = await response.json();
@@ -122,7 +150,8 @@ export async function fetchChubCards(options = {}) {
         }
 
         // Transform Chub API response to match our card format
-        const cards = data.data.nodes.map(node => transformChubCard(node));
+        const transform = namespace === 'lorebooks' ? transformChubLorebook : transformChubCard;
+        const cards = data.data.nodes.map(node => transform(node));
 
         return {
             cards,
@@ -135,6 +164,41 @@ export async function fetchChubCards(options = {}) {
     }
 }
 
+// Server-side filters; the require_* flags are always sent so Chub doesn't apply its own defaults
+function appendChubFilterParams(params, filters) {
+    const {
+        topics = [],
+        excludeTopics = [],
+        minTokens = null,
+        maxTokens = null,
+        requireLore = false,
+        requireExpressions = false,
+        requireGallery = false,
+        language = ''
+    } = filters;
+
+    if (topics.length > 0) {
+        params.append('topics', topics.join(','));
+    }
+    if (excludeTopics.length > 0) {
+        params.append('excludetopics', excludeTopics.join(','));
+    }
+    if (minTokens) {
+        params.append('min_tokens', String(minTokens));
+    }
+    if (maxTokens) {
+        params.append('max_tokens', String(maxTokens));
+    }
+    if (language) {
+        params.append('language', language);
+    }
+
+    params.append('require_images', String(!!requireGallery));
+    params.append('require_custom_prompt', 'false');
+    params.append('require_lore', String(!!requireLore));
+    params.append('require_expressions', String(!!requireExpressions));
+}
+
 /**
  * Transform a Chub API card to our internal card format
  * @param {Object} node - Raw card data from Chub API
@@ -176,7 +240,8 @@ function transformChubCard(node) {
             nMessages: node.nMessages || 0,
             nFavorites: node.n_favorites || 0,
             forksCount: node.forksCount || 0,
-            nTokens: node.nTokens || 0
+            nTokens: node.nTokens || 0,
+            projectId: node.id || null
         },
         // For compatibility with existing code
         chunk: null,
@@ -185,6 +250,298 @@ function transformChubCard(node) {
     };
 }
 
+/**
+ * Transform a Chub API lorebook to our internal card format. The id keeps the
+ * chub.ai/lorebooks/ URL that SillyTavern's importURL endpoint understands.
+ * @param {Object} node - Raw lorebook data from Chub API
+ * @returns {Object}
+ */
+function transformChubLorebook(node) {
+    const topics = node.topics || [];
+    const avatarUrl = node.avatar_url || node.max_res_url ||
+        (node.fullPath ? `https://avatars.charhub.io/avatars/${node.fullPath}/avatar.webp` : '');
+
+    return {
+        id: node.fullPath ? `https://chub.ai/lorebooks/${node.fullPath}` : `chub-lorebook-${node.id}`,
+        service: 'chub_lorebooks',
+        name: node.name || 'Unknown',
+        desc_preview: node.tagline || node.description?.substring(0, 150) || '',
+        desc_search: node.description || '',
+        website_description: node.description || '',
+        tags: topics,
+        creator: node.fullPath ? node.fullPath.split('/')[0] : 'Unknown',
+        image_url: avatarUrl,
+        avatar_url: avatarUrl,
+        possibleNsfw: topics.some(t => ['nsfw', 'nsfl'].includes(t.toLowerCase())) || node.nsfw_image || false,
+        chunk: null,
+        chunk_idx: 0,
+        sourceService: 'chub_lorebooks'
+    };
+}
+
+/**
+ * Download a lorebook's entries from Chub for the detail view
+ * @param {string} fullPath - creator/lorebook-name
+ * @returns {Promise<Object>} - Entries keyed by uid as { name, keywords, content }
+ */
+export async function fetchChubLorebookEntries(fullPath) {
+    const response = await fetch(`${CHUB_API_BASE}/api/lorebooks/download`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fullPath, format: 'SILLYTAVERN' })
+    });
+
+    if (!response.ok) {
+        throw createHttpError(`Chub API error: ${response.status} ${response.statusText}`, response);
+    }
+
+    const data = await response.json();
+    const entries = {};
+
+    for (const [uid, entry] of Object.entries(data.entries || {})) {
+        entries[uid] = {
+            name: entry.comment || entry.name || `Entry ${uid}`,
+            keywords: entry.key || entry.keys || [],
+            content: entry.content || ''
+        };
+    }
+
+    return entries;
+}
+
+// Account the saved token belongs to, fetched once per token
+let accountCache = { token: null, username: null };
+// Full paths of the account's favorites seen so far; every favorites page adds to it
+let favoritePaths = new Set();
+// Whether the whole list was loaded (up to the page cap), so a card missing from favoritePaths isn't a favorite
+let favoritesLoaded = false;
+// In-flight load of every favorite, shared by favorite checks made while it runs
+let favoritesLoad = null;
+
+// Stop following cursors after this many pages (200-500 cards each)
+const MAX_LIST_PAGES = 20;
+
+function resetFavoritePaths() {
+    favoritePaths = new Set();
+    favoritesLoaded = false;
+}
+
+async function fetchChubJson(path, init = {}) {
+    const response = await fetch(`${CHUB_API_BASE}${path}`, {
+        ...init,
+        headers: getChubHeaders(init.headers)
+    });
+
+    if (!response.ok) {
+        throw createHttpError(`Chub API error: ${response.status} ${response.statusText}`, response);
+    }
+
+    return response.json();
+}
+
+/**
+ * Username of the Chub account the saved token belongs to
+ * @returns {Promise<string>}
+ */
+export async function fetchChubUsername() {
+    const token = getChubToken();
+    if (!token) {
+        throw new Error('No Chub API token set');
+    }
+
+    if (accountCache.token !== token) {
+        const data = await fetchChubJson('/api/account');
+        const username = data.user_name || data.username || data.name;
+        if (!username) {
+            throw new Error('Chub did not return an account for this token');
+        }
+        accountCache = { token, username };
+    }
+
+    return accountCache.username;
+}
+
+/**
+ * Cards the account has favorited
+ * @param {Object} options - sort, first, cursor and nsfw as in fetchChubCards
+ * @returns {Promise<{cards: Array, cursor: string|null, count: number}>}
+ */
+export async function fetchChubFavorites(options = {}) {
+    const result = await fetchChubCards({ sort: 'default', first: 500, ...options, myFavorites: true });
+    result.cards.forEach(card => favoritePaths.add(getChubFullPath(card)));
+    return result;
+}
+
+// Every page of a Chub listing, following the cursor until a short page, a repeated cursor or the page cap
+async function fetchAllPages(fetchPage, first) {
+    const cards = [];
+    let cursor = null;
+
+    for (let page = 0; page < MAX_LIST_PAGES; page++) {
+        const result = await fetchPage({ first, cursor });
+        cards.push(...result.cards);
+
+        if (result.cards.length < first || !result.cursor || result.cursor === cursor) {
+            return cards;
+        }
+        cursor = result.cursor;
+    }
+
+    console.warn(`[Bot Browser] Stopped loading Chub cards after ${MAX_LIST_PAGES} pages`);
+    return cards;
+}
+
+/**
+ * Every card the account has favorited, across all pages; also fills in the favorite check
+ * @returns {Promise<Array>}
+ */
+export async function fetchAllChubFavorites() {
+    const cards = await fetchAllPages(fetchChubFavorites, 500);
+    favoritePaths = new Set(cards.map(card => getChubFullPath(card)));
+    favoritesLoaded = true;
+    return cards;
+}
+
+/**
+ * Cards the account uploaded
+ * @param {Object} options - sort, first, cursor and nsfw as in fetchChubCards
+ * @returns {Promise<{cards: Array, cursor: string|null, count: number}>}
+ */
+export async function fetchChubUploads(options = {}) {
+    const username = await fetchChubUsername();
+    return fetchChubCards({ sort: 'recent', first: 500, ...options, username });
+}
+
+/**
+ * Every card the account uploaded, across all pages
+ * @returns {Promise<Array>}
+ */
+export function fetchAllChubUploads() {
+    return fetchAllPages(fetchChubUploads, 500);
+}
+
+/**
+ * Latest cards of every creator the account follows, newest first
+ * @param {Object} options
+ * @param {number} options.perCreator - Cards fetched per creator (default 12)
+ * @param {number} options.maxCreators - Creators checked at most (default 40)
+ * @param {boolean} options.nsfw - Include NSFW content (default true)
+ * @returns {Promise<Array>}
+ */
+export async function fetchChubFollowedCreatorCards({ perCreator = 12, maxCreators = 40, nsfw = true } = {}) {
+    const username = await fetchChubUsername();
+    const data = await fetchChubJson(`/api/follows/${encodeURIComponent(username)}`);
+
+    const follows = data.follows || data.nodes || data.data?.nodes || (Array.isArray(data) ? data : []);
+    const creators = follows
+        .map(entry => typeof entry === 'string' ? entry : (entry.username || entry.user_name || entry.name))
+        .filter(Boolean)
+        .slice(0, maxCreators);
+
+    const results = await Promise.allSettled(
+        creators.map(creator => fetchChubCards({ sort: 'recent', first: perCreator, username: creator, nsfw }))
+    );
+
+    const cards = [];
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            cards.push(...result.value.cards);
+        } else {
+            console.warn(`[Bot Browser] Could not load cards from ${creators[i]}:`, result.reason);
+        }
+    });
+
+    const createdAt = card => Date.parse(card._chubMeta?.createdAt) || 0;
+    return cards.sort((a, b) => createdAt(b) - createdAt(a));
+}
+
+// creator/card-name part of a Chub character id
+export function getChubFullPath(card) {
+    return card.id?.split('chub.ai/characters/')[1] || null;
+}
+
+// Numeric project id the favorites endpoint wants; static index cards only have the path
+async function getChubProjectId(card) {
+    if (card._chubMeta?.projectId) {
+        return card._chubMeta.projectId;
+    }
+
+    const fullPath = getChubFullPath(card);
+    if (!fullPath) return null;
+
+    const data = await fetchChubJson(`/api/characters/${fullPath}?full=false`);
+    return data.node?.id || data.id || null;
+}
+
+/**
+ * Whether the account has favorited a Chub character
+ * @param {Object} card
+ * @returns {Promise<boolean>}
+ */
+export async function isChubFavorite(card) {
+    const fullPath = getChubFullPath(card);
+    if (favoritePaths.has(fullPath) || favoritesLoaded) {
+        return favoritePaths.has(fullPath);
+    }
+
+    // Not among the favorites seen so far; only the whole list can tell
+    if (!favoritesLoad) {
+        favoritesLoad = fetchAllChubFavorites().finally(() => {
+            favoritesLoad = null;
+        });
+    }
+    await favoritesLoad;
+    return favoritePaths.has(fullPath);
+}
+
+/**
+ * Add a Chub character to the account's favorites, or remove it
+ * @param {Object} card
+ * @param {boolean} favorite
+ */
+export async function setChubFavorite(card, favorite) {
+    const projectId = await getChubProjectId(card);
+    if (!projectId) {
+        throw new Error('Could not find this card on Chub');
+    }
+
+    await fetchChubJson(`/api/favorites/${projectId}`, { method: favorite ? 'POST' : 'DELETE' });
+
+    if (favorite) {
+        favoritePaths.add(getChubFullPath(card));
+    } else {
+        favoritePaths.delete(getChubFullPath(card));
+    }
+}
+
+/**
+ * Current definition of a Chub character, mapped to our card fields
+ * (Chub calls the card description "personality" and the personality "tavern_personality")
+ * @param {string} fullPath - creator/card-name
+ * @returns {Promise<Object>}
+ */
+export async function fetchChubCardDefinition(fullPath) {
+    const data = await fetchChubJson(`/api/characters/${fullPath}?full=true`);
+    const node = data.node;
+    if (!node) {
+        throw new Error('Card not found on Chub');
+    }
+
+    const definition = node.definition || {};
+    return {
+        ...transformChubCard(node),
+        description: definition.personality || '',
+        personality: definition.tavern_personality || '',
+        scenario: definition.scenario || '',
+        first_message: definition.first_message || '',
+        example_messages: definition.example_dialogs || '',
+        system_prompt: definition.system_prompt || '',
+        post_history_instructions: definition.post_history_instructions || '',
+        alternate_greetings: definition.alternate_greetings || [],
+        website_description: definition.description || node.description || ''
+    };
+}
+
 /**
  * Get available sort options for Chub
  * @returns {Array<{value: string, label: string}>}
@@ -217,6 +574,7 @@ export function isChubApiSort(sortBy) {
  * @param {string} token - The API token
  */
 export function saveChubToken(token) {
+    resetFavoritePaths();
     if (token && token.trim()) {
         localStorage.setItem(CHUB_TOKEN_KEY, token.trim());
         console.log('[Bot Browser] Chub API token saved');
@@ -247,6 +605,7 @@ export function hasChubToken() {
  * Clear Chub API token
  */
 export function clearChubToken() {
+    resetFavoritePaths();
     localStorage.removeItem(CHUB_TOKEN_KEY);
     console.log('[Bot Browser] Chub API token cleared');
 }
@@ -0,0 +1,69 @@
+// Creator profiles - everything we know about one creator from the loaded sources and the import history
+import { getLoadedServiceIndexes } from './cache.js';
+
+const MAX_COMMON_TAGS = 12;
+
+function isSameCreator(card, creator) {
+    return (card.creator || '').toLowerCase() === creator.toLowerCase();
+}
+
+/**
+ * Cards by a creator in every source loaded so far, plus extra cards (e.g. live API results)
+ * @param {string} creator
+ * @param {Object[]} [extraCards] - Cards that aren't in a static index, already tagged with sourceService
+ * @returns {Object[]} - Cards with sourceService set, without duplicate ids
+ */
+export function getCreatorCards(creator, extraCards = []) {
+    const cards = new Map();
+
+    for (const card of extraCards) {
+        if (isSameCreator(card, creator)) {
+            cards.set(card.id, card);
+        }
+    }
+
+    for (const [service, serviceCards] of Object.entries(getLoadedServiceIndexes())) {
+        for (const card of serviceCards) {
+            if (isSameCreator(card, creator) && !cards.has(card.id)) {
+                cards.set(card.id, { ...card, sourceService: card.sourceService || service });
+            }
+        }
+    }
+
+    return Array.from(cards.values());
+}
+
+/**
+ * Summary of a creator's cards and of what the user imported from them
+ * @param {string} creator
+ * @param {Object[]} cards - From getCreatorCards
+ * @param {Object} importStats
+ * @returns {{creator: string, cards: Object[], bySource: Array<[string, number]>, commonTags: Array<[string, number]>, importCount: number, imports: Object[]}}
+ */
+export function getCreatorProfile(creator, cards, importStats) {
+    const bySource = {};
+    const tagCounts = {};
+
+    for (const card of cards) {
+        const source = card.sourceService || card.service || 'Unknown';
+        bySource[source] = (bySource[source] || 0) + 1;
+
+        for (const tag of Array.isArray(card.tags) ? card.tags : []) {
+            tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+        }
+    }
+
+    // byCreator is keyed by the creator as written on the imported card
+    const importCount = Object.entries(importStats.byCreator)
+        .filter(([name]) => name.toLowerCase() === creator.toLowerCase())
+        .reduce((sum, [, count]) => sum + count, 0);
+
+    return {
+        creator,
+        cards,
+        bySource: Object.entries(bySource).sort((a, b) => b[1] - a[1]),
+        commonTags: Object.entries(tagCounts).sort((a, b) => b[1] - a[1]).slice(0, MAX_COMMON_TAGS),
+        importCount,
+        imports: importStats.imports.filter(record => record.creator.toLowerCase() === creator.toLowerCase())
+    };
+}
@@ -0,0 +1,168 @@
+// Duplicate detection against the characters already loaded in SillyTavern
+import { characters, getCharacters, getRequestHeaders } from '../../../../../../script.js';
+import { readCardFromPng, normalizeCardJson, readCharx } from '../utils/cardFiles.js';
+import { hashText } from '../utils/utils.js';
+import { askDuplicateAction } from '../modals/duplicate.js';
+
+function normalizeText(value) {
+    return typeof value === 'string' ? value.replace(/\r\n/g, '\n').trim().toLowerCase() : '';
+}
+
+/**
+ * Name, creator and a hash of description + first message, comparable across sources
+ * @param {Object} fields - Card data with name, creator, description and first_mes (or first_message)
+ * @returns {{name: string, creator: string, hash: string|null}} - hash is null when the card has neither text
+ */
+export function getCardFingerprint(fields) {
+    const description = normalizeText(fields.description);
+    const firstMessage = normalizeText(fields.first_mes ?? fields.first_message);
+
+    return {
+        name: normalizeText(fields.name),
+        creator: normalizeText(fields.creator),
+        hash: description || firstMessage ? hashText(`${description}\n${firstMessage}`) : null
+    };
+}
+
+function getCharacterFingerprint(character) {
+    const data = character.data || {};
+    return getCardFingerprint({
+        name: character.name,
+        creator: data.creator,
+        description: data.description ?? character.description,
+        first_mes: data.first_mes ?? character.first_mes
+    });
+}
+
+// Same name plus the same creator or the same text
+function isSameCard(fingerprint, existing) {
+    if (!fingerprint.name || fingerprint.name !== existing.name) return false;
+    if (fingerprint.hash && fingerprint.hash === existing.hash) return true;
+    return !!fingerprint.creator && fingerprint.creator === existing.creator;
+}
+
+/**
+ * SillyTavern characters that look like the same card
+ * @param {Object} fingerprint - From getCardFingerprint
+ * @returns {Array<Object>} - Entries of SillyTavern's characters array
+ */
+export function findExistingCharacters(fingerprint) {
+    return characters.filter(character => isSameCard(fingerprint, getCharacterFingerprint(character)));
+}
+
+// Fingerprints of the loaded characters, grouped by name; rebuilt when the character list changes
+let existingIndex = { source: null, count: -1, byName: new Map() };
+
+function getExistingIndex() {
+    if (existingIndex.source !== characters || existingIndex.count !== characters.length) {
+        const byName = new Map();
+        for (const character of characters) {
+            const fingerprint = getCharacterFingerprint(character);
+            if (!byName.has(fingerprint.name)) byName.set(fingerprint.name, []);
+            byName.get(fingerprint.name).push(fingerprint);
+        }
+        existingIndex = { source: characters, count: characters.length, byName };
+    }
+    return existingIndex.byName;
+}
+
+/**
+ * Whether a browser card is already in SillyTavern, for the grid badge
+ * @param {Object} card - Card in the index format
+ * @returns {boolean}
+ */
+export function isCardAlreadyImported(card) {
+    const fingerprint = getCardFingerprint(card);
+    const candidates = getExistingIndex().get(fingerprint.name) || [];
+    return candidates.some(existing => isSameCard(fingerprint, existing));
+}
+
+// Card data inside a file about to be imported, or null when it can't be read
+export async function readCardDataFromFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    let json = null;
+
+    try {
+        if (extension === 'png') {
+            json = await readCardFromPng(new Uint8Array(await file.arrayBuffer()));
+        } else if (extension === 'json') {
+            json = JSON.parse(await file.text());
+        } else if (extension === 'charx') {
+            json = (await readCharx(file))?.json || null;
+        }
+    } catch (error) {
+        console.warn('[Bot Browser] Could not read card for duplicate check:', error);
+    }
+
+    return normalizeCardJson(json)?.data || null;
+}
+
+// Overwrite an existing character with the file, keeping its avatar file name (and so its chats)
+async function replaceCharacter(file, existing) {
+    const formData = new FormData();
+    formData.append('avatar', file);
+    formData.append('file_type', file.name.split('.').pop().toLowerCase());
+    formData.append('preserved_name', existing.avatar.replace(/\.png$/i, ''));
+
+    const response = await fetch('/api/characters/import', {
+        method: 'POST',
+        headers: getRequestHeaders({ omitContentType: true }),
+        body: formData
+    });
+
+    if (!response.ok) {
+        throw new Error(`Replace failed: ${response.statusText}`);
+    }
+
+    await getCharacters();
+}
+
+function createSkippedError(name) {
+    const error = new Error(`${name} is already in SillyTavern`);
+    error.skipped = true;
+    return error;
+}
+
+// Imports running side by side (the batch queue) ask one at a time instead of stacking dialogs
+let duplicatePrompt = Promise.resolve();
+
+function askDuplicateActionInTurn(name, matches) {
+    const answer = duplicatePrompt.then(() => askDuplicateAction(name, matches));
+    duplicatePrompt = answer.catch(() => {});
+    return answer;
+}
+
+/**
+ * Wrap processDroppedFiles so every card is checked against existing characters first.
+ * Depending on the duplicateAction setting (or the user's answer) the card is skipped,
+ * imported as a copy, or replaces the existing character. Skipping throws an error with skipped = true.
+ * @param {function(Array<File>): Promise<void>} processDroppedFiles
+ * @param {Object} settings - The extension's settings
+ * @returns {function(Array<File>): Promise<void>}
+ */
+export function withDuplicateCheck(processDroppedFiles, settings) {
+    return async (files) => {
+        for (const file of files) {
+            const data = await readCardDataFromFile(file);
+            const matches = data ? findExistingCharacters(getCardFingerprint(data)) : [];
+
+            if (matches.length === 0) {
+                await processDroppedFiles([file]);
+                continue;
+            }
+
+            const action = settings.duplicateAction && settings.duplicateAction !== 'ask'
+                ? settings.duplicateAction
+                : await askDuplicateActionInTurn(data.name, matches);
+
+            if (action === 'skip') {
+                throw createSkippedError(data.name);
+            } else if (action === 'replace') {
+                console.log(`[Bot Browser] Replacing existing character ${matches[0].avatar}`);
+                await replaceCharacter(file, matches[0]);
+            } else {
+                await processDroppedFiles([file]);
+            }
+        }
+    };
+}
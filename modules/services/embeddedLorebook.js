@@ -0,0 +1,95 @@
+// Lorebooks embedded in character cards: optionally imported as their own world and linked to the character
+import { importWorldInfo, convertCharacterBook, world_names } from '../../../../../world-info.js';
+import { readCardFromPng } from '../utils/cardFiles.js';
+import { toCardV3, writeCardToPng } from '../utils/cardSpec.js';
+
+// Name of the world an embedded lorebook is imported as; an existing world of that name is never overwritten
+export function getWorldName(cardV3) {
+    const bookName = cardV3.data.character_book?.name;
+    const name = (bookName || cardV3.data.name || 'Embedded Lorebook').replace(/[\\/:*?"<>|]/g, '').trim() || 'Embedded Lorebook';
+
+    const existing = new Set(world_names || []);
+    let worldName = name;
+    for (let copy = 2; existing.has(worldName); copy++) {
+        worldName = `${name} (${copy})`;
+    }
+    return worldName;
+}
+
+// Card data of a PNG or JSON card file, or null for other files
+async function readCardFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+
+    if (extension === 'png') {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const cardJson = await readCardFromPng(bytes);
+        return cardJson ? { extension, bytes, cardV3: toCardV3(cardJson) } : null;
+    }
+    if (extension === 'json') {
+        return { extension, cardV3: toCardV3(JSON.parse(await file.text())) };
+    }
+    return null;
+}
+
+/**
+ * Point the card at the world its embedded lorebook will be imported as, without creating the world yet
+ * @param {File} file - PNG or JSON card; other files are returned as is
+ * @returns {Promise<{file: File, cardV3: Object|null}>} - cardV3 is null when there's no book to import
+ */
+async function linkEmbeddedLorebook(file) {
+    let card = null;
+    try {
+        card = await readCardFile(file);
+    } catch (error) {
+        console.warn('[Bot Browser] Could not read card for its embedded lorebook:', error);
+    }
+
+    if (!card?.cardV3.data.character_book?.entries?.length) {
+        return { file, cardV3: null };
+    }
+
+    const { cardV3 } = card;
+    cardV3.data.extensions = { ...cardV3.data.extensions, world: getWorldName(cardV3) };
+
+    const linkedFile = card.extension === 'png'
+        ? new File([writeCardToPng(card.bytes, cardV3)], file.name, { type: 'image/png' })
+        : new File([JSON.stringify(cardV3)], file.name, { type: 'application/json' });
+    return { file: linkedFile, cardV3 };
+}
+
+// Create the world the card was linked to; the character carries its book either way
+async function importEmbeddedLorebook(cardV3) {
+    const worldName = cardV3.data.extensions.world;
+
+    try {
+        const worldJson = convertCharacterBook(cardV3.data.character_book);
+        const file = new File([JSON.stringify(worldJson)], `${worldName}.json`, { type: 'application/json' });
+        await importWorldInfo(file);
+        console.log(`[Bot Browser] Imported embedded lorebook as world "${worldName}"`);
+    } catch (error) {
+        console.error('[Bot Browser] Failed to import embedded lorebook:', error);
+        toastr.warning(`${cardV3.data.name} was imported, but its lorebook could not be added as the world "${worldName}"`);
+    }
+}
+
+/**
+ * Wrap processDroppedFiles so embedded lorebooks become worlds only once their character is in SillyTavern.
+ * Cards that are skipped as duplicates or fail to import leave no world behind.
+ * @param {function(Array<File>): Promise<void>} processDroppedFiles
+ * @param {Object} settings - The extension's settings (importEmbeddedLorebooks)
+ * @returns {function(Array<File>): Promise<void>}
+ */
+export function withEmbeddedLorebooks(processDroppedFiles, settings) {
+    if (!settings?.importEmbeddedLorebooks) return processDroppedFiles;
+
+    return async (files) => {
+        for (const file of files) {
+            const { file: linkedFile, cardV3 } = await linkEmbeddedLorebook(file);
+            await processDroppedFiles([linkedFile]);
+
+            if (cardV3) {
+                await importEmbeddedLorebook(cardV3);
+            }
+        }
+    };
+}
@@ -0,0 +1,127 @@
+// Export cards to files without importing them into SillyTavern
+import { default_avatar } from '../../../../../../script.js';
+import { inspectCardImport, createCharacterPNG } from './import.js';
+import { readCharx, removePngTextChunks } from '../utils/cardFiles.js';
+import { loadJSZip, downloadBlob } from '../utils/utils.js';
+
+export const EXPORT_FORMATS = {
+    png: { label: 'PNG', extension: 'png', type: 'image/png' },
+    json_v2: { label: 'JSON (V2)', extension: 'json', type: 'application/json' },
+    json_v3: { label: 'JSON (V3)', extension: 'json', type: 'application/json' },
+    charx: { label: 'CharX', extension: 'charx', type: 'application/zip' }
+};
+
+const CHARX_ICON_PATH = 'assets/icon/image/main.png';
+
+function getBaseFileName(inspection) {
+    return inspection.cardV3.data.name.replace(/[^a-z0-9]/gi, '_').toLowerCase() || 'character';
+}
+
+// The card's image; the default avatar when the import path only produced data
+async function getCardImage(inspection) {
+    if (inspection.format === 'png') {
+        return inspection.file;
+    }
+    if (inspection.format === 'charx') {
+        const image = (await readCharx(inspection.file))?.image;
+        if (image) return image;
+    }
+
+    const response = await fetch(default_avatar);
+    return await response.blob();
+}
+
+async function buildCharx(inspection) {
+    if (inspection.format === 'charx') {
+        return inspection.file;
+    }
+
+    // The icon goes in as a plain image; the card data lives in card.json
+    const pngBlob = await createCharacterPNG(await getCardImage(inspection), inspection.cardV3);
+    const imageBytes = removePngTextChunks(new Uint8Array(await pngBlob.arrayBuffer()), ['chara', 'ccv3']);
+
+    const cardV3 = structuredClone(inspection.cardV3);
+    // V3 cards may leave out assets; the main icon is always the image written below
+    const otherAssets = (cardV3.data.assets || []).filter(asset => !(asset.type === 'icon' && asset.name === 'main'));
+    cardV3.data.assets = [{ type: 'icon', uri: `embeded://${CHARX_ICON_PATH}`, name: 'main', ext: 'png' }, ...otherAssets];
+
+    const JSZip = await loadJSZip();
+    const zip = new JSZip();
+    zip.file('card.json', JSON.stringify(cardV3));
+    zip.file(CHARX_ICON_PATH, imageBytes);
+    return await zip.generateAsync({ type: 'blob' });
+}
+
+/**
+ * Build the export file from a resolved import
+ * @param {Object} inspection - From inspectCardImport
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {Promise<{blob: Blob, fileName: string}>}
+ */
+export async function buildExportFile(inspection, format) {
+    const { extension, type } = EXPORT_FORMATS[format];
+    let blob;
+
+    if (format === 'png') {
+        blob = inspection.format === 'png' ? inspection.file : await createCharacterPNG(await getCardImage(inspection), inspection.cardV3);
+    } else if (format === 'json_v2') {
+        blob = new Blob([JSON.stringify(inspection.cardV2, null, 2)], { type });
+    } else if (format === 'json_v3') {
+        blob = new Blob([JSON.stringify(inspection.cardV3, null, 2)], { type });
+    } else if (format === 'charx') {
+        blob = await buildCharx(inspection);
+    } else {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    return { blob, fileName: `${getBaseFileName(inspection)}.${extension}` };
+}
+
+/**
+ * Download one card in the given format; the data is resolved the same way an import would
+ * @param {Object|null} [edits] - Fields changed in the detail modal
+ */
+export async function exportCard(card, format, extensionName, extension_settings, getRequestHeaders, edits = null) {
+    const inspection = await inspectCardImport(card, extensionName, extension_settings, getRequestHeaders, edits);
+    const { blob, fileName } = await buildExportFile(inspection, format);
+    downloadBlob(blob, fileName);
+}
+
+/**
+ * Download several cards as one zip, one file per card
+ * @param {function(number, number): void} [onProgress] - Called with (done, total)
+ * @returns {Promise<{exported: number, failed: Array<{card: Object, error: string}>}>}
+ */
+export async function exportCardsAsZip(cards, format, extensionName, extension_settings, getRequestHeaders, onProgress = () => {}) {
+    const JSZip = await loadJSZip();
+    const zip = new JSZip();
+    const usedNames = new Set();
+    const failed = [];
+
+    for (const [index, card] of cards.entries()) {
+        try {
+            const inspection = await inspectCardImport(card, extensionName, extension_settings, getRequestHeaders);
+            const { blob, fileName } = await buildExportFile(inspection, format);
+
+            // Cards with the same name get numbered instead of overwriting each other
+            let uniqueName = fileName;
+            for (let n = 2; usedNames.has(uniqueName); n++) {
+                uniqueName = fileName.replace(/(\.[^.]+)$/, `_${n}$1`);
+            }
+            usedNames.add(uniqueName);
+            zip.file(uniqueName, blob);
+        } catch (error) {
+            console.error(`[Bot Browser] Export of ${card.name} failed:`, error);
+            failed.push({ card, error: error.message });
+        }
+
+        onProgress(index + 1, cards.length);
+    }
+
+    const exported = cards.length - failed.length;
+    if (exported > 0) {
+        downloadBlob(await zip.generateAsync({ type: 'blob' }), `bot-browser-export-${new Date().toISOString().slice(0, 10)}.zip`);
+    }
+
+    return { exported, failed };
+}
@@ -1,139 +1,419 @@
 // Import operations for Bot Browser extension
 import { trackImport } from '../storage/stats.js';
 import { closeDetailModal } from '../modals/detail.js';
-import { importWorldInfo } from '../../../../../world-info.js';
 import { default_avatar } from '../../../../../../script.js';
-import { loadCardChunk } from '../services/cache.js';
-
-// Import card to SillyTavern
-export async function importCardToSillyTavern(card, extensionName, extension_settings, importStats, getRequestHeaders, processDroppedFiles) {
+import { loadCardChunk, isOfflineMode, isChunkCached, getCachedCardImage } from '../services/cache.js';
+import { loadPendingImports, savePendingImports } from '../storage/storage.js';
+import { getProviderForCard } from '../providers/providers.js';
+import { toCardV3, toCardV2, writeCardToPng } from '../utils/cardSpec.js';
+import { readPngCardChunks, readCharx, detectImageFormat, isCardDataReadable, describeCardChunks } from '../utils/cardFiles.js';
+import { loadJSZip, createHttpError } from '../utils/utils.js';
+import { withEmbeddedLorebooks, getWorldName } from './embeddedLorebook.js';
+import { withDuplicateCheck } from './duplicates.js';
+import { withCardEdits } from './cardEdits.js';
+import { withPostImportActions } from './postImport.js';
+import { isTransientError } from './importQueue.js';
+
+// Import card to SillyTavern; options.duplicateAction overrides the setting (e.g. 'replace' for updates),
+// options.edits holds fields changed in the detail modal, written into the imported file,
+// options.allowOpenChat: false keeps the "open chat" post-import action from running (for imports in a row)
+export async function importCardToSillyTavern(card, extensionName, extension_settings, importStats, getRequestHeaders, processDroppedFiles, options = {}) {
     console.log('[Bot Browser] Importing card:', card.name);
 
+    const provider = getProviderForCard(card);
+    const edits = options.edits || null;
+    processDroppedFiles = wrapProcessDroppedFiles(processDroppedFiles, { ...extension_settings[extensionName], ...options }, { edits, allowOpenChat: options.allowOpenChat !== false });
+    const context = createImportContext(extensionName, extension_settings, importStats, getRequestHeaders, processDroppedFiles);
+
+    // Only sources backed by the GitHub indexes need the network; others (like local files) import as usual
+    if (isOfflineMode() && provider.staticIndex) {
+        return await importCardOffline(card, context);
+    }
+
     try {
-        // Detect if this is a lorebook or a character
-        const isLorebook = card.service === 'chub' && card.id && card.id.includes('/lorebooks/');
+        importStats = await importCardOnline(card, provider, context);
 
-        if (isLorebook) {
-            importStats = await importLorebook(card, extensionName, extension_settings, importStats, getRequestHeaders);
-        } else {
-            importStats = await importCharacter(card, extensionName, extension_settings, importStats, processDroppedFiles, getRequestHeaders);
+        // Close the detail modal after successful import
+        closeDetailModal();
+    } catch (error) {
+        reportImportError(error);
+    }
+
+    return importStats;
+}
+
+// SillyTavern's processDroppedFiles with the edits applied first, then the duplicate check, then the
+// embedded lorebook world (only for cards that were imported), then the post-import actions
+function wrapProcessDroppedFiles(processDroppedFiles, settings, { edits = null, allowOpenChat = true } = {}) {
+    const imported = withEmbeddedLorebooks(withDuplicateCheck(processDroppedFiles, settings), settings);
+    return withCardEdits(withPostImportActions(imported, settings, allowOpenChat), edits);
+}
+
+// Skipped duplicates aren't failures
+function reportImportError(error) {
+    if (error.skipped) {
+        toastr.info(`${error.message}, skipped`);
+        closeDetailModal();
+    } else {
+        toastr.error('Failed to import card: ' + error.message, 'Import Failed');
+    }
+}
+
+/**
+ * Import a card for the batch queue: loads the full card and throws on failure instead of
+ * reporting it, so the queue can show the reason and retry (skipped duplicates throw with skipped = true)
+ */
+export async function importCardForQueue(card, extensionName, extension_settings, importStats, getRequestHeaders, processDroppedFiles) {
+    const provider = getProviderForCard(card);
+    processDroppedFiles = wrapProcessDroppedFiles(processDroppedFiles, extension_settings[extensionName], { allowOpenChat: false });
+    const context = createImportContext(extensionName, extension_settings, importStats, getRequestHeaders, processDroppedFiles);
+    const fullCard = provider.getFullCard ? await provider.getFullCard(card) : card;
+
+    if (isOfflineMode() && provider.staticIndex) {
+        const cachedImage = await getOfflineImportImage(fullCard);
+        if (!cachedImage) {
+            throw new Error('Not cached, unavailable offline');
         }
+        return await importFromChunkData(fullCard, context, false, cachedImage);
+    }
 
-        // Close the detail modal after successful import
+    return await importCardOnline(fullCard, provider, context);
+}
+
+/**
+ * @typedef {Object} ImportInspection
+ * @property {Object} card - The full card the import starts from
+ * @property {Object} trackedCard - What the import would record in the stats
+ * @property {File} file - The exact file that would be handed to SillyTavern
+ * @property {Array<string>} routes - Import paths taken, in order (fallbacks included)
+ * @property {'png'|'json'|'charx'} format
+ * @property {{chara: boolean, ccv3: boolean}} chunks - Card chunks present in the file (PNG only)
+ * @property {Array<{type: string, keyword: string, valid: boolean}>} found - Every card chunk of a PNG, as read
+ * @property {Object} cardV2 - V2 JSON as stored in the file, or derived from the V3 data
+ * @property {Object} cardV3 - V3 JSON as stored in the file, or derived from the V2 data
+ * @property {boolean} v2Derived
+ * @property {boolean} v3Derived
+ * @property {string|null} lorebookWorld - World the embedded lorebook would be imported as, when that setting is on
+ */
+
+/**
+ * Run a card through its import path without importing anything: the file that would reach
+ * processDroppedFiles is kept, along with the route that produced it and what the file carries
+ * @param {Object|null} [edits] - Fields changed in the detail modal, applied like a real import would
+ * @returns {Promise<ImportInspection>}
+ */
+export async function inspectCardImport(card, extensionName, extension_settings, getRequestHeaders, edits = null) {
+    if (card.id && card.id.includes('/lorebooks/')) {
+        throw new Error('Only character cards are supported, not lorebooks');
+    }
+
+    const provider = getProviderForCard(card);
+    const inspection = { routes: [], files: [], trackedCard: null };
+    const settings = extension_settings[extensionName];
+
+    const captureFiles = withCardEdits(async (files) => {
+        inspection.files.push(...files);
+    }, edits);
+    const context = createImportContext(extensionName, extension_settings, null, getRequestHeaders, captureFiles, { inspection });
+    const fullCard = provider.getFullCard ? await provider.getFullCard(card) : card;
+
+    if (isOfflineMode() && provider.staticIndex) {
+        const cachedImage = await getOfflineImportImage(fullCard);
+        if (!cachedImage) {
+            throw new Error('Not cached, unavailable offline');
+        }
+        context.noteRoute('Offline: cached image with cached chunk data');
+        await importFromChunkData(fullCard, context, false, cachedImage);
+    } else {
+        await importCardOnline(fullCard, provider, context);
+    }
+
+    const file = inspection.files[0];
+    if (!file) {
+        throw new Error('The import path produced no file');
+    }
+
+    const description = await describeCardFile(file);
+    const hasBook = description.cardV3.data.character_book?.entries?.length > 0;
+
+    return {
+        card: fullCard,
+        trackedCard: inspection.trackedCard || fullCard,
+        file,
+        routes: inspection.routes,
+        ...description,
+        lorebookWorld: settings.importEmbeddedLorebooks && hasBook && description.format !== 'charx' ? getWorldName(description.cardV3) : null
+    };
+}
+
+// Card chunks and JSON of a file about to be imported
+async function describeCardFile(file) {
+    const format = file.name.split('.').pop().toLowerCase();
+    let stored = { chara: null, ccv3: null };
+
+    if (format === 'png') {
+        stored = await readPngCardChunks(new Uint8Array(await file.arrayBuffer()));
+    } else if (format === 'json') {
+        const json = JSON.parse(await file.text());
+        stored = json.spec === 'chara_card_v3' ? { chara: null, ccv3: json } : { chara: json, ccv3: null };
+    } else if (format === 'charx') {
+        stored.ccv3 = (await readCharx(file))?.json || null;
+    }
+
+    if (!stored.chara && !stored.ccv3) {
+        throw new Error('The file carries no character data');
+    }
+
+    const cardV3 = stored.ccv3 || toCardV3(stored.chara);
+    return {
+        format,
+        chunks: { chara: !!stored.chara, ccv3: !!stored.ccv3 },
+        found: stored.found || [],
+        cardV3,
+        cardV2: stored.chara || toCardV2(cardV3),
+        v2Derived: !stored.chara,
+        v3Derived: !stored.ccv3
+    };
+}
+
+/**
+ * Import the file an inspection produced, so exactly what was shown lands in SillyTavern
+ * @param {ImportInspection} inspection
+ */
+export async function importInspectedCard(inspection, extensionName, extension_settings, importStats, processDroppedFiles) {
+    const settings = extension_settings[extensionName];
+    processDroppedFiles = wrapProcessDroppedFiles(processDroppedFiles, settings);
+
+    try {
+        await processDroppedFiles([inspection.file]);
+
+        toastr.success(`${inspection.card.name} imported successfully!`, '', { timeOut: 2000 });
         closeDetailModal();
+        return trackImport(extensionName, extension_settings, importStats, inspection.trackedCard, 'character');
+    } catch (error) {
+        console.error('[Bot Browser] Error importing inspected card:', error);
+        reportImportError(error);
+    }
 
-        return importStats;
+    return importStats;
+}
+
+// Import through the card's provider, falling back to a data-only import when the image is blocked
+async function importCardOnline(card, provider, context) {
+    try {
+        if (provider.importCard) {
+            return await provider.importCard(card, context);
+        }
+        return await context.importDefault(card);
     } catch (error) {
+        if (error.skipped) throw error;
         console.error('[Bot Browser] Error importing card:', error);
 
         // Fallback: If image fetch fails due to CORS, try importing just the character data
-        if (error.message.includes('CORS') || error.message.includes('tainted') || error.message.includes('Failed to load image')) {
-            try {
-                console.log('[Bot Browser] Image fetch failed, attempting JSON-only import');
-                toastr.info('Image blocked by CORS. Importing character data without image...', card.name);
-                await importCardAsJSON(card, getRequestHeaders);
-                toastr.success(`${card.name} imported (without image)`, 'Character Imported', { timeOut: 3000 });
+        if (!error.message.includes('CORS') && !error.message.includes('tainted') && !error.message.includes('Failed to load image')) {
+            throw error;
+        }
 
-                // Track import
-                importStats = trackImport(extensionName, extension_settings, importStats, card, 'character');
+        try {
+            console.log('[Bot Browser] Image fetch failed, attempting JSON-only import');
+            context.noteRoute('Image blocked by CORS: card data as JSON, without image');
+
+            // Same wrapped import as every other path: edits, duplicate check, lorebook world, post-import actions
+            notify(context, 'info', 'Image blocked by CORS. Importing character data without image...', card.name);
+            await context.processDroppedFiles([createCardJSONFile(card)]);
+            notify(context, 'success', `${card.name} imported (without image)`, 'Character Imported', { timeOut: 3000 });
+
+            // Track import
+            return context.trackImport(card, 'character');
+        } catch (jsonError) {
+            console.error('[Bot Browser] JSON fallback import failed:', jsonError);
+            throw jsonError;
+        }
+    }
+}
 
-                closeDetailModal();
+/**
+ * Everything a provider's importCard() needs, including the built-in import path.
+ * While inspecting, processDroppedFiles only collects files, nothing is tracked and
+ * noteRoute() records which path produced the file; toasts should be skipped then.
+ * Edits are applied by processDroppedFiles, so every file must go through it.
+ */
+function createImportContext(extensionName, extension_settings, importStats, getRequestHeaders, processDroppedFiles, { inspection = null } = {}) {
+    const context = {
+        extensionName,
+        extension_settings,
+        importStats,
+        getRequestHeaders,
+        processDroppedFiles,
+        inspection,
+        noteRoute: (route) => {
+            inspection?.routes.push(route);
+        },
+        trackImport: (importedCard, type) => {
+            if (inspection) {
+                inspection.trackedCard = importedCard;
                 return importStats;
-            } catch (jsonError) {
-                console.error('[Bot Browser] JSON fallback import failed:', jsonError);
-                toastr.error('Failed to import card: ' + jsonError.message, 'Import Failed');
             }
-        } else {
-            toastr.error('Failed to import card: ' + error.message, 'Import Failed');
-        }
+            return trackImport(extensionName, extension_settings, importStats, importedCard, type);
+        },
+        importDefault: (cardToImport) => importCharacter(cardToImport, context)
+    };
+    return context;
+}
 
-        return importStats;
+// Toasts about an import in progress, left out while only inspecting
+function notify(context, type, ...args) {
+    if (!context.inspection) {
+        toastr[type](...args);
     }
 }
 
-// Import Chub character using importURL endpoint
-async function importChubCharacter(card, extensionName, extension_settings, importStats, getRequestHeaders, processDroppedFiles) {
-    console.log('[Bot Browser] Importing Chub character via importURL:', card.id);
+// Import a card using only cached data, or queue it until we're back online
+async function importCardOffline(card, context) {
+    const cachedImage = await getOfflineImportImage(card);
 
-    const request = await fetch('/api/content/importURL', {
-        method: 'POST',
-        headers: getRequestHeaders(),
-        body: JSON.stringify({ url: card.id }),
-    });
+    if (!cachedImage) {
+        queuePendingImport(card);
+        toastr.info(`${card.name} hasn't been cached yet and will be imported when you're back online.`, 'Queued for Later');
+        closeDetailModal();
+        return context.importStats;
+    }
 
-    if (!request.ok) {
-        const errorText = await request.text();
-        console.error('[Bot Browser] importURL failed:', request.status, errorText);
-        throw new Error(`Failed to import character: ${request.statusText}`);
-    }
-
-    // The endpoint returns a binary file (PNG with embedded character data)
-    const characterBlob = await request.blob();
-    
-    // Check if we got an error response instead of a file
-    if (characterBlob.size < 100) {
-        const text = await characterBlob.text();
-        if (text.includes('error')) {
-            console.error('[Bot Browser] Import error response:', text);
-            throw new Error('Failed to download character from Chub');
-        }
+    try {
+        const importStats = await importFromChunkData(card, context, false, cachedImage);
+        closeDetailModal();
+        return importStats;
+    } catch (error) {
+        console.error('[Bot Browser] Offline import failed:', error);
+        reportImportError(error);
     }
 
-    console.log('[Bot Browser] Downloaded character file:', characterBlob.size, 'bytes');
+    return context.importStats;
+}
 
-    // Create a file and import it
-    const fileName = card.name.replace(/[^a-z0-9]/gi, '_').toLowerCase() + '.png';
-    const file = new File([characterBlob], fileName, { type: 'image/png' });
-    
-    await processDroppedFiles([file]);
+// Cached image for a card whose full data is cached too, or null if it can't be imported offline
+async function getOfflineImportImage(card) {
+    const isLorebook = card.id && card.id.includes('/lorebooks/');
+    const service = card.sourceService || card.service;
 
-    toastr.success(`${card.name} imported successfully!`, '', { timeOut: 2000 });
-    console.log('[Bot Browser] ✓ Chub character imported via importURL');
+    if (isLorebook || !card.chunk || !service) return null;
+    if (!await isChunkCached(service, card.chunk)) return null;
 
-    // Track import
-    return trackImport(extensionName, extension_settings, importStats, card, 'character');
+    return await getCachedCardImage(card.avatar_url || card.image_url);
 }
 
-// Import lorebook
-async function importLorebook(card, extensionName, extension_settings, importStats, getRequestHeaders) {
-    const request = await fetch('/api/content/importURL', {
-        method: 'POST',
-        headers: getRequestHeaders(),
-        body: JSON.stringify({ url: card.id }),
+function queuePendingImport(card) {
+    const pendingImports = loadPendingImports().filter(c => c.id !== card.id);
+
+    pendingImports.push({
+        id: card.id,
+        name: card.name,
+        creator: card.creator,
+        avatar_url: card.avatar_url,
+        image_url: card.image_url,
+        service: card.service,
+        chunk: card.chunk,
+        chunk_idx: card.chunk_idx,
+        sourceService: card.sourceService,
+        tags: card.tags || [],
+        possibleNsfw: card.possibleNsfw || false
     });
 
-    if (!request.ok) {
-        toastr.error(`Failed to import lorebook: ${request.statusText}`, 'Import Failed');
-        console.error('Lorebook import failed', request.status, request.statusText);
-        throw new Error(`Failed to import lorebook: ${request.statusText}`);
+    savePendingImports(pendingImports);
+    console.log('[Bot Browser] Queued for import when online:', card.name);
+}
+
+// The run in progress; init, the online event and the offline toggle can all ask for one
+let pendingImportsRun = null;
+
+// Passes a queued card may fail on network errors before it is dropped
+const MAX_PENDING_ATTEMPTS = 3;
+
+/**
+ * Import everything that was queued while offline. Asking again while a run is going returns that run,
+ * so no card is imported twice.
+ * @returns {Promise<Object>} - The updated import stats
+ */
+export function processPendingImports(extensionName, extension_settings, importStats, getRequestHeaders, processDroppedFiles) {
+    if (!pendingImportsRun) {
+        pendingImportsRun = importPendingCards(extensionName, extension_settings, importStats, getRequestHeaders, processDroppedFiles).finally(() => {
+            pendingImportsRun = null;
+        });
     }
+    return pendingImportsRun;
+}
 
-    const lorebookData = await request.blob();
+// Runs in the background, so it uses the queue's import path: no detail modal is closed and no per-card toasts,
+// just one summary at the end
+async function importPendingCards(extensionName, extension_settings, importStats, getRequestHeaders, processDroppedFiles) {
+    if (loadPendingImports().length === 0 || isOfflineMode()) {
+        return importStats;
+    }
 
-    // Create a file name
-    const fileName = card.name.replace(/[^a-z0-9]/gi, '_').toLowerCase() + '.json';
+    const results = { imported: 0, skipped: 0, failed: 0, kept: 0 };
+    const tried = new Set();
 
-    // Create a File object from the blob
-    const file = new File([lorebookData], fileName, { type: 'application/json' });
+    // Read the stored list before every card, so cards queued meanwhile are picked up too
+    let card;
+    while (!isOfflineMode() && (card = loadPendingImports().find(c => !tried.has(c.id)))) {
+        tried.add(card.id);
 
-    // Use SillyTavern's native importWorldInfo function
-    // This properly updates the UI without requiring a page refresh
-    await importWorldInfo(file);
+        try {
+            importStats = await importCardForQueue(card, extensionName, extension_settings, importStats, getRequestHeaders, processDroppedFiles);
+            removePendingImport(card.id);
+            results.imported++;
+        } catch (error) {
+            if (error.skipped) {
+                removePendingImport(card.id);
+                results.skipped++;
+                continue;
+            }
 
-    console.log('[Bot Browser] Lorebook imported successfully using importWorldInfo');
+            console.error(`[Bot Browser] Queued import of ${card.name} failed:`, error);
 
-    // Track import
-    return trackImport(extensionName, extension_settings, importStats, card, 'lorebook');
+            // The connection may still be settling right after coming back; keep the card for the next pass
+            const attempts = (card.attempts || 0) + 1;
+            if (isTransientError(error) && attempts < MAX_PENDING_ATTEMPTS) {
+                updatePendingImport(card.id, { attempts });
+                results.kept++;
+            } else {
+                removePendingImport(card.id);
+                results.failed++;
+            }
+        }
+    }
+
+    reportPendingImports(results);
+    return importStats;
 }
 
-// Import character
-async function importCharacter(card, extensionName, extension_settings, importStats, processDroppedFiles, getRequestHeaders) {
-    // For Chub cards (from API), use the importURL endpoint
-    if ((card.service === 'chub' || card.sourceService === 'chub') && card.id && card.id.includes('chub.ai/characters/')) {
-        console.log('[Bot Browser] Using importURL for Chub character:', card.id);
-        return await importChubCharacter(card, extensionName, extension_settings, importStats, getRequestHeaders, processDroppedFiles);
+function removePendingImport(id) {
+    savePendingImports(loadPendingImports().filter(c => c.id !== id));
+}
+
+function updatePendingImport(id, fields) {
+    savePendingImports(loadPendingImports().map(c => c.id === id ? { ...c, ...fields } : c));
+}
+
+function reportPendingImports({ imported, skipped, failed, kept }) {
+    const total = imported + skipped + failed + kept;
+    if (total === 0) return;
+
+    const parts = [`Imported ${imported} of ${total} queued card${total !== 1 ? 's' : ''}`];
+    if (skipped > 0) parts.push(`${skipped} skipped as duplicate${skipped !== 1 ? 's' : ''}`);
+    if (failed > 0) parts.push(`${failed} failed`);
+    if (kept > 0) parts.push(`${kept} kept to retry when the connection is back`);
+
+    const message = parts.join(', ');
+    if (failed > 0 || kept > 0) {
+        toastr.warning(message, 'Back Online');
+    } else {
+        toastr.success(message, 'Back Online');
     }
+}
 
+// Import character
+async function importCharacter(card, context) {
     // Determine which URL to use based on service
     let imageUrl;
 
@@ -147,7 +427,7 @@ async function importCharacter(card, extensionName, extension_settings, importSt
     }
 
     if (!imageUrl) {
-        toastr.warning('No image URL found for this card');
+        notify(context, 'warning', 'No image URL found for this card');
         throw new Error('No image URL found');
     }
 
@@ -167,7 +447,7 @@ async function importCharacter(card, extensionName, extension_settings, importSt
         const uuid = uuidMatch[1];
         console.log('[Bot Browser] Extracted UUID:', uuid);
 
-        imageBlob = await importRisuAICard(uuid, card, getRequestHeaders);
+        imageBlob = await importRisuAICard(uuid, card, context);
     } else if (imageUrl.includes('charhub.io') || imageUrl.includes('characterhub.org') || imageUrl.includes('avatars.charhub.io')) {
         console.log('[Bot Browser] Detected Chub URL, fetching directly');
         console.log('[Bot Browser] Fetching from:', imageUrl);
@@ -178,10 +458,11 @@ async function importCharacter(card, extensionName, extension_settings, importSt
                 console.log('[Bot Browser] Image returned 404, will use fallback method');
                 use404Fallback = true;
             } else {
-                throw new Error(`Failed to fetch Chub image: ${imageResponse.statusText}`);
+                throw createHttpError(`Failed to fetch Chub image: ${imageResponse.statusText}`, imageResponse);
             }
         } else {
             imageBlob = await imageResponse.blob();
+            context.noteRoute('Chub image fetched directly');
             console.log('[Bot Browser] ✓ Successfully fetched Chub image directly');
         }
     } else {
@@ -193,6 +474,7 @@ async function importCharacter(card, extensionName, extension_settings, importSt
                 use404Fallback = true;
             } else {
                 imageBlob = await imageResponse.blob();
+                context.noteRoute('Card image fetched directly');
             }
         } catch (error) {
             console.log('[Bot Browser] Failed to fetch image (network error), will use fallback method');
@@ -202,17 +484,38 @@ async function importCharacter(card, extensionName, extension_settings, importSt
 
     // If image fetch failed, fall back to creating card from chunk data with default avatar
     if (use404Fallback) {
-        toastr.info('Image unavailable, importing from chunk data with default avatar...', '', { timeOut: 3000 });
-        return await importFromChunkData(card, extensionName, extension_settings, importStats, processDroppedFiles, true);
+        context.noteRoute('Image unavailable: chunk data with the default avatar');
+        notify(context, 'info', 'Image unavailable, importing from chunk data with default avatar...', '', { timeOut: 3000 });
+        return await importFromChunkData(card, context, true);
     }
 
-    // Check if the image is too small (likely stripped of character data)
-    // A valid character card PNG should be at least a few KB
-    const MIN_VALID_SIZE = 5000; // 5KB minimum
-    if (imageBlob.size < MIN_VALID_SIZE) {
-        console.log(`[Bot Browser] Image too small (${imageBlob.size} bytes), likely stripped of character data`);
-        toastr.info('Image missing character data, importing from chunk data...', '', { timeOut: 3000 });
-        return await importFromChunkData(card, extensionName, extension_settings, importStats, processDroppedFiles, false, imageBlob);
+    // Look at what the image actually carries instead of guessing from its size
+    const imageBytes = new Uint8Array(await imageBlob.arrayBuffer());
+    const imageFormat = detectImageFormat(imageBytes);
+
+    if (imageFormat !== 'png') {
+        // WebP, JPEG and GIF avatars never hold card data
+        console.log(`[Bot Browser] Avatar is ${imageFormat || 'an unknown format'}, not a card PNG`);
+        context.noteRoute(`Avatar is ${imageFormat ? imageFormat.toUpperCase() : 'not a PNG'}, which can't carry card data: chunk data embedded into a PNG of it`);
+        notify(context, 'info', 'Image has no character data, importing from chunk data...', '', { timeOut: 3000 });
+        return await importFromChunkData(card, context, false, imageBlob);
+    }
+
+    const { chara, ccv3, found } = await readPngCardChunks(imageBytes);
+    console.log(`[Bot Browser] Card PNG has ${describeCardChunks(found)}`);
+
+    if (!chara && !ccv3) {
+        context.noteRoute(`PNG has no valid card data (${describeCardChunks(found)}): chunk data embedded into the image`);
+        notify(context, 'info', 'Image missing character data, importing from chunk data...', '', { timeOut: 3000 });
+        return await importFromChunkData(card, context, false, imageBlob);
+    }
+
+    if (isCardDataReadable(found)) {
+        context.noteRoute(`PNG carries ${describeCardChunks(found)}`);
+    } else {
+        // Compressed, duplicate or V3-only card data: write it back as the plain chunks SillyTavern reads
+        context.noteRoute(`PNG carries ${describeCardChunks(found)}: rewritten as tEXt chara and ccv3`);
+        imageBlob = new Blob([writeCardToPng(imageBytes, toCardV3(ccv3 || chara))], { type: 'image/png' });
     }
 
     // Create a file name
@@ -222,17 +525,17 @@ async function importCharacter(card, extensionName, extension_settings, importSt
     const file = new File([imageBlob], fileName, { type: 'image/png' });
 
     // Import directly using processDroppedFiles
-    await processDroppedFiles([file]);
+    await context.processDroppedFiles([file]);
 
-    toastr.success(`${card.name} imported successfully!`, '', { timeOut: 2000 });
+    notify(context, 'success', `${card.name} imported successfully!`, '', { timeOut: 2000 });
     console.log('[Bot Browser] Card imported successfully');
 
     // Track import
-    return trackImport(extensionName, extension_settings, importStats, card, 'character');
+    return context.trackImport(card, 'character');
 }
 
-// Import card from chunk data with default avatar (for 404 images) or original image (for stripped PNGs)
-async function importFromChunkData(card, extensionName, extension_settings, importStats, processDroppedFiles, useDefaultAvatar = true, originalImageBlob = null) {
+// Import card from chunk data with default avatar (for 404 images) or original image (for stripped PNGs and other formats)
+async function importFromChunkData(card, context, useDefaultAvatar = true, originalImageBlob = null) {
     console.log('[Bot Browser] Importing from chunk data', useDefaultAvatar ? 'with default avatar' : 'with original image');
 
     // Load full card data from chunk if available
@@ -266,35 +569,8 @@ async function importFromChunkData(card, extensionName, extension_settings, impo
         }
     }
 
-    // Convert to Character Card V2 format with all available data
-    const characterData = {
-        spec: 'chara_card_v2',
-        spec_version: '2.0',
-        data: {
-            name: fullCard.name || '',
-            description: fullCard.description || '',
-            personality: fullCard.personality || '',
-            scenario: fullCard.scenario || '',
-            first_mes: fullCard.first_message || '',
-            mes_example: fullCard.example_messages || fullCard.mes_example || '',
-            creator_notes: fullCard.website_description || '',
-            system_prompt: '',
-            post_history_instructions: '',
-            creator: fullCard.creator || '',
-            character_version: '',
-            tags: fullCard.tags || [],
-            alternate_greetings: fullCard.alternate_greetings || [],
-            extensions: {
-                talkativeness: '0.5',
-                fav: false,
-                world: '',
-                depth_prompt: {
-                    prompt: '',
-                    depth: 4
-                }
-            }
-        }
-    };
+    // Keep every V3 field the chunk has (group-only greetings, assets, embedded lorebook, ...)
+    const characterData = toCardV3(fullCard);
 
     // Get the image to use (either default avatar or original image)
     let imageToUse;
@@ -305,90 +581,35 @@ async function importFromChunkData(card, extensionName, extension_settings, impo
         imageToUse = originalImageBlob;
     }
 
-    // Encode character data as base64 to embed in PNG
-    const jsonString = JSON.stringify(characterData);
-    const base64Data = btoa(unescape(encodeURIComponent(jsonString)));
-
     // Create PNG with embedded character data
-    const pngBlob = await createCharacterPNG(imageToUse, base64Data);
+    const pngBlob = await createCharacterPNG(imageToUse, characterData);
     const fileName = fullCard.name.replace(/[^a-z0-9]/gi, '_').toLowerCase() + '.png';
     const file = new File([pngBlob], fileName, { type: 'image/png' });
 
     // Import the character
-    await processDroppedFiles([file]);
+    await context.processDroppedFiles([file]);
 
-    toastr.success(`${fullCard.name} imported successfully!`, '', { timeOut: 2000 });
+    notify(context, 'success', `${fullCard.name} imported successfully!`, '', { timeOut: 2000 });
     console.log('[Bot Browser] Card imported successfully from chunk data');
 
     // Track import
-    return trackImport(extensionName, extension_settings, importStats, fullCard, 'character');
+    return context.trackImport(fullCard, 'character');
 }
 
-// Import card as JSON (fallback when image fetch fails)
-async function importCardAsJSON(card, getRequestHeaders) {
-    // Convert to Character Card V2 format
-    const characterData = {
-        spec: 'chara_card_v2',
-        spec_version: '2.0',
-        data: {
-            name: card.name || '',
-            description: card.description || '',
-            personality: card.personality || '',
-            scenario: card.scenario || '',
-            first_mes: card.first_message || '',
-            mes_example: card.example_messages || '',
-            creator_notes: card.website_description || '',
-            system_prompt: '',
-            post_history_instructions: '',
-            creator: card.creator || '',
-            character_version: '',
-            tags: card.tags || [],
-            alternate_greetings: card.alternate_greetings || [],
-            extensions: {
-                talkativeness: '0.5',
-                fav: false,
-                world: '',
-                depth_prompt: {
-                    prompt: '',
-                    depth: 4
-                }
-            }
-        }
-    };
+// Card data as a JSON file (fallback when image fetch fails)
+function createCardJSONFile(card) {
+    // SillyTavern's JSON importer reads V3 cards as well
+    const characterData = toCardV3(card);
 
     // Create JSON blob
     const jsonString = JSON.stringify(characterData);
     const jsonBlob = new Blob([jsonString], { type: 'application/json' });
     const jsonFileName = card.name.replace(/[^a-z0-9]/gi, '_').toLowerCase() + '.json';
-    const jsonFile = new File([jsonBlob], jsonFileName, { type: 'application/json' });
-
-    // Import the JSON
-    const formData = new FormData();
-    formData.append('avatar', jsonFile);
-    formData.append('file_type', 'json');
-    formData.append('user_name', 'User');
-
-    const response = await fetch('/api/characters/import', {
-        method: 'POST',
-        headers: getRequestHeaders({ omitContentType: true }),
-        body: formData,
-    });
-
-    if (!response.ok) {
-        throw new Error(`Import failed: ${response.statusText}`);
-    }
-
-    const result = await response.json();
-
-    if (result.error) {
-        throw new Error('Character import failed');
-    }
-
-    console.log('[Bot Browser] Character imported as JSON successfully');
+    return new File([jsonBlob], jsonFileName, { type: 'application/json' });
 }
 
 // Import RisuAI card - get JSON data and convert to V2 format with embedding
-async function importRisuAICard(uuid, card, getRequestHeaders) {
+async function importRisuAICard(uuid, card, context) {
     console.log('[Bot Browser] Importing RisuAI card with UUID:', uuid);
     console.log('[Bot Browser] Card avatar_url:', card.avatar_url);
 
@@ -402,6 +623,7 @@ async function importRisuAICard(uuid, card, getRequestHeaders) {
         if (jsonRequest.ok) {
             const cardData = await jsonRequest.json();
             console.log('[Bot Browser] ✓ Successfully downloaded JSON-v3');
+            context.noteRoute('RisuAI JSON-v3 download embedded into the avatar image');
 
             // Get image and embed card data
             return await embedRisuAICardData(cardData, card);
@@ -423,13 +645,8 @@ async function importRisuAICard(uuid, card, getRequestHeaders) {
             const zipBlob = await charxRequest.blob();
             console.log('[Bot Browser] ✓ Successfully downloaded CharX-v3, extracting...');
 
-            // Load JSZip if not already loaded
-            if (typeof JSZip === 'undefined') {
-                console.log('[Bot Browser] Loading JSZip library...');
-                await import('../../../../../../lib/jszip.min.js');
-            }
-
             // Extract card.json from ZIP
+            const JSZip = await loadJSZip();
             const zip = await JSZip.loadAsync(zipBlob);
             const cardJsonFile = zip.file('card.json');
             if (!cardJsonFile) {
@@ -439,6 +656,7 @@ async function importRisuAICard(uuid, card, getRequestHeaders) {
             const cardJsonText = await cardJsonFile.async('text');
             const cardData = JSON.parse(cardJsonText);
             console.log('[Bot Browser] ✓ Extracted card.json from CharX');
+            context.noteRoute('RisuAI CharX-v3 download (JSON-v3 failed) embedded into the avatar image');
 
             // Get image and embed card data (pass the original card for avatar_url)
             return await embedRisuAICardData(cardData, card);
@@ -458,37 +676,9 @@ async function embedRisuAICardData(cardData, originalCard = null) {
     console.log('[Bot Browser] Embedding card data into PNG...');
     console.log('[Bot Browser] RisuAI card data:', cardData);
 
-    // Convert RisuAI format to SillyTavern Character Card V2 format
-    const v2CardData = {
-        spec: 'chara_card_v2',
-        spec_version: '2.0',
-        data: {
-            name: cardData.name || cardData.data?.name || '',
-            description: cardData.description || cardData.data?.description || '',
-            personality: cardData.personality || cardData.data?.personality || '',
-            scenario: cardData.scenario || cardData.data?.scenario || '',
-            first_mes: cardData.firstMessage || cardData.first_mes || cardData.data?.first_mes || '',
-            mes_example: cardData.exampleMessage || cardData.mes_example || cardData.data?.mes_example || '',
-            creator_notes: '',
-            system_prompt: cardData.systemPrompt || cardData.system_prompt || cardData.data?.system_prompt || '',
-            post_history_instructions: cardData.postHistoryInstructions || cardData.post_history_instructions || cardData.data?.post_history_instructions || '',
-            creator: cardData.creator || cardData.data?.creator || '',
-            character_version: cardData.characterVersion || cardData.character_version || cardData.data?.character_version || '',
-            tags: cardData.tags || cardData.data?.tags || [],
-            alternate_greetings: cardData.alternateGreetings || cardData.alternate_greetings || cardData.data?.alternate_greetings || [],
-            extensions: cardData.extensions || cardData.data?.extensions || {
-                talkativeness: '0.5',
-                fav: false,
-                world: '',
-                depth_prompt: {
-                    prompt: '',
-                    depth: 4
-                }
-            }
-        }
-    };
-
-    console.log('[Bot Browser] Converted to V2 format:', v2CardData);
+    // RisuAI exports are V3; keep them that way instead of downgrading to V2
+    const cardV3 = toCardV3(cardData);
+    console.log('[Bot Browser] Normalized to V3 format:', cardV3);
 
     // Use the avatar_url from the original card (from browser)
     let imageUrl = originalCard?.avatar_url;
@@ -502,7 +692,7 @@ async function embedRisuAICardData(cardData, originalCard = null) {
 
     const imageResponse = await fetch(imageUrl);
     if (!imageResponse.ok) {
-        throw new Error(`Failed to fetch image: ${imageResponse.statusText}`);
+        throw createHttpError(`Failed to fetch image: ${imageResponse.statusText}`, imageResponse);
     }
 
     const imageBlob = await imageResponse.blob();
@@ -518,107 +708,13 @@ async function embedRisuAICardData(cardData, originalCard = null) {
         imageBytes = await convertImageToPNG(imageBlob);
     }
 
-    // Embed the V2 character data into the PNG
-    const characterJsonString = JSON.stringify(v2CardData);
-    const base64EncodedData = btoa(unescape(encodeURIComponent(characterJsonString)));
-
-    const embeddedPngBytes = insertPngTextChunk(imageBytes, 'chara', base64EncodedData);
+    // Embed the card as both chara (V2) and ccv3 chunks
+    const embeddedPngBytes = writeCardToPng(imageBytes, cardV3);
 
     console.log('[Bot Browser] ✓ Successfully embedded card data');
     return new Blob([embeddedPngBytes], { type: 'image/png' });
 }
 
-// Insert a tEXt chunk into a PNG file
-function insertPngTextChunk(pngBytes, keyword, text) {
-    // PNG signature
-    const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
-
-    // Verify PNG signature
-    for (let i = 0; i < PNG_SIGNATURE.length; i++) {
-        if (pngBytes[i] !== PNG_SIGNATURE[i]) {
-            throw new Error('Not a valid PNG file');
-        }
-    }
-
-    // Find the position to insert the tEXt chunk (after IHDR, before IDAT)
-    let insertPos = 8; // After PNG signature
-    let foundIHDR = false;
-
-    while (insertPos < pngBytes.length) {
-        const chunkLength = (pngBytes[insertPos] << 24) | (pngBytes[insertPos + 1] << 16) |
-                          (pngBytes[insertPos + 2] << 8) | pngBytes[insertPos + 3];
-        const chunkType = String.fromCharCode(...pngBytes.slice(insertPos + 4, insertPos + 8));
-
-        if (chunkType === 'IHDR') {
-            foundIHDR = true;
-            // Move past this chunk
-            insertPos += 12 + chunkLength; // 4 (length) + 4 (type) + data + 4 (CRC)
-        } else if (foundIHDR && chunkType === 'IDAT') {
-            // Insert before the first IDAT chunk
-            break;
-        } else {
-            // Move past this chunk
-            insertPos += 12 + chunkLength;
-        }
-    }
-
-    // Create the tEXt chunk
-    const keywordBytes = new TextEncoder().encode(keyword);
-    const textBytes = new TextEncoder().encode(text);
-    const chunkData = new Uint8Array(keywordBytes.length + 1 + textBytes.length);
-    chunkData.set(keywordBytes, 0);
-    chunkData[keywordBytes.length] = 0; // Null separator
-    chunkData.set(textBytes, keywordBytes.length + 1);
-
-    // Calculate CRC32 for the chunk
-    const chunkType = new TextEncoder().encode('tEXt');
-    const crcData = new Uint8Array(chunkType.length + chunkData.length);
-    crcData.set(chunkType, 0);
-    crcData.set(chunkData, chunkType.length);
-    const crc = calculateCRC32(crcData);
-
-    // Build the chunk: length + type + data + CRC
-    const chunk = new Uint8Array(12 + chunkData.length);
-    // Length (4 bytes, big-endian)
-    chunk[0] = (chunkData.length >> 24) & 0xFF;
-    chunk[1] = (chunkData.length >> 16) & 0xFF;
-    chunk[2] = (chunkData.length >> 8) & 0xFF;
-    chunk[3] = chunkData.length & 0xFF;
-    // Type (4 bytes)
-    chunk.set(chunkType, 4);
-    // Data
-    chunk.set(chunkData, 8);
-    // CRC (4 bytes, big-endian)
-    chunk[8 + chunkData.length] = (crc >> 24) & 0xFF;
-    chunk[8 + chunkData.length + 1] = (crc >> 16) & 0xFF;
-    chunk[8 + chunkData.length + 2] = (crc >> 8) & 0xFF;
-    chunk[8 + chunkData.length + 3] = crc & 0xFF;
-
-    // Combine: original PNG up to insert position + new chunk + rest of PNG
-    const result = new Uint8Array(pngBytes.length + chunk.length);
-    result.set(pngBytes.slice(0, insertPos), 0);
-    result.set(chunk, insertPos);
-    result.set(pngBytes.slice(insertPos), insertPos + chunk.length);
-
-    return result;
-}
-
-// Calculate CRC32 checksum
-function calculateCRC32(data) {
-    let crc = 0xFFFFFFFF;
-    for (let i = 0; i < data.length; i++) {
-        crc = crc ^ data[i];
-        for (let j = 0; j < 8; j++) {
-            if (crc & 1) {
-                crc = (crc >>> 1) ^ 0xEDB88320;
-            } else {
-                crc = crc >>> 1;
-            }
-        }
-    }
-    return (crc ^ 0xFFFFFFFF) >>> 0;
-}
-
 // Convert any image format to PNG using Canvas
 async function convertImageToPNG(imageBlob) {
     return new Promise((resolve, reject) => {
@@ -657,12 +753,12 @@ async function convertImageToPNG(imageBlob) {
 }
 
 // Create a PNG with embedded character data
-async function createCharacterPNG(imageBlob, base64Data) {
+export async function createCharacterPNG(imageBlob, cardV3) {
     // Convert image to PNG if needed
     const pngBytes = await convertImageToPNG(imageBlob);
 
-    // Embed the character data as tEXt chunk
-    const pngWithData = insertPngTextChunk(pngBytes, 'chara', base64Data);
+    // Embed the character data as chara and ccv3 tEXt chunks
+    const pngWithData = writeCardToPng(pngBytes, cardV3);
 
     // Convert back to Blob
     return new Blob([pngWithData], { type: 'image/png' });
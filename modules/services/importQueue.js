@@ -0,0 +1,180 @@
+// Batch import queue - imports selected cards a few at a time, retrying transient failures
+const MAX_RETRIES = 2;
+const RETRY_DELAY_MS = 2000;
+
+// Network hiccups, rate limits and server errors are worth another try; anything else is reported as is
+const TRANSIENT_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// What fetch() rejects with when the request got no response at all (Chrome, Firefox, Safari)
+const NETWORK_ERROR_PATTERN = /failed to fetch|networkerror|load failed/i;
+
+let items = [];
+let nextItemId = 1;
+let concurrency = 2;
+let activeCount = 0;
+let runner = null;
+const listeners = new Set();
+
+/**
+ * @typedef {Object} ImportQueueItem
+ * @property {number} id
+ * @property {Object} card
+ * @property {'pending'|'importing'|'retrying'|'done'|'skipped'|'failed'|'cancelled'} status
+ * @property {number} attempts
+ * @property {string} [error] - Failure reason for failed items
+ */
+
+/**
+ * Set the function that imports one card; it should throw when the import fails
+ * @param {function(Object): Promise<void>} importFn
+ */
+export function setImportQueueRunner(importFn) {
+    runner = importFn;
+}
+
+export function setImportQueueConcurrency(value) {
+    concurrency = Math.max(1, parseInt(value) || 1);
+    processQueue();
+}
+
+/**
+ * Subscribe to queue changes
+ * @param {function(Array<ImportQueueItem>): void} listener
+ * @returns {function(): void} - Unsubscribe
+ */
+export function onImportQueueChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function notify() {
+    for (const listener of listeners) {
+        listener(getImportQueue());
+    }
+}
+
+export function getImportQueue() {
+    return items.map(item => ({ ...item }));
+}
+
+export function getImportQueueProgress() {
+    const count = status => items.filter(item => item.status === status).length;
+    const finished = count('done') + count('skipped') + count('failed') + count('cancelled');
+
+    return {
+        total: items.length,
+        finished,
+        done: count('done'),
+        skipped: count('skipped'),
+        failed: count('failed'),
+        cancelled: count('cancelled'),
+        active: finished < items.length
+    };
+}
+
+// Add cards to the queue, skipping ones that are already waiting or importing
+export function enqueueImports(cards) {
+    let added = 0;
+
+    for (const card of cards) {
+        const queued = items.some(item => item.card.id === card.id && ['pending', 'importing', 'retrying'].includes(item.status));
+        if (queued) continue;
+
+        items.push({ id: nextItemId++, card, status: 'pending', attempts: 0 });
+        added++;
+    }
+
+    notify();
+    processQueue();
+    return added;
+}
+
+// Cards that haven't started are cancelled; imports already running finish on their own
+export function cancelImportQueue() {
+    for (const item of items) {
+        if (item.status === 'pending' || item.status === 'retrying') {
+            item.status = 'cancelled';
+        }
+    }
+    notify();
+}
+
+export function retryFailedImports() {
+    for (const item of items) {
+        if (item.status === 'failed' || item.status === 'cancelled') {
+            item.status = 'pending';
+            item.attempts = 0;
+            delete item.error;
+        }
+    }
+    notify();
+    processQueue();
+}
+
+// Remove finished items; the queue is empty afterwards unless imports are still running
+export function clearFinishedImports() {
+    items = items.filter(item => ['pending', 'importing', 'retrying'].includes(item.status));
+    notify();
+}
+
+// Judged by the HTTP status (error.status) or the error type, never by words that may be in a card's name
+export function isTransientError(error) {
+    if (error?.status) {
+        return TRANSIENT_STATUSES.includes(error.status);
+    }
+    if (error?.name === 'TimeoutError') {
+        return true;
+    }
+    return error instanceof TypeError && NETWORK_ERROR_PATTERN.test(error.message);
+}
+
+function processQueue() {
+    if (!runner) return;
+
+    while (activeCount < concurrency) {
+        const item = items.find(i => i.status === 'pending');
+        if (!item) break;
+        runItem(item);
+    }
+}
+
+async function runItem(item) {
+    activeCount++;
+    item.status = 'importing';
+    item.attempts++;
+    notify();
+
+    try {
+        await runner(item.card);
+        item.status = 'done';
+        delete item.error;
+    } catch (error) {
+        // Duplicates the user chose to skip
+        if (error.skipped) {
+            item.status = 'skipped';
+            item.error = error.message;
+            return;
+        }
+
+        console.error(`[Bot Browser] Queued import of ${item.card.name} failed (attempt ${item.attempts}):`, error);
+
+        if (isTransientError(error) && item.attempts <= MAX_RETRIES) {
+            item.status = 'retrying';
+            item.error = error.message;
+            setTimeout(() => {
+                // Cancelled while waiting for the retry
+                if (item.status !== 'retrying') return;
+                item.status = 'pending';
+                notify();
+                processQueue();
+            }, RETRY_DELAY_MS * item.attempts);
+        } else {
+            item.status = 'failed';
+            item.error = error.message || 'Unknown error';
+        }
+    } finally {
+        activeCount--;
+        notify();
+        processQueue();
+    }
+}
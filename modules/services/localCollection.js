@@ -0,0 +1,203 @@
+// Local collection - cards from a folder or zip the user picked, kept in IndexedDB
+import { default_avatar } from '../../../../../../script.js';
+import { getLocalCollectionEntries, putLocalCollectionEntries } from '../storage/dataCache.js';
+import { readCardFromPng, normalizeCardJson, readCharx } from '../utils/cardFiles.js';
+import { loadJSZip } from '../utils/utils.js';
+
+export const LOCAL_SOURCE_NAME = 'local_collection';
+
+const CARD_FILE_PATTERN = /\.(png|json|charx)$/i;
+
+// Stored entries with object URLs for their images, loaded on first use
+let collection = null;
+
+function getExtension(fileName) {
+    return fileName.split('.').pop().toLowerCase();
+}
+
+// Turn card fields into an entry shaped like the ones in the service indexes
+function createIndexCard(path, spec, data) {
+    const description = data.description || '';
+    const tags = Array.isArray(data.tags) ? data.tags.filter(tag => typeof tag === 'string') : [];
+
+    return {
+        id: `${LOCAL_SOURCE_NAME}/${path}`,
+        name: data.name,
+        creator: data.creator || '',
+        tags,
+        desc_preview: (data.creator_notes || description).slice(0, 300),
+        desc_search: `${description} ${data.creator_notes || ''}`.slice(0, 2000),
+        description,
+        personality: data.personality || '',
+        scenario: data.scenario || '',
+        first_message: data.first_mes || '',
+        example_messages: data.mes_example || '',
+        alternate_greetings: Array.isArray(data.alternate_greetings) ? data.alternate_greetings : [],
+        // Only the count, for has:lorebook; the book itself stays in the original file
+        lorebook_entries: Array.isArray(data.character_book?.entries) ? data.character_book.entries.length : 0,
+        website_description: data.creator_notes || '',
+        possibleNsfw: tags.some(tag => tag.toLowerCase() === 'nsfw'),
+        spec,
+        service: LOCAL_SOURCE_NAME
+    };
+}
+
+// Parse one card file into a stored entry, or null when it isn't a character card
+async function parseCardFile(path, blob) {
+    const fileName = path.split('/').pop();
+    const extension = getExtension(fileName);
+    let json = null;
+    let image = null;
+
+    if (extension === 'png') {
+        json = await readCardFromPng(new Uint8Array(await blob.arrayBuffer()));
+        image = blob;
+    } else if (extension === 'json') {
+        json = JSON.parse(await blob.text());
+    } else if (extension === 'charx') {
+        const charx = await readCharx(blob);
+        json = charx?.json || null;
+        image = charx?.image || null;
+    }
+
+    const normalized = normalizeCardJson(json);
+    if (!normalized) return null;
+
+    return {
+        card: createIndexCard(path, normalized.spec, normalized.data),
+        file: blob,
+        fileName,
+        image
+    };
+}
+
+// Card files inside a zip, as { path, blob }
+async function readZipFiles(zipFile) {
+    const JSZip = await loadJSZip();
+    const zip = await JSZip.loadAsync(zipFile);
+    const files = [];
+
+    for (const entry of Object.values(zip.files)) {
+        if (entry.dir || entry.name.startsWith('__MACOSX/') || !CARD_FILE_PATTERN.test(entry.name)) continue;
+        files.push({ path: entry.name, blob: await entry.async('blob') });
+    }
+
+    return files;
+}
+
+function withImageUrl(entry) {
+    const imageUrl = entry.image ? URL.createObjectURL(entry.image) : new URL(default_avatar, window.location.href).href;
+    return {
+        ...entry,
+        card: { ...entry.card, avatar_url: imageUrl, image_url: imageUrl }
+    };
+}
+
+function releaseImageUrls() {
+    for (const entry of collection || []) {
+        if (entry.card.avatar_url.startsWith('blob:')) {
+            URL.revokeObjectURL(entry.card.avatar_url);
+        }
+    }
+}
+
+async function loadCollection() {
+    if (!collection) {
+        const entries = await getLocalCollectionEntries() || [];
+        collection = entries.map(withImageUrl);
+    }
+    return collection;
+}
+
+/**
+ * Parse a folder selection or a set of files (PNG/JSON/CharX, or zips containing them)
+ * and store them as the local collection, replacing the previous one
+ * @param {FileList|File[]} files
+ * @returns {Promise<{added: number, skipped: number}>}
+ */
+export async function loadLocalCollectionFiles(files) {
+    const cardFiles = [];
+
+    for (const file of Array.from(files)) {
+        const path = file.webkitRelativePath || file.name;
+        if (getExtension(file.name) === 'zip') {
+            const zipFiles = await readZipFiles(file);
+            cardFiles.push(...zipFiles.map(zipFile => ({ path: `${file.name}/${zipFile.path}`, blob: zipFile.blob })));
+        } else if (CARD_FILE_PATTERN.test(file.name)) {
+            cardFiles.push({ path, blob: file });
+        }
+    }
+
+    const entries = [];
+    let skipped = 0;
+
+    for (const { path, blob } of cardFiles) {
+        try {
+            const entry = await parseCardFile(path, blob);
+            if (entry) {
+                entries.push(entry);
+            } else {
+                skipped++;
+            }
+        } catch (error) {
+            console.warn(`[Bot Browser] Could not read ${path}:`, error);
+            skipped++;
+        }
+    }
+
+    await putLocalCollectionEntries(entries);
+    releaseImageUrls();
+    collection = entries.map(withImageUrl);
+
+    console.log(`[Bot Browser] Local collection loaded: ${entries.length} cards, ${skipped} files skipped`);
+    return { added: entries.length, skipped };
+}
+
+// Cards of the local collection in index format
+export async function getLocalCollectionCards() {
+    const entries = await loadCollection();
+    return entries.map(entry => entry.card);
+}
+
+// The original file a local card was read from, ready for SillyTavern's importer
+export async function getLocalCardFile(card) {
+    const entries = await loadCollection();
+    const entry = entries.find(e => e.card.id === card.id);
+    return entry ? new File([entry.file], entry.fileName) : null;
+}
+
+export async function clearLocalCollection() {
+    await putLocalCollectionEntries([]);
+    releaseImageUrls();
+    collection = [];
+}
+
+/**
+ * Ask the user for a folder or for files/zips and load them as the local collection
+ * @param {boolean} directory - Pick a whole folder instead of individual files
+ * @returns {Promise<{added: number, skipped: number}|null>} - null when the picker was cancelled
+ */
+export function pickLocalCollection(directory = false) {
+    return new Promise((resolve, reject) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.multiple = true;
+        if (directory) {
+            input.webkitdirectory = true;
+        } else {
+            input.accept = '.png,.json,.charx,.zip';
+        }
+
+        input.addEventListener('change', () => {
+            if (!input.files || input.files.length === 0) {
+                resolve(null);
+                return;
+            }
+            toastr.info('Reading local cards...', '', { timeOut: 2000 });
+            loadLocalCollectionFiles(input.files).then(resolve, reject);
+        });
+        input.addEventListener('cancel', () => resolve(null));
+
+        input.click();
+    });
+}
@@ -0,0 +1,106 @@
+// Actions run once a card has landed in SillyTavern: open its chat, add it to the open group, copy its tags
+import { characters, selectCharacterById } from '../../../../../../script.js';
+import { groups, selected_group, editGroup } from '../../../../../group-chats.js';
+import { tags, createNewTag, addTagsToEntity } from '../../../../../tags.js';
+import { readCardDataFromFile, findExistingCharacters, getCardFingerprint } from './duplicates.js';
+
+export const POST_IMPORT_ACTIONS = {
+    none: 'Do nothing',
+    open_chat: 'Open chat now',
+    add_to_group: 'Add to current group chat'
+};
+
+// The character a file turned into: a new entry when it was added, the matching one when it replaced another
+function findImportedCharacter(knownAvatars, data) {
+    const added = characters.filter(character => !knownAvatars.has(character.avatar));
+    const byName = data ? added.filter(character => character.name === data.name) : [];
+    if (byName.length > 0) return byName[byName.length - 1];
+    if (added.length === 1) return added[0];
+
+    return data ? findExistingCharacters(getCardFingerprint(data))[0] || null : null;
+}
+
+// Give the character SillyTavern tags named like the card's tags, creating the ones that don't exist yet.
+// Goes through SillyTavern's tag API, which saves the settings and redraws the character list
+function assignCardTags(character, tagNames) {
+    const cardTags = [];
+
+    for (const tagName of tagNames) {
+        const name = typeof tagName === 'string' ? tagName.trim() : '';
+        if (!name) continue;
+
+        const tag = tags.find(existing => existing.name.toLowerCase() === name.toLowerCase()) || createNewTag(name);
+        if (!cardTags.includes(tag)) {
+            cardTags.push(tag);
+        }
+    }
+
+    return cardTags.length > 0 ? addTagsToEntity(cardTags, character.avatar) : false;
+}
+
+async function addToCurrentGroup(character) {
+    const group = selected_group ? groups.find(g => g.id === selected_group) : null;
+    if (!group) {
+        toastr.info(`Open a group chat to add ${character.name} to it`);
+        return;
+    }
+    if (group.members.includes(character.avatar)) return;
+
+    group.members.push(character.avatar);
+    await editGroup(group.id, true, true);
+    toastr.success(`Added ${character.name} to ${group.name}`, '', { timeOut: 2000 });
+}
+
+async function openCharacterChat(character) {
+    const id = characters.indexOf(character);
+    if (id < 0) return;
+
+    window.dispatchEvent(new CustomEvent('bot-browser-close'));
+    await selectCharacterById(String(id));
+}
+
+async function runPostImportActions(character, data, settings, allowOpenChat) {
+    if (settings.postImportAssignTags && data?.tags?.length) {
+        assignCardTags(character, data.tags);
+    }
+
+    if (settings.postImportAction === 'add_to_group') {
+        await addToCurrentGroup(character);
+    } else if (settings.postImportAction === 'open_chat' && allowOpenChat) {
+        await openCharacterChat(character);
+    }
+}
+
+/**
+ * Wrap processDroppedFiles so the post-import actions from the settings run once each file is imported.
+ * A failing action is reported but doesn't fail the import.
+ * @param {function(Array<File>): Promise<void>} processDroppedFiles
+ * @param {Object} settings - The extension's settings (postImportAction, postImportAssignTags)
+ * @param {boolean} [allowOpenChat] - Off for batch imports, which shouldn't switch chats card after card
+ * @returns {function(Array<File>): Promise<void>}
+ */
+export function withPostImportActions(processDroppedFiles, settings, allowOpenChat = true) {
+    const hasActions = settings.postImportAssignTags || (settings.postImportAction && settings.postImportAction !== 'none');
+    if (!hasActions) return processDroppedFiles;
+
+    return async (files) => {
+        for (const file of files) {
+            const knownAvatars = new Set(characters.map(character => character.avatar));
+            const data = await readCardDataFromFile(file);
+
+            await processDroppedFiles([file]);
+
+            try {
+                const character = findImportedCharacter(knownAvatars, data);
+                if (character) {
+                    await runPostImportActions(character, data, settings, allowOpenChat);
+                } else {
+                    console.warn('[Bot Browser] Could not find the imported character for post-import actions');
+                }
+            } catch (error) {
+                console.error('[Bot Browser] Post-import action failed:', error);
+                toastr.warning(`Imported, but the after-import action failed: ${error.message}`);
+            }
+        }
+    };
+}
@@ -0,0 +1,92 @@
+// Named searches - a source with its query, tag/creator filters and sort, recalled from a chip
+import { loadSavedSearches, saveSavedSearches, loadWatchlistState, saveWatchlistState } from '../storage/storage.js';
+import { getSourceDisplayName } from './sourceRegistry.js';
+import { normalizeFilters } from './cards.js';
+
+export function getSavedSearches() {
+    return loadSavedSearches();
+}
+
+export function getSavedSearch(id) {
+    return loadSavedSearches().find(search => search.id === id) || null;
+}
+
+/**
+ * Save the current search under a name; a search with the same name on the same source is replaced
+ * @param {string} name
+ * @param {string} source - Source name ('all' for every source)
+ * @param {Object} filters - The browser's filter state
+ * @param {string} sortBy
+ * @param {Object} [serverFilters] - Filters the source's API applies (live sources only)
+ * @returns {Object} - The saved search
+ */
+export function addSavedSearch(name, source, filters, sortBy, serverFilters = {}) {
+    const savedSearches = loadSavedSearches();
+    const existing = savedSearches.find(search => search.name === name && search.source === source);
+
+    const savedSearch = {
+        id: existing?.id || `search-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        name,
+        source,
+        filters: normalizeFilters(structuredClone(filters)),
+        sortBy,
+        serverFilters: structuredClone(serverFilters),
+        watch: existing?.watch || false,
+        createdAt: existing?.createdAt || Date.now()
+    };
+
+    if (existing) {
+        savedSearches[savedSearches.indexOf(existing)] = savedSearch;
+    } else {
+        savedSearches.push(savedSearch);
+    }
+    saveSavedSearches(savedSearches);
+    return savedSearch;
+}
+
+export function removeSavedSearch(id) {
+    saveSavedSearches(loadSavedSearches().filter(search => search.id !== id));
+
+    const watchlistState = loadWatchlistState();
+    delete watchlistState[id];
+    saveWatchlistState(watchlistState);
+}
+
+/**
+ * Turn a saved search into a watchlist or back; its first run after enabling only records what matches
+ * @returns {Object|null} - The updated saved search
+ */
+export function setSavedSearchWatched(id, watch) {
+    const savedSearches = loadSavedSearches();
+    const savedSearch = savedSearches.find(search => search.id === id);
+    if (!savedSearch) return null;
+
+    savedSearch.watch = watch;
+    saveSavedSearches(savedSearches);
+
+    if (!watch) {
+        const watchlistState = loadWatchlistState();
+        delete watchlistState[id];
+        saveWatchlistState(watchlistState);
+    }
+    return savedSearch;
+}
+
+// One-line summary for the chip tooltip, e.g. "Chub - "knight" - tags: fantasy, not horror - sort: recent"
+export function describeSavedSearch(savedSearch) {
+    const filters = normalizeFilters(savedSearch.filters);
+    const parts = [getSourceDisplayName(savedSearch.source)];
+
+    if (filters.search) parts.push(`"${filters.search}"`);
+    if (filters.tags.length > 0) {
+        parts.push(`tags: ${filters.tags.join(filters.tagMode === 'any' ? ' or ' : ', ')}`);
+    }
+    if (filters.excludedTags.length > 0) parts.push(`not ${filters.excludedTags.join(', ')}`);
+    if (filters.creators.length > 0) parts.push(`by ${filters.creators.join(', ')}`);
+    if (savedSearch.sortBy && savedSearch.sortBy !== 'relevance') parts.push(`sort: ${savedSearch.sortBy}`);
+
+    const serverFilterCount = Object.keys(savedSearch.serverFilters || {}).length;
+    if (serverFilterCount > 0) parts.push(`${serverFilterCount} API filter${serverFilterCount !== 1 ? 's' : ''}`);
+
+    return parts.join(' - ');
+}
@@ -0,0 +1,218 @@
+// Search box query syntax. Field operators become filters, everything else goes to the fuzzy search:
+//   tag:fantasy  -tag:nsfw  creator:foo  name:"Exact Name"  tokens:<2000  has:lorebook  has:greetings>2
+// Any operator can be negated with a leading "-". Values with spaces go in double quotes.
+
+const QUERY_FIELDS = ['tag', 'creator', 'name', 'tokens', 'has'];
+
+// has:<field> counts; has:field alone means at least one. null when the card doesn't carry the field:
+// index entries and live API cards are only a summary, they have no greetings or lorebook to count
+const HAS_FIELDS = {
+    lorebook: card => getLorebookEntryCount(card),
+    greetings: card => (Array.isArray(card.alternate_greetings) ? card.alternate_greetings.length : null),
+    examples: card => getPresence(card, ['example_messages', 'mes_example']),
+    scenario: card => getPresence(card, ['scenario'])
+};
+
+// Text fields a token count can be estimated from; cards with only a description preview don't qualify
+const DEFINITION_FIELDS = ['description', 'personality', 'scenario', 'first_message', 'example_messages'];
+
+const MAX_SUGGESTIONS = 8;
+
+// One query word: an optional "-", a field and a value (quoted or not), or a plain word
+const TOKEN_PATTERN = /(-?)([a-z]+):(?:"([^"]*)"?|(\S*))|"[^"]*"?|\S+/gi;
+const COMPARISON_PATTERN = /^(<=|>=|<|>|=)?(\d+)$/;
+
+function getLorebookEntryCount(card) {
+    if (typeof card.lorebook_entries === 'number') return card.lorebook_entries;
+    if (!card.character_book) return null;
+
+    const entries = card.character_book.entries;
+    if (Array.isArray(entries)) return entries.length;
+    return entries && typeof entries === 'object' ? Object.keys(entries).length : 0;
+}
+
+// 1 or 0 for a text field the card carries, null when it has none of the keys at all
+function getPresence(card, keys) {
+    const key = keys.find(name => name in card);
+    return key ? (card[key] ? 1 : 0) : null;
+}
+
+/**
+ * Token count of a card: the one the source reports, otherwise estimated from its definition (~4 characters per token)
+ * @param {Object} card
+ * @returns {number|null} - null when the card carries neither a count nor its definition
+ */
+export function getCardTokenCount(card) {
+    if (card._chubMeta?.nTokens) return card._chubMeta.nTokens;
+    if (!DEFINITION_FIELDS.some(field => field in card)) return null;
+
+    const text = DEFINITION_FIELDS.map(field => card[field]).filter(Boolean).join('');
+    return Math.round(text.length / 4);
+}
+
+// The number a tokens: or has: term compares, null when the card doesn't carry it
+function getTermCount(card, term) {
+    return term.field === 'tokens' ? getCardTokenCount(card) : HAS_FIELDS[term.value](card);
+}
+
+function compare(value, operator, target) {
+    switch (operator) {
+        case '<': return value < target;
+        case '<=': return value <= target;
+        case '>': return value > target;
+        case '>=': return value >= target;
+        default: return value === target;
+    }
+}
+
+// Turn a field and its value into a term, or null when the value doesn't fit the field
+function createTerm(field, value, quoted, negate) {
+    switch (field) {
+        case 'tag':
+        case 'creator':
+            return value ? { field, value: value.toLowerCase(), negate } : null;
+        case 'name':
+            // Quoted names must match exactly, unquoted ones only need to be part of the name
+            return value ? { field, value: value.toLowerCase(), exact: quoted, negate } : null;
+        case 'tokens': {
+            const match = value.match(COMPARISON_PATTERN);
+            return match ? { field, operator: match[1] || '=', count: parseInt(match[2]), negate } : null;
+        }
+        case 'has': {
+            const match = value.toLowerCase().match(/^([a-z]+)(?:(<=|>=|<|>|=)(\d+))?$/);
+            if (!match || !HAS_FIELDS[match[1]]) return null;
+            return { field, value: match[1], operator: match[2] || '>', count: match[3] !== undefined ? parseInt(match[3]) : 0, negate };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Split a search box query into filter terms and the free text left for the fuzzy search.
+ * Words that look like operators but don't parse (unknown field, bad number) stay in the free text.
+ * @param {string} search
+ * @returns {{text: string, terms: Object[], operators: string[]}} operators are the raw words the terms came from,
+ *     each term keeps its own as term.word
+ */
+export function parseSearchQuery(search) {
+    const query = { text: '', terms: [], operators: [] };
+    if (!search) return query;
+
+    const words = [];
+    for (const match of search.matchAll(TOKEN_PATTERN)) {
+        const [word, negate, field, quotedValue, value] = match;
+        const term = field && QUERY_FIELDS.includes(field.toLowerCase())
+            ? createTerm(field.toLowerCase(), (quotedValue ?? value ?? '').trim(), quotedValue !== undefined, negate === '-')
+            : null;
+
+        if (term) {
+            query.terms.push({ ...term, word });
+            query.operators.push(word);
+        } else {
+            words.push(word);
+        }
+    }
+
+    query.text = words.join(' ');
+    return query;
+}
+
+function matchesTerm(card, term) {
+    switch (term.field) {
+        case 'tag':
+            return Array.isArray(card.tags) && card.tags.some(tag => typeof tag === 'string' && tag.toLowerCase() === term.value);
+        case 'creator':
+            return (card.creator || '').toLowerCase() === term.value;
+        case 'name': {
+            const name = (card.name || '').toLowerCase();
+            return term.exact ? name === term.value : name.includes(term.value);
+        }
+        case 'tokens':
+        case 'has':
+            return compare(getTermCount(card, term), term.operator, term.count);
+        default:
+            return true;
+    }
+}
+
+/**
+ * Whether a card passes every term of a parsed query. A card that doesn't carry what a tokens: or has:
+ * term counts passes neither the term nor its negation.
+ * @param {Object} card
+ * @param {Object[]} terms - From parseSearchQuery
+ * @returns {boolean}
+ */
+export function matchesQueryTerms(card, terms) {
+    return terms.every(term => {
+        if ((term.field === 'tokens' || term.field === 'has') && getTermCount(card, term) === null) {
+            return false;
+        }
+        return matchesTerm(card, term) !== term.negate;
+    });
+}
+
+/**
+ * tokens: and has: terms none of the cards carry the data for, e.g. has:lorebook on a source whose
+ * index only summarizes its cards. These can't be answered for that source and are left out.
+ * @param {Object[]} cards
+ * @param {Object[]} terms - From parseSearchQuery
+ * @returns {Object[]}
+ */
+export function getUnsupportedTerms(cards, terms) {
+    return terms.filter(term => (term.field === 'tokens' || term.field === 'has') && !cards.some(card => getTermCount(card, term) !== null));
+}
+
+function quoteValue(value) {
+    return /\s/.test(value) ? `"${value}"` : value;
+}
+
+/**
+ * Autocomplete for the query word at the caret: field names, and tag/creator values
+ * @param {string} search - Search box value
+ * @param {number} caret - Caret position in the value
+ * @param {{tags: string[], creators: string[]}} values - Known tags and creators of the loaded cards
+ * @returns {{start: number, end: number, items: Array<{label: string, insert: string}>}|null}
+ *     items replace search.slice(start, end); null when there is nothing to suggest
+ */
+export function getQuerySuggestions(search, caret, values) {
+    // The word under the caret, where a quoted value may contain spaces
+    const before = search.slice(0, caret);
+    const wordMatch = before.match(/(-?[a-z]+:"[^"]*|\S*)$/i);
+    const start = caret - wordMatch[0].length;
+    const endMatch = search.slice(caret).match(/^\S*/);
+    const end = caret + endMatch[0].length;
+    const word = wordMatch[0];
+
+    const fieldMatch = word.match(/^(-?)([a-z]+):"?(.*)$/i);
+    let items = [];
+
+    if (!fieldMatch) {
+        // Complete the field name itself
+        const prefix = word.replace(/^-/, '').toLowerCase();
+        if (!prefix) return null;
+        items = QUERY_FIELDS
+            .filter(field => field.startsWith(prefix) && field !== prefix)
+            .map(field => ({ label: `${field}:`, insert: `${word.startsWith('-') ? '-' : ''}${field}:` }));
+    } else {
+        const [, negate, field, partial] = fieldMatch;
+        const fieldName = field.toLowerCase();
+        const lowerPartial = partial.toLowerCase();
+
+        let candidates = [];
+        if (fieldName === 'tag') candidates = values.tags;
+        else if (fieldName === 'creator') candidates = values.creators;
+        else if (fieldName === 'has') candidates = Object.keys(HAS_FIELDS);
+
+        const matching = candidates.filter(value => value.toLowerCase().includes(lowerPartial) && value.toLowerCase() !== lowerPartial);
+        // Values starting with what was typed come first
+        matching.sort((a, b) => Number(!a.toLowerCase().startsWith(lowerPartial)) - Number(!b.toLowerCase().startsWith(lowerPartial)));
+
+        items = matching.slice(0, MAX_SUGGESTIONS).map(value => ({
+            label: `${negate}${fieldName}:${value}`,
+            insert: `${negate}${fieldName}:${quoteValue(value)} `
+        }));
+    }
+
+    return items.length > 0 ? { start, end, items: items.slice(0, MAX_SUGGESTIONS) } : null;
+}
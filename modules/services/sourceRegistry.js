@@ -0,0 +1,176 @@
+// Source registry - the list of browsable sources, built from master-index.json
+import { loadMasterIndex } from './cache.js';
+
+// Presentation for sources we know about. master-index.json decides which sources exist
+// and overrides any of these fields it provides; unknown upstream sources get generic defaults.
+const BUILT_IN_SOURCES = [
+    { name: 'risuai_realm', displayName: 'Risuai Realm', icon: 'https://files.catbox.moe/216rab.webp' },
+    { name: 'webring', displayName: 'Webring', icon: 'https://files.catbox.moe/6avrsl.png', iconSize: '85%' },
+    { name: 'nyai_me', displayName: 'Nyai.me', icon: 'https://nyai.me/img/necologofavicon-64.png', iconSize: '85%' },
+    { name: 'chub', displayName: 'Chub', icon: 'https://avatars.charhub.io/icons/assets/full_logo.png', iconBackground: 'white' },
+    { name: 'character_tavern', displayName: 'Character Tavern', icon: 'https://character-tavern.com/_app/immutable/assets/logo.DGIlOnDO.png' },
+    { name: 'catbox', displayName: 'Catbox', icon: 'https://catbox.tech/favicon128.png' },
+    { name: 'anchorhold', displayName: '4chan - /aicg/', icon: 'https://assets.coingecko.com/coins/images/30124/large/4CHAN.png?1696529046', iconSize: '85%' },
+    { name: 'mlpchag', displayName: 'MLPchag', icon: 'https://derpicdn.net/img/view/2015/9/26/988523__safe_solo_upvotes+galore_smiling_cute_derpy+hooves_looking+at+you_looking+up_part+of+a_set_derpibooru+exclusive.png' },
+    { name: 'desuarchive', displayName: 'Desuarchive', icon: 'https://s2.vndb.org/ch/32/17032.jpg' },
+    { name: 'chub_lorebooks', displayName: 'Chub Lorebooks', label: 'Chub', type: 'lorebooks', icon: 'https://avatars.charhub.io/icons/assets/full_logo.png', iconBackground: 'white' }
+];
+
+let registry = BUILT_IN_SOURCES.map(source => createSource(source.name, source));
+// Sources added at runtime by source providers; kept across master index reloads
+let runtimeSources = [];
+let registryLoaded = false;
+let registryPromise = null;
+
+function createSource(name, fields = {}) {
+    const isLorebooks = fields.type === 'lorebooks' || name.includes('lorebook');
+    const displayName = fields.displayName ||
+        name.split('_').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+
+    return {
+        name,
+        displayName,
+        label: fields.label || displayName,
+        type: isLorebooks ? 'lorebooks' : 'characters',
+        icon: fields.icon || '',
+        iconSize: fields.iconSize || 'cover',
+        iconBackground: fields.iconBackground || '',
+        cardCount: fields.cardCount ?? null,
+        lastUpdated: fields.lastUpdated ?? null,
+        chunks: fields.chunks || [],
+        // Personal sources (e.g. account favorites) stay out of "All" and the roulette
+        includeInAll: fields.includeInAll ?? true
+    };
+}
+
+// Accepts { services: {...} }, { services: [...] } or a bare name -> info map
+function extractServiceEntries(masterIndex) {
+    const services = masterIndex?.services || masterIndex?.sources || masterIndex;
+
+    if (Array.isArray(services)) {
+        return services
+            .filter(entry => entry && typeof entry === 'object')
+            .map(entry => [entry.name || entry.id || entry.service, entry])
+            .filter(([name]) => typeof name === 'string' && name.length > 0);
+    }
+
+    if (services && typeof services === 'object') {
+        return Object.entries(services)
+            .filter(([, entry]) => entry && typeof entry === 'object' && !Array.isArray(entry));
+    }
+
+    return [];
+}
+
+function parseTimestamp(value) {
+    if (value === null || value === undefined || value === '') return null;
+    // Unix seconds vs milliseconds
+    if (typeof value === 'number') return value < 1e12 ? value * 1000 : value;
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? null : parsed;
+}
+
+function readMasterIndexEntry(name, entry) {
+    const count = entry.count ?? entry.totalCards ?? entry.total_cards ?? entry.cardCount ?? entry.card_count ?? entry.total;
+    const chunks = Array.isArray(entry.chunks) ? entry.chunks : (Array.isArray(entry.chunk_files) ? entry.chunk_files : []);
+
+    const fields = {
+        cardCount: typeof count === 'number' ? count : null,
+        lastUpdated: parseTimestamp(entry.lastUpdated ?? entry.last_updated ?? entry.updated_at ?? entry.updatedAt),
+        chunks
+    };
+
+    const displayName = entry.displayName || entry.display_name || entry.title;
+    if (displayName) fields.displayName = displayName;
+
+    const icon = entry.icon || entry.icon_url || entry.iconUrl;
+    if (icon) fields.icon = icon;
+
+    if (entry.type === 'lorebooks' || entry.type === 'lorebook') fields.type = 'lorebooks';
+
+    return fields;
+}
+
+function buildRegistry(masterIndex) {
+    const entries = extractServiceEntries(masterIndex);
+    if (entries.length === 0) {
+        return BUILT_IN_SOURCES.map(source => createSource(source.name, source));
+    }
+
+    const builtInOrder = BUILT_IN_SOURCES.map(source => source.name);
+    const sources = entries.map(([name, entry]) => {
+        const builtIn = BUILT_IN_SOURCES.find(source => source.name === name) || {};
+        return createSource(name, { ...builtIn, ...readMasterIndexEntry(name, entry) });
+    });
+
+    // Keep the familiar order for known sources, new upstream sources go last
+    return sources.sort((a, b) => {
+        const aIndex = builtInOrder.indexOf(a.name);
+        const bIndex = builtInOrder.indexOf(b.name);
+        return (aIndex === -1 ? Infinity : aIndex) - (bIndex === -1 ? Infinity : bIndex);
+    });
+}
+
+// Load master-index.json and rebuild the registry from it (falls back to the built-in list)
+export async function loadSourceRegistry() {
+    if (registryPromise) {
+        return registryPromise;
+    }
+
+    registryPromise = (async () => {
+        const masterIndex = await loadMasterIndex();
+        registry = buildRegistry(masterIndex);
+        registryLoaded = masterIndex !== null;
+        console.log(`[Bot Browser] Source registry loaded with ${registry.length} sources`);
+        return registry;
+    })().finally(() => {
+        registryPromise = null;
+    });
+
+    return registryPromise;
+}
+
+export function isSourceRegistryLoaded() {
+    return registryLoaded;
+}
+
+// Add or update a source at runtime; fields that are left undefined keep their master index values
+export function addSource(fields) {
+    const definedFields = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null));
+    runtimeSources = runtimeSources.filter(source => source.name !== fields.name);
+    runtimeSources.push(definedFields);
+}
+
+export function removeSource(name) {
+    runtimeSources = runtimeSources.filter(source => source.name !== name);
+}
+
+// All sources, optionally limited to 'characters' or 'lorebooks'
+export function getSources(type = null) {
+    const sources = registry.map(source => {
+        const runtimeFields = runtimeSources.find(runtime => runtime.name === source.name);
+        return runtimeFields ? createSource(source.name, { ...source, ...runtimeFields }) : source;
+    });
+
+    for (const runtimeFields of runtimeSources) {
+        if (!registry.some(source => source.name === runtimeFields.name)) {
+            sources.push(createSource(runtimeFields.name, runtimeFields));
+        }
+    }
+
+    return type ? sources.filter(source => source.type === type) : sources;
+}
+
+export function getSource(name) {
+    return getSources().find(source => source.name === name) || null;
+}
+
+// Names of every character source, used by "All", the roulette and random picks
+export function getCharacterSourceNames() {
+    return getSources('characters').filter(source => source.includeInAll).map(source => source.name);
+}
+
+export function getSourceDisplayName(name) {
+    if (name === 'all') return 'All Sources';
+    return getSource(name)?.displayName || createSource(name).displayName;
+}
@@ -0,0 +1,130 @@
+// Update checker - compares imported cards with the current version at their source
+import { loadImportedCards, saveImportedCards } from '../storage/storage.js';
+import { getContentFingerprint, toCardV3 } from '../utils/cardSpec.js';
+import { getProvider } from '../providers/providers.js';
+import { fetchChubCardDefinition, getChubFullPath } from './chubApi.js';
+import { LOCAL_SOURCE_NAME } from './localCollection.js';
+import { findExistingCharacters, getCardFingerprint } from './duplicates.js';
+
+// Fields shown in the update diff, as named in card data
+const DIFF_FIELDS = [
+    { key: 'description', label: 'Description' },
+    { key: 'personality', label: 'Personality' },
+    { key: 'scenario', label: 'Scenario' },
+    { key: 'first_mes', label: 'First Message' },
+    { key: 'alternate_greetings', label: 'Alternate Greetings' },
+    { key: 'mes_example', label: 'Example Messages' },
+    { key: 'system_prompt', label: 'System Prompt' },
+    { key: 'post_history_instructions', label: 'Post-History Instructions' }
+];
+
+/**
+ * @typedef {Object} UpdateCheckResult
+ * @property {Object} record - Entry from the imported cards list
+ * @property {'changed'|'unchanged'|'baseline'|'missing'|'error'} status - baseline: nothing to compare
+ *     against yet, the current fingerprint was saved for next time
+ * @property {Object} [card] - The card as it is at the source now, ready to import
+ * @property {string} [error]
+ */
+
+// Imported characters that have a source we can ask again
+export function getCheckableImports() {
+    return loadImportedCards().filter(record => record.type === 'character' && record.source !== LOCAL_SOURCE_NAME);
+}
+
+// Cards of a static index source, loaded once per check
+async function loadSourceCards(source, sourceCache) {
+    if (!sourceCache.has(source)) {
+        const provider = getProvider(source);
+        sourceCache.set(source, provider ? provider.list() : Promise.resolve([]));
+    }
+    return sourceCache.get(source);
+}
+
+// The card as it is upstream right now, or null when the source no longer has it
+async function fetchCurrentCard(record, sourceCache) {
+    const chubPath = getChubFullPath(record);
+    if (chubPath) {
+        try {
+            return await fetchChubCardDefinition(chubPath);
+        } catch (error) {
+            if (error.message.includes('404') || error.message.includes('not found')) return null;
+            throw error;
+        }
+    }
+
+    const provider = getProvider(record.source);
+    const cards = await loadSourceCards(record.source, sourceCache);
+    const indexCard = cards.find(card => card.id === record.id);
+    if (!indexCard) return null;
+
+    const card = { ...indexCard, sourceService: record.source };
+    return provider.getFullCard ? await provider.getFullCard(card) : card;
+}
+
+/**
+ * Re-check imported cards against their sources
+ * @param {function(number, number): void} [onProgress] - Called with (checked, total)
+ * @returns {Promise<Array<UpdateCheckResult>>}
+ */
+export async function checkForUpdates(onProgress = () => {}) {
+    const records = getCheckableImports();
+    const sourceCache = new Map();
+    const baselines = new Map();
+    const results = [];
+
+    for (const [index, record] of records.entries()) {
+        try {
+            const card = await fetchCurrentCard(record, sourceCache);
+            const fingerprint = card ? getContentFingerprint(card) : null;
+
+            if (!card) {
+                results.push({ record, status: 'missing' });
+            } else if (!record.fingerprint) {
+                if (fingerprint) baselines.set(record.id, fingerprint);
+                results.push({ record, status: 'baseline', card });
+            } else {
+                results.push({ record, status: fingerprint && fingerprint !== record.fingerprint ? 'changed' : 'unchanged', card });
+            }
+        } catch (error) {
+            console.error(`[Bot Browser] Update check failed for ${record.name}:`, error);
+            results.push({ record, status: 'error', error: error.message });
+        }
+
+        onProgress(index + 1, records.length);
+    }
+
+    // Cards imported before fingerprints existed compare against today's version from now on
+    if (baselines.size > 0) {
+        saveImportedCards(loadImportedCards().map(record => baselines.has(record.id) ? { ...record, fingerprint: baselines.get(record.id) } : record));
+    }
+
+    return results;
+}
+
+function toDiffText(value) {
+    return Array.isArray(value) ? value.join('\n\n---\n\n') : (value || '');
+}
+
+/**
+ * Fields that differ between the character in SillyTavern and the card at its source
+ * @param {Object} record - Entry from the imported cards list
+ * @param {Object} currentCard - The card at its source
+ * @returns {{character: Object|null, fields: Array<{label: string, local: string, upstream: string}>}}
+ *     character is null when the imported copy can't be found in SillyTavern anymore
+ */
+export function getUpdateDiff(record, currentCard) {
+    const upstream = toCardV3(currentCard).data;
+    const character = findExistingCharacters(getCardFingerprint({ name: record.name, creator: record.creator }))[0] || null;
+    const local = character ? toCardV3(character.data || character).data : null;
+
+    const fields = DIFF_FIELDS
+        .map(({ key, label }) => ({
+            label,
+            local: local ? toDiffText(local[key]) : '',
+            upstream: toDiffText(upstream[key])
+        }))
+        .filter(field => field.local.trim() !== field.upstream.trim());
+
+    return { character, fields };
+}
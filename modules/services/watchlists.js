@@ -0,0 +1,220 @@
+// Watchlists - saved searches that are re-run when the browser opens to find cards that weren't there last time
+import { loadWatchlistState, saveWatchlistState } from '../storage/storage.js';
+import { getSavedSearches } from './savedSearches.js';
+import { getCharacterSourceNames } from './sourceRegistry.js';
+import { isOfflineMode } from './cache.js';
+import { createCardFuse, filterCards, normalizeFilters } from './cards.js';
+import { parseSearchQuery } from './searchQuery.js';
+import { getProvider } from '../providers/providers.js';
+
+// A watchlist is re-run at most this often when the browser is opened repeatedly
+const WATCH_INTERVAL_MS = 30 * 60 * 1000;
+
+// Searches matching more than this are too broad to track in localStorage
+const MAX_WATCHED_MATCHES = 5000;
+
+// Unseen new cards kept per watchlist
+const MAX_NEW_CARDS = 100;
+
+let running = null;
+
+// The fields needed to open a card's detail view later, like recently viewed cards keep
+function toStoredCard(card) {
+    return {
+        id: card.id,
+        name: card.name,
+        creator: card.creator,
+        avatar_url: card.avatar_url || card.image_url,
+        service: card.service,
+        chunk: card.chunk,
+        chunk_idx: card.chunk_idx,
+        sourceService: card.sourceService,
+        possibleNsfw: card.possibleNsfw || false
+    };
+}
+
+function withSource(cards, source) {
+    return cards.map(card => ({ ...card, sourceService: card.sourceService || source }));
+}
+
+/**
+ * Sort a watched search is run with, and opened with so its new cards are among the first results:
+ * the saved sort when the source's API has it, otherwise newest first where the API offers that
+ * @param {Object} savedSearch
+ * @returns {string}
+ */
+export function getWatchlistSort(savedSearch) {
+    const sortValues = (getProvider(savedSearch.source)?.sortOptions || []).map(option => option.value);
+    if (sortValues.includes(savedSearch.sortBy)) return savedSearch.sortBy;
+    return sortValues.includes('recent') ? 'recent' : savedSearch.sortBy;
+}
+
+/**
+ * Current cards of a watchlist's source. Sources with a live API get the same query the browser sends
+ * when the search is opened, static indexes are reloaded (which refreshes them once the cache is stale).
+ * @returns {Promise<{cards: Object[], searched: boolean}>} searched: the API already applied the free text
+ */
+async function fetchWatchlistCards(savedSearch, extensionName, extension_settings) {
+    if (savedSearch.source === 'all') {
+        let cards = [];
+        for (const service of getCharacterSourceNames()) {
+            cards = cards.concat(withSource(await getProvider(service).list(), service));
+        }
+        return { cards, searched: false };
+    }
+
+    const provider = getProvider(savedSearch.source);
+    const searchText = parseSearchQuery(savedSearch.filters.search).text;
+
+    if (!isOfflineMode() && (provider.search || provider.sort)) {
+        const watchSort = getWatchlistSort(savedSearch);
+        const sort = (provider.sortOptions || []).some(option => option.value === watchSort) ? watchSort : 'default';
+        const options = { sort, search: '', nsfw: !extension_settings[extensionName].hideNsfw, filters: savedSearch.serverFilters || {} };
+
+        if (provider.search && searchText.length >= 2) {
+            const result = await provider.search(searchText, { ...options, search: searchText });
+            return { cards: withSource(result.cards, provider.name), searched: true };
+        }
+        if (provider.sort) {
+            const result = await provider.sort(sort, options);
+            return { cards: withSource(result.cards, provider.name), searched: false };
+        }
+    }
+
+    return { cards: withSource(await provider.list(), savedSearch.source), searched: false };
+}
+
+async function matchWatchlist(savedSearch, extensionName, extension_settings) {
+    const { cards, searched } = await fetchWatchlistCards(savedSearch, extensionName, extension_settings);
+    const filters = normalizeFilters(savedSearch.filters);
+
+    // API results already match the free text, only the operators are left to apply
+    if (searched) {
+        filters.search = parseSearchQuery(filters.search).operators.join(' ');
+    }
+
+    const fuse = parseSearchQuery(filters.search).text ? createCardFuse(cards, extensionName, extension_settings) : null;
+    return filterCards(cards, filters, fuse, extensionName, extension_settings);
+}
+
+// Run one watchlist against its previous run; newCards are only the cards found this time
+async function runWatchlist(savedSearch, previous, extensionName, extension_settings) {
+    const matched = await matchWatchlist(savedSearch, extensionName, extension_settings);
+    const checkedAt = Date.now();
+
+    if (matched.length > MAX_WATCHED_MATCHES) {
+        console.warn(`[Bot Browser] Watchlist "${savedSearch.name}" matches ${matched.length} cards, too many to track`);
+        return { seenIds: [], newCards: [], checkedAt, tooBroad: true };
+    }
+
+    const matchedIds = [...new Set(matched.map(card => card.id))];
+
+    // First run (or first since it was too broad) only records what is there
+    if (!previous || previous.tooBroad) {
+        return { seenIds: matchedIds, newCards: [], checkedAt };
+    }
+
+    // Seen ids also rule out cards listed twice in this run
+    const seenIds = new Set(previous.seenIds);
+    const newCards = [];
+    for (const card of matched) {
+        if (seenIds.has(card.id)) continue;
+        seenIds.add(card.id);
+        newCards.push(toStoredCard(card));
+    }
+
+    return { seenIds: matchedIds, newCards, checkedAt };
+}
+
+/**
+ * Re-run the watched saved searches that are due and record the cards that are new since their last run
+ * @param {boolean} [force] - Run every watchlist, even the ones checked recently
+ * @returns {Promise<number>} - Number of new cards found
+ */
+export function runWatchlists(extensionName, extension_settings, force = false) {
+    if (!running) {
+        running = runDueWatchlists(extensionName, extension_settings, force).finally(() => {
+            running = null;
+        });
+    }
+    return running;
+}
+
+async function runDueWatchlists(extensionName, extension_settings, force) {
+    const watched = getSavedSearches().filter(search => search.watch);
+    let added = 0;
+
+    for (const savedSearch of watched) {
+        const previous = loadWatchlistState()[savedSearch.id];
+        if (!force && previous && Date.now() - previous.checkedAt < WATCH_INTERVAL_MS) continue;
+
+        try {
+            const result = await runWatchlist(savedSearch, previous, extensionName, extension_settings);
+
+            // Re-read the state: cards may have been marked as seen, or the watch turned off, while this ran
+            const watchlistState = loadWatchlistState();
+            if (!getSavedSearches().some(search => search.id === savedSearch.id && search.watch)) continue;
+
+            const unseenCards = watchlistState[savedSearch.id]?.newCards || [];
+            watchlistState[savedSearch.id] = { ...result, newCards: [...result.newCards, ...unseenCards].slice(0, MAX_NEW_CARDS) };
+            saveWatchlistState(watchlistState);
+
+            added += result.newCards.length;
+        } catch (error) {
+            console.error(`[Bot Browser] Watchlist "${savedSearch.name}" failed:`, error);
+        }
+    }
+
+    if (watched.length > 0) {
+        console.log(`[Bot Browser] Watchlists checked, ${added} new cards`);
+    }
+    return added;
+}
+
+/**
+ * Unseen new cards of all watchlists, latest finds of each watchlist first, each card once
+ * @returns {Array<{card: Object, searchId: string, searchName: string}>}
+ */
+export function getNewForYouCards() {
+    const watchlistState = loadWatchlistState();
+    const entries = [];
+    const listed = new Set();
+
+    for (const savedSearch of getSavedSearches().filter(search => search.watch)) {
+        for (const card of watchlistState[savedSearch.id]?.newCards || []) {
+            if (listed.has(card.id)) continue;
+            listed.add(card.id);
+            entries.push({ card, searchId: savedSearch.id, searchName: savedSearch.name });
+        }
+    }
+
+    return entries;
+}
+
+// Count of unseen new cards per watched saved search id
+export function getNewCardCounts() {
+    const watchlistState = loadWatchlistState();
+    return Object.fromEntries(Object.entries(watchlistState).map(([id, entry]) => [id, entry.newCards.length]));
+}
+
+// Whether a watched search matched too many cards to be tracked on its last run
+export function isWatchlistTooBroad(id) {
+    return !!loadWatchlistState()[id]?.tooBroad;
+}
+
+/**
+ * Mark new cards as seen
+ * @param {Object} [options]
+ * @param {string} [options.searchId] - Only this watchlist's cards
+ * @param {string} [options.cardId] - Only this card, in every watchlist
+ */
+export function markNewCardsSeen({ searchId = null, cardId = null } = {}) {
+    const watchlistState = loadWatchlistState();
+
+    for (const [id, entry] of Object.entries(watchlistState)) {
+        if (searchId && id !== searchId) continue;
+        entry.newCards = cardId ? entry.newCards.filter(card => card.id !== cardId) : [];
+    }
+
+    saveWatchlistState(watchlistState);
+}
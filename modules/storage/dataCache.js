@@ -0,0 +1,136 @@
+// Persistent IndexedDB cache for index and chunk data downloaded by cache.js,
+// plus the user's local card collection (kept apart so clearing the cache doesn't lose it)
+
+const DB_NAME = 'botBrowser_dataCache';
+const DB_VERSION = 3;
+const STORE_NAME = 'responses';
+// Small copies of each entry without the payload, so freshness checks don't load whole indexes
+const META_STORE_NAME = 'meta';
+const LOCAL_STORE_NAME = 'localCollection';
+const LOCAL_COLLECTION_KEY = 'collection';
+
+let dbPromise = null;
+
+// Open (or create) the cache database, reusing the same connection for all calls
+function openDataCacheDb() {
+    if (dbPromise) {
+        return dbPromise;
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(META_STORE_NAME)) {
+                db.createObjectStore(META_STORE_NAME, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(LOCAL_STORE_NAME)) {
+                db.createObjectStore(LOCAL_STORE_NAME, { keyPath: 'key' });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }).catch(error => {
+        console.error('[Bot Browser] Failed to open data cache:', error);
+        dbPromise = null;
+        return null;
+    });
+
+    return dbPromise;
+}
+
+// Run requests against one or more object stores and resolve with the result of the last one
+async function runStoreRequest(storeNames, mode, createRequest) {
+    const db = await openDataCacheDb();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const request = createRequest(transaction);
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Get a cached response entry ({ key, data, etag, lastModified, fetchedAt }) or null
+export async function getCachedEntry(key) {
+    try {
+        return await runStoreRequest(STORE_NAME, 'readonly', tx => tx.objectStore(STORE_NAME).get(key)) || null;
+    } catch (error) {
+        console.error(`[Bot Browser] Error reading ${key} from data cache:`, error);
+        return null;
+    }
+}
+
+// Get only the metadata of a cached entry ({ key, etag, lastModified, fetchedAt }) or null
+export async function getCachedEntryMeta(key) {
+    try {
+        return await runStoreRequest(META_STORE_NAME, 'readonly', tx => tx.objectStore(META_STORE_NAME).get(key)) || null;
+    } catch (error) {
+        console.error(`[Bot Browser] Error reading ${key} metadata from data cache:`, error);
+        return null;
+    }
+}
+
+// Store a response entry under its key
+export async function putCachedEntry(key, entry) {
+    const { data, ...meta } = entry;
+    try {
+        await runStoreRequest([STORE_NAME, META_STORE_NAME], 'readwrite', tx => {
+            tx.objectStore(META_STORE_NAME).put({ ...meta, key });
+            return tx.objectStore(STORE_NAME).put({ ...entry, key });
+        });
+    } catch (error) {
+        console.error(`[Bot Browser] Error writing ${key} to data cache:`, error);
+    }
+}
+
+// Remove every cached response
+export async function clearDataCache() {
+    try {
+        await runStoreRequest([STORE_NAME, META_STORE_NAME], 'readwrite', tx => {
+            tx.objectStore(META_STORE_NAME).clear();
+            return tx.objectStore(STORE_NAME).clear();
+        });
+        console.log('[Bot Browser] Data cache cleared');
+    } catch (error) {
+        console.error('[Bot Browser] Error clearing data cache:', error);
+    }
+}
+
+// Get the stored local collection entries ({ card, file, fileName, image }) or null
+export async function getLocalCollectionEntries() {
+    try {
+        const record = await runStoreRequest(LOCAL_STORE_NAME, 'readonly', tx => tx.objectStore(LOCAL_STORE_NAME).get(LOCAL_COLLECTION_KEY));
+        return record ? record.entries : null;
+    } catch (error) {
+        console.error('[Bot Browser] Error reading local collection:', error);
+        return null;
+    }
+}
+
+// Replace the stored local collection; an empty list removes it
+export async function putLocalCollectionEntries(entries) {
+    try {
+        await runStoreRequest(LOCAL_STORE_NAME, 'readwrite', tx => {
+            const store = tx.objectStore(LOCAL_STORE_NAME);
+            return entries.length > 0
+                ? store.put({ key: LOCAL_COLLECTION_KEY, entries, savedAt: Date.now() })
+                : store.delete(LOCAL_COLLECTION_KEY);
+        });
+    } catch (error) {
+        console.error('[Bot Browser] Error saving local collection:', error);
+        throw error;
+    }
+}
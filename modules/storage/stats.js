@@ -1,11 +1,20 @@
 // Statistics tracking for Bot Browser extension
-import { saveImportStats } from './storage.js';
+import { saveImportStats, loadImportedCards, saveImportedCards } from './storage.js';
+import { getContentFingerprint } from '../utils/cardSpec.js';
+
+// Imported cards we remember for the update checker
+const MAX_IMPORTED_CARDS = 2000;
 
 // Track an import
 export function trackImport(extensionName, extension_settings, importStats, card, type) {
+    const fingerprint = getContentFingerprint(card);
+    recordImportedCard(card, type, fingerprint);
+
     if (!extension_settings[extensionName].trackStats) return importStats;
 
     const importRecord = {
+        id: card.id,
+        fingerprint,
         name: card.name,
         creator: card.creator || 'Unknown',
         source: card.sourceService || card.service || 'Unknown',
@@ -43,6 +52,28 @@ export function trackImport(extensionName, extension_settings, importStats, card
     return importStats;
 }
 
+// Remember where a card came from and what it looked like, independent of the stats setting
+function recordImportedCard(card, type, fingerprint) {
+    if (!card.id) return;
+
+    const importedCards = loadImportedCards().filter(entry => entry.id !== card.id);
+    importedCards.unshift({
+        id: card.id,
+        name: card.name,
+        creator: card.creator || '',
+        source: card.sourceService || card.service || 'Unknown',
+        service: card.service,
+        chunk: card.chunk,
+        chunk_idx: card.chunk_idx,
+        avatar_url: card.avatar_url || card.image_url,
+        type,
+        fingerprint,
+        importedAt: Date.now()
+    });
+
+    saveImportedCards(importedCards.slice(0, MAX_IMPORTED_CARDS));
+}
+
 // Helper function to get time ago string
 export function getTimeAgo(timestamp) {
     const seconds = Math.floor((Date.now() - timestamp) / 1000);
@@ -147,3 +147,91 @@ export function saveImportStats(importStats) {
         console.error('[Bot Browser] Error saving import stats:', error);
     }
 }
+
+// Load cards queued for import while offline
+export function loadPendingImports() {
+    try {
+        const saved = localStorage.getItem('botBrowser_pendingImports');
+        if (saved) {
+            return JSON.parse(saved);
+        }
+    } catch (error) {
+        console.error('[Bot Browser] Error loading pending imports:', error);
+    }
+    return [];
+}
+
+// Save cards queued for import while offline
+export function savePendingImports(pendingImports) {
+    try {
+        localStorage.setItem('botBrowser_pendingImports', JSON.stringify(pendingImports));
+    } catch (error) {
+        console.error('[Bot Browser] Error saving pending imports:', error);
+    }
+}
+
+// Load the origin of every imported card (id, source, fingerprint) for the update checker
+export function loadImportedCards() {
+    try {
+        const saved = localStorage.getItem('botBrowser_importedCards');
+        if (saved) {
+            return JSON.parse(saved);
+        }
+    } catch (error) {
+        console.error('[Bot Browser] Error loading imported cards:', error);
+    }
+    return [];
+}
+
+// Save the origins of imported cards
+export function saveImportedCards(importedCards) {
+    try {
+        localStorage.setItem('botBrowser_importedCards', JSON.stringify(importedCards));
+    } catch (error) {
+        console.error('[Bot Browser] Error saving imported cards:', error);
+    }
+}
+
+// Load the named searches the user saved
+export function loadSavedSearches() {
+    try {
+        const saved = localStorage.getItem('botBrowser_savedSearches');
+        if (saved) {
+            return JSON.parse(saved);
+        }
+    } catch (error) {
+        console.error('[Bot Browser] Error loading saved searches:', error);
+    }
+    return [];
+}
+
+// Save the named searches
+export function saveSavedSearches(savedSearches) {
+    try {
+        localStorage.setItem('botBrowser_savedSearches', JSON.stringify(savedSearches));
+    } catch (error) {
+        console.error('[Bot Browser] Error saving saved searches:', error);
+    }
+}
+
+// Load what each watched search matched on its last run, by saved search id
+export function loadWatchlistState() {
+    try {
+        const saved = localStorage.getItem('botBrowser_watchlists');
+        if (saved) {
+            return JSON.parse(saved);
+        }
+    } catch (error) {
+        console.error('[Bot Browser] Error loading watchlists:', error);
+    }
+    return {};
+}
+
+// Save the watchlist state
+export function saveWatchlistState(watchlistState) {
+    try {
+        localStorage.setItem('botBrowser_watchlists', JSON.stringify(watchlistState));
+    } catch (error) {
+        console.error('[Bot Browser] Error saving watchlists:', error);
+    }
+}
@@ -1,4 +1,4 @@
-import { sanitizeImageUrl } from '../utils/utils.js';
+import { sanitizeImageUrl, escapeHTML } from '../utils/utils.js';
 
 export function buildDetailModalHTML(cardName, imageUrl, isLorebook, cardCreator, tags, creator, websiteDesc, description, descPreview, personality, scenario, firstMessage, alternateGreetings, exampleMsg, entries, entriesCount, metadata) {
     const safeImageUrl = sanitizeImageUrl(imageUrl);
@@ -27,6 +27,27 @@ export function buildDetailModalHTML(cardName, imageUrl, isLorebook, cardCreator
             <button class="bot-browser-import-button">
                 <i class="fa-solid fa-download"></i> Import to SillyTavern
             </button>
+            ${!isLorebook ? `
+            <button class="bot-browser-inspect-button" title="See exactly what would be imported first">
+                <i class="fa-solid fa-magnifying-glass"></i> Inspect
+            </button>
+            <button class="bot-browser-edit-button" title="Change the card before importing it">
+                <i class="fa-solid fa-pen-to-square"></i> Edit
+            </button>
+            <div class="bot-browser-download">
+                <button class="bot-browser-download-button" title="Save the card file without importing it">
+                    <i class="fa-solid fa-file-arrow-down"></i> Download
+                </button>
+                <div class="bot-browser-download-menu" style="display: none;">
+                    <button data-format="png"><i class="fa-solid fa-image"></i> PNG</button>
+                    <button data-format="json_v2"><i class="fa-solid fa-file-code"></i> JSON (V2)</button>
+                    <button data-format="json_v3"><i class="fa-solid fa-file-code"></i> JSON (V3)</button>
+                    <button data-format="charx"><i class="fa-solid fa-file-zipper"></i> CharX</button>
+                </div>
+            </div>` : ''}
+            <button class="bot-browser-favorite-button" style="display: none;">
+                <i class="fa-regular fa-star"></i> <span>Favorite</span>
+            </button>
             <button class="bot-browser-detail-back">
                 <i class="fa-solid fa-arrow-left"></i> Back to Results
             </button>
@@ -34,6 +55,101 @@ export function buildDetailModalHTML(cardName, imageUrl, isLorebook, cardCreator
     `;
 }
 
+/**
+ * Edit form for a card before import, filled from the card definition the import resolves to
+ * (the browser's own fields are only a summary for many sources)
+ * @param {Object} data - V3 data fields, plain text
+ * @returns {string}
+ */
+export function buildEditFormHTML(data) {
+    const text = (value) => escapeHTML(typeof value === 'string' ? value : '');
+    const list = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string').map(item => escapeHTML(item)) : []);
+
+    return `
+                <div class="bot-browser-detail-info bot-browser-detail-edit" style="display: none;">
+                    <div class="bot-browser-detail-section">
+                        <h4>Name</h4>
+                        <input type="text" class="text_pole" data-field="name" value="${text(data.name)}">
+                    </div>
+                    ${buildEditTextarea('Description', 'description', text(data.description), 8)}
+                    ${buildEditTextarea('Personality', 'personality', text(data.personality))}
+                    ${buildEditTextarea('Scenario', 'scenario', text(data.scenario))}
+                    ${buildEditTextarea('First Message', 'first_mes', text(data.first_mes), 6)}
+                    <div class="bot-browser-detail-section">
+                        <h4>Alternate Greetings</h4>
+                        <div class="bot-browser-edit-greetings">
+                            ${list(data.alternate_greetings).map(buildEditGreetingHTML).join('')}
+                        </div>
+                        <button class="bot-browser-edit-greeting-add"><i class="fa-solid fa-plus"></i> Add Greeting</button>
+                    </div>
+                    <div class="bot-browser-detail-section">
+                        <h4>Tags</h4>
+                        <div class="bot-browser-detail-tags bot-browser-edit-tags">
+                            ${list(data.tags).map(buildEditTagHTML).join('')}
+                        </div>
+                        <input type="text" class="text_pole bot-browser-edit-tag-input" placeholder="Add a tag and press Enter">
+                    </div>
+                    ${buildEditTextarea('System Prompt', 'system_prompt', text(data.system_prompt))}
+                    ${buildEditTextarea('Creator Notes', 'creator_notes', text(data.creator_notes))}
+                    <button class="bot-browser-edit-reset"><i class="fa-solid fa-rotate-left"></i> Reset Changes</button>
+                </div>`;
+}
+
+function buildEditTextarea(title, field, value, rows = 4) {
+    return `
+                    <div class="bot-browser-detail-section">
+                        <h4>${title}</h4>
+                        <textarea class="text_pole" data-field="${field}" rows="${rows}">${value}</textarea>
+                    </div>`;
+}
+
+// One alternate greeting in the edit form (escaped text)
+export function buildEditGreetingHTML(greeting) {
+    return `
+                            <div class="bot-browser-edit-greeting">
+                                <textarea class="text_pole" rows="3">${greeting}</textarea>
+                                <div class="bot-browser-edit-greeting-actions">
+                                    <button class="bot-browser-edit-greeting-use" title="Swap with the first message"><i class="fa-solid fa-right-left"></i> Use as First Message</button>
+                                    <button class="bot-browser-edit-greeting-remove" title="Remove this greeting"><i class="fa-solid fa-trash"></i></button>
+                                </div>
+                            </div>`;
+}
+
+// One removable tag in the edit form (escaped text)
+export function buildEditTagHTML(tag) {
+    return `<span class="bot-browser-tag-pill bot-browser-edit-tag" data-tag="${tag}">${tag} <button class="bot-browser-edit-tag-remove" title="Remove tag"><i class="fa-solid fa-xmark"></i></button></span>`;
+}
+
+/**
+ * "After import" choice above the detail actions; it's the same setting as in the settings modal
+ * @param {Object<string, string>} actions - Action value -> label
+ * @param {string} selectedAction
+ * @param {boolean} assignTags
+ */
+export function buildPostImportOptionsHTML(actions, selectedAction, assignTags) {
+    return `
+        <div class="bot-browser-post-import">
+            <label>
+                <span>After import:</span>
+                <select class="text_pole bot-browser-post-import-action">
+                    ${Object.entries(actions).map(([value, label]) => `<option value="${value}" ${value === selectedAction ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </label>
+            <label class="checkbox_label">
+                <input type="checkbox" class="bot-browser-post-import-tags" ${assignTags ? 'checked' : ''}>
+                <span>Assign card tags</span>
+            </label>
+        </div>
+    `;
+}
+
+// Star button contents for the source site's favorite state
+export function buildFavoriteButtonHTML(isFavorite) {
+    return isFavorite
+        ? '<i class="fa-solid fa-star"></i> <span>Favorited</span>'
+        : '<i class="fa-regular fa-star"></i> <span>Favorite</span>';
+}
+
 function buildDetailSections(isLorebook, cardCreator, tags, creator, websiteDesc, description, descPreview, personality, scenario, firstMessage, alternateGreetings, exampleMsg, entries, entriesCount, metadata) {
     let html = '';
 
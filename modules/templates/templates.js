@@ -1,4 +1,7 @@
 import { escapeHTML, sanitizeImageUrl } from '../utils/utils.js';
+import { getTimeAgo } from '../storage/stats.js';
+import { getSourceDisplayName } from '../services/sourceRegistry.js';
+import { describeSavedSearch } from '../services/savedSearches.js';
 
 export function createCardGrid(cards, initialBatchSize = 50, startIndex = 0) {
     if (cards.length === 0) {
@@ -9,7 +12,7 @@ export function createCardGrid(cards, initialBatchSize = 50, startIndex = 0) {
     return cardsHTML;
 }
 
-export function createCardHTML(card) {
+export function createCardHTML(card, selected = false, imported = false) {
     const imageUrl = card.avatar_url || card.image_url || '';
     const safeImageUrl = sanitizeImageUrl(imageUrl);
     const tags = card.tags || [];
@@ -18,7 +21,11 @@ export function createCardHTML(card) {
     const isNsfw = card.possibleNsfw ? 'true' : 'false';
 
     return `
-        <div class="bot-browser-card-thumbnail" data-card-id="${card.id}" data-nsfw="${isNsfw}">
+        <div class="bot-browser-card-thumbnail ${selected ? 'selected' : ''}" data-card-id="${card.id}" data-nsfw="${isNsfw}">
+            <label class="bot-browser-card-select" title="Select for batch import">
+                <input type="checkbox" ${selected ? 'checked' : ''}>
+            </label>
+            ${imported ? '<div class="bot-browser-card-imported" title="A character like this is already in SillyTavern"><i class="fa-solid fa-check"></i> Already imported</div>' : ''}
             <div class="bot-browser-card-image" style="background-image: url('${safeImageUrl}');">
                 ${!safeImageUrl ? '<i class="fa-solid fa-user"></i>' : ''}
             </div>
@@ -37,10 +44,67 @@ export function createCardHTML(card) {
     `;
 }
 
-export function getOriginalMenuHTML(recentlyViewed) {
+// Small marker shown on a source button when its offline data is stale or missing
+export function createSourceStatusBadge(status) {
+    if (status === 'missing') {
+        return '<div class="bot-browser-source-status missing" title="Not cached - unavailable offline"><i class="fa-solid fa-cloud-arrow-down"></i></div>';
+    }
+    if (status === 'stale') {
+        return '<div class="bot-browser-source-status stale" title="Cached data may be out of date"><i class="fa-solid fa-clock-rotate-left"></i></div>';
+    }
+    return '';
+}
+
+// Health rows for the data URL and mirrors in the settings modal; health is null until a request was made
+export function createMirrorHealthHTML(mirrors) {
+    return mirrors.map(({ url, health }, index) => {
+        const status = health ? health.status : 'unknown';
+        let detail = 'Not checked yet';
+        if (health?.status === 'ok') {
+            detail = `OK • ${health.latency}ms • ${getTimeAgo(health.checkedAt)}`;
+        } else if (health?.status === 'error') {
+            detail = `${health.error || 'Unreachable'} • ${getTimeAgo(health.checkedAt)}`;
+        }
+
+        return `
+            <div class="bot-browser-mirror-row">
+                <span class="bot-browser-mirror-status ${status}" title="${escapeHTML(detail)}"></span>
+                <span class="bot-browser-mirror-url">${index === 0 ? '<strong>Primary:</strong> ' : ''}${escapeHTML(url)}</span>
+                <small class="bot-browser-mirror-detail">${escapeHTML(detail)}</small>
+            </div>
+        `;
+    }).join('');
+}
+
+// Source button generated from a source registry entry
+export function createSourceButtonHTML(source, status) {
+    const safeIcon = sanitizeImageUrl(source.icon);
+    const iconStyle = safeIcon
+        ? `background-image: url('${safeIcon}'); background-size: ${source.iconSize}; background-position: center; background-repeat: no-repeat;${source.iconBackground ? ` background-color: ${source.iconBackground};` : ''}`
+        : 'display: flex; align-items: center; justify-content: center; font-size: 22px; color: rgba(255, 255, 255, 0.7);';
+
+    const metaParts = [];
+    if (typeof source.cardCount === 'number') {
+        metaParts.push(`${source.cardCount.toLocaleString()} ${source.type === 'lorebooks' ? 'lorebooks' : 'cards'}`);
+    }
+    if (source.lastUpdated) {
+        metaParts.push(`updated ${getTimeAgo(source.lastUpdated)}`);
+    }
+
+    return `
+                <button class="bot-browser-source" data-source="${escapeHTML(source.name)}">
+                    <div class="bot-browser-source-icon" style="${iconStyle}">${!safeIcon ? '<i class="fa-solid fa-box-archive"></i>' : ''}</div>
+                    <span>${escapeHTML(source.label)}</span>
+                    ${metaParts.length > 0 ? `<small class="bot-browser-source-meta">${metaParts.join(' • ')}</small>` : ''}
+                    ${createSourceStatusBadge(status)}
+                </button>`;
+}
+
+export function getOriginalMenuHTML(recentlyViewed, sources, sourceStatuses = {}, offline = false) {
     return `
         <div class="bot-browser-header">
             <h3>Bot Browser <span style="font-size: 0.6em; font-weight: 400; color: rgba(255, 255, 255, 0.6);">v1.0.1</span></h3>
+            ${offline ? '<div class="bot-browser-offline-indicator" title="Only locally cached data is available (change in settings)"><i class="fa-solid fa-plane"></i> Offline</div>' : ''}
             <div class="bot-browser-tabs">
                 <button class="bot-browser-tab active" data-tab="bots">Bots</button>
                 <button class="bot-browser-tab" data-tab="lorebooks">Lorebooks</button>
@@ -50,7 +114,11 @@ export function getOriginalMenuHTML(recentlyViewed) {
             </button>
         </div>
 
+        <div class="bot-browser-saved-searches"></div>
+
         <div class="bot-browser-tab-content active" data-content="bots">
+            <div class="bot-browser-new-for-you"></div>
+
             ${recentlyViewed.length > 0 ? `
             <div class="bot-browser-recently-viewed-section">
                 <h4><i class="fa-solid fa-clock-rotate-left"></i> Recently Viewed</h4>
@@ -72,58 +140,20 @@ export function getOriginalMenuHTML(recentlyViewed) {
                     </div>
                     <span>Search All</span>
                 </button>
-                <button class="bot-browser-source" data-source="risuai_realm">
-                    <div class="bot-browser-source-icon" style="background-image: url('https://files.catbox.moe/216rab.webp'); background-size: cover; background-position: center; background-repeat: no-repeat;"></div>
-                    <span>Risuai Realm</span>
-                </button>
-                <button class="bot-browser-source" data-source="webring">
-                    <div class="bot-browser-source-icon" style="background-image: url('https://files.catbox.moe/6avrsl.png'); background-size: 85%; background-position: center; background-repeat: no-repeat;"></div>
-                    <span>Webring</span>
-                </button>
-                <button class="bot-browser-source" data-source="nyai_me">
-                    <div class="bot-browser-source-icon" style="background-image: url('https://nyai.me/img/necologofavicon-64.png'); background-size: 85%; background-position: center; background-repeat: no-repeat;"></div>
-                    <span>Nyai.me</span>
-                </button>
-                <button class="bot-browser-source" data-source="chub">
-                    <div class="bot-browser-source-icon" style="background-image: url('https://avatars.charhub.io/icons/assets/full_logo.png'); background-size: cover; background-position: center; background-repeat: no-repeat; background-color: white;"></div>
-                    <span>Chub</span>
-                </button>
-                <button class="bot-browser-source" data-source="character_tavern">
-                    <div class="bot-browser-source-icon" style="background-image: url('https://character-tavern.com/_app/immutable/assets/logo.DGIlOnDO.png'); background-size: cover; background-position: center; background-repeat: no-repeat;"></div>
-                    <span>Character Tavern</span>
-                </button>
-                <button class="bot-browser-source" data-source="catbox">
-                    <div class="bot-browser-source-icon" style="background-image: url('https://catbox.tech/favicon128.png'); background-size: cover; background-position: center; background-repeat: no-repeat;"></div>
-                    <span>Catbox</span>
-                </button>
-                <button class="bot-browser-source" data-source="anchorhold">
-                    <div class="bot-browser-source-icon" style="background-image: url('https://assets.coingecko.com/coins/images/30124/large/4CHAN.png?1696529046'); background-size: 85%; background-position: center; background-repeat: no-repeat;"></div>
-                    <span>4chan - /aicg/</span>
-                </button>
-                <button class="bot-browser-source" data-source="mlpchag">
-                    <div class="bot-browser-source-icon" style="background-image: url('https://derpicdn.net/img/view/2015/9/26/988523__safe_solo_upvotes+galore_smiling_cute_derpy+hooves_looking+at+you_looking+up_part+of+a_set_derpibooru+exclusive.png'); background-size: cover; background-position: center; background-repeat: no-repeat;"></div>
-                    <span>MLPchag</span>
-                </button>
-                <button class="bot-browser-source" data-source="desuarchive">
-                    <div class="bot-browser-source-icon" style="background-image: url('https://s2.vndb.org/ch/32/17032.jpg'); background-size: cover; background-position: center; background-repeat: no-repeat;"></div>
-                    <span>Desuarchive</span>
-                </button>
+                ${sources.filter(source => source.type === 'characters').map(source => createSourceButtonHTML(source, sourceStatuses[source.name])).join('')}
             </div>
         </div>
 
         <div class="bot-browser-tab-content" data-content="lorebooks">
             <div class="bot-browser-grid">
-                <button class="bot-browser-source" data-source="chub_lorebooks">
-                    <div class="bot-browser-source-icon" style="background-image: url('https://avatars.charhub.io/icons/assets/full_logo.png'); background-size: cover; background-position: center; background-repeat: no-repeat; background-color: white;"></div>
-                    <span>Chub</span>
-                </button>
+                ${sources.filter(source => source.type === 'lorebooks').map(source => createSourceButtonHTML(source, sourceStatuses[source.name])).join('')}
             </div>
         </div>
     `;
 }
 
-export function createBrowserHeader(serviceDisplayName, searchValue, cardCountText, searchCollapsed = false, hideNsfw = false, isChubSource = false, currentSort = 'relevance') {
-    console.log('[Bot Browser Template] createBrowserHeader called - isChubSource:', isChubSource, 'currentSort:', currentSort);
+export function createBrowserHeader(serviceDisplayName, searchValue, cardCountText, searchCollapsed = false, hideNsfw = false, apiSortOptions = [], currentSort = 'relevance', liveSourceName = '', serverFilterFields = [], serverFilters = {}) {
+    console.log('[Bot Browser Template] createBrowserHeader called - apiSorts:', apiSortOptions.length, 'currentSort:', currentSort);
     
     // Build sort options based on source
     const baseSortOptions = [
@@ -134,25 +164,13 @@ export function createBrowserHeader(serviceDisplayName, searchValue, cardCountTe
         { value: 'creator_desc', label: 'Creator (Z-A)' }
     ];
 
-    const chubSortOptions = [
-        { value: 'recent', label: '🕐 Recent' },
-        { value: 'trending', label: '🔥 Trending' },
-        { value: 'rating', label: '⭐ Top Rated' },
-        { value: 'stars', label: '✨ Most Stars' },
-        { value: 'downloads', label: '📥 Most Downloads' },
-        { value: 'favorites', label: '❤️ Most Favorites' },
-        { value: 'newcomer', label: '🆕 Newcomers' },
-        { value: 'activity', label: '📅 Recently Active' }
-    ];
-
-    const allSortOptions = isChubSource 
-        ? [...baseSortOptions, ...chubSortOptions]
-        : baseSortOptions;
+    // Sorts the source's provider runs server-side
+    const allSortOptions = [...baseSortOptions, ...apiSortOptions];
 
     const sortOptionsHTML = allSortOptions.map(opt => `
         <div class="bot-browser-multi-select-option${currentSort === opt.value ? ' selected' : ''}" data-value="${opt.value}">
             <i class="fa-solid fa-check"></i>
-            <span>${opt.label}</span>
+            <span>${escapeHTML(opt.label)}</span>
         </div>
     `).join('');
 
@@ -165,8 +183,8 @@ export function createBrowserHeader(serviceDisplayName, searchValue, cardCountTe
             <button class="bot-browser-back-button">
                 <i class="fa-solid fa-arrow-left"></i>
             </button>
-            <h3>${serviceDisplayName}</h3>
-            ${isChubSource ? '<div class="bot-browser-live-indicator" title="Using live Chub API for sorting"><i class="fa-solid fa-bolt"></i> Live</div>' : ''}
+            <h3>${escapeHTML(serviceDisplayName)}</h3>
+            ${liveSourceName ? `<div class="bot-browser-live-indicator" title="Using live ${escapeHTML(liveSourceName)} API for sorting"><i class="fa-solid fa-bolt"></i> Live</div>` : ''}
             ${hideNsfw ? '<div class="bot-browser-nsfw-indicator" title="NSFW cards are hidden (change in settings)"><i class="fa-solid fa-eye-slash"></i> NSFW Hidden</div>' : ''}
             <button class="bot-browser-toggle-search" title="Toggle Search">
                 <i class="fa-solid fa-chevron-${searchCollapsed ? 'down' : 'up'}"></i>
@@ -177,10 +195,17 @@ export function createBrowserHeader(serviceDisplayName, searchValue, cardCountTe
         </div>
 
         <div class="bot-browser-search-section${searchCollapsed ? ' collapsed' : ''}" id="bot-browser-search-section">
-            <input type="text"
-                   class="bot-browser-search-input"
-                   placeholder="Search by name, description, creator, or tags (typo-tolerant)..."
-                   value="${escapeHTML(searchValue)}">
+            <div class="bot-browser-saved-searches"></div>
+
+            <div class="bot-browser-search-box">
+                <input type="text"
+                       class="bot-browser-search-input"
+                       placeholder="Search (typo-tolerant), or filter with tag:, -tag:, creator:, name:&quot;...&quot;, tokens:<2000, has:lorebook, has:greetings>2"
+                       title="Operators: tag:x, -tag:x, creator:x, name:&quot;Exact Name&quot;, tokens:<2000, has:lorebook, has:greetings>2. Prefix any operator with - to exclude. Other words are searched as usual."
+                       autocomplete="off"
+                       value="${escapeHTML(searchValue)}">
+                <div class="bot-browser-search-suggestions"></div>
+            </div>
 
             <div class="bot-browser-filters">
                 <div class="bot-browser-filter-group">
@@ -191,6 +216,11 @@ export function createBrowserHeader(serviceDisplayName, searchValue, cardCountTe
                             <i class="fa-solid fa-chevron-down"></i>
                         </div>
                         <div class="bot-browser-multi-select-dropdown">
+                            <div class="bot-browser-tag-mode">
+                                <button class="bot-browser-tag-mode-option" data-tag-mode="all" title="Cards must have every included tag">Match all</button>
+                                <button class="bot-browser-tag-mode-option" data-tag-mode="any" title="Cards need at least one included tag">Match any</button>
+                                <span class="bot-browser-tag-mode-hint">Click a tag again to exclude it</span>
+                            </div>
                             <div class="bot-browser-multi-select-search">
                                 <input type="text" placeholder="Search tags...">
                             </div>
@@ -221,7 +251,7 @@ export function createBrowserHeader(serviceDisplayName, searchValue, cardCountTe
 
                 <div class="bot-browser-filter-group">
                     <label>Sort by:</label>
-                    <div class="bot-browser-multi-select bot-browser-sort-dropdown" id="bot-browser-sort-filter" data-is-chub="${isChubSource}">
+                    <div class="bot-browser-multi-select bot-browser-sort-dropdown" id="bot-browser-sort-filter" data-is-live="${!!liveSourceName}">
                         <div class="bot-browser-multi-select-trigger">
                             <span class="selected-text">${escapeHTML(currentSortLabel)}</span>
                             <i class="fa-solid fa-chevron-down"></i>
@@ -234,9 +264,14 @@ export function createBrowserHeader(serviceDisplayName, searchValue, cardCountTe
                     </div>
                 </div>
 
+                <button class="bot-browser-save-search" title="Save this search as a chip">
+                    <i class="fa-solid fa-bookmark"></i> Save Search
+                </button>
                 <button class="bot-browser-clear-filters">Clear Filters</button>
             </div>
 
+            ${createServerFiltersHTML(liveSourceName, serverFilterFields, serverFilters)}
+
             <div class="bot-browser-results-count">
                 ${cardCountText}
             </div>
@@ -249,6 +284,194 @@ export function createBrowserHeader(serviceDisplayName, searchValue, cardCountTe
     `;
 }
 
+/**
+ * Chips for saved searches; searches on another source than the open one name their source
+ * @param {Object[]} savedSearches
+ * @param {string|null} [currentSource]
+ * @param {Object<string, number>} [newCounts] - Unseen new cards per watched search id
+ * @param {Set<string>} [tooBroadIds] - Watched searches that match too many cards to track
+ */
+export function createSavedSearchChipsHTML(savedSearches, currentSource = null, newCounts = {}, tooBroadIds = new Set()) {
+    if (savedSearches.length === 0) return '';
+
+    return `
+        <i class="fa-solid fa-bookmark" title="Saved searches"></i>
+        ${savedSearches.map(search => {
+            const newCount = search.watch ? newCounts[search.id] || 0 : 0;
+            const tooBroad = search.watch && tooBroadIds.has(search.id);
+            const watchTitle = tooBroad
+                ? 'Watching, but this search matches too many cards to track - narrow it down'
+                : search.watch ? 'Watching for new cards - click to stop' : 'Watch for new matching cards';
+            return `
+            <div class="bot-browser-saved-search-chip${search.watch ? ' watched' : ''}" data-search-id="${escapeHTML(search.id)}" title="${escapeHTML(describeSavedSearch(search))}">
+                <span>${escapeHTML(search.name)}</span>
+                ${search.source !== currentSource ? `<small>${escapeHTML(getSourceDisplayName(search.source))}</small>` : ''}
+                ${newCount > 0 ? `<span class="bot-browser-saved-search-new" title="New since last visit">${newCount}</span>` : ''}
+                <button class="bot-browser-saved-search-watch${search.watch ? ' active' : ''}${tooBroad ? ' too-broad' : ''}" title="${watchTitle}">
+                    <i class="fa-solid ${tooBroad ? 'fa-triangle-exclamation' : 'fa-eye'}"></i>
+                </button>
+                <button class="bot-browser-saved-search-remove" title="Remove saved search">
+                    <i class="fa-solid fa-xmark"></i>
+                </button>
+            </div>
+        `;
+        }).join('')}
+    `;
+}
+
+// "New for You": unseen cards found by watchlists, with the watchlist that found them
+export function createNewForYouHTML(entries) {
+    if (entries.length === 0) return '';
+
+    return `
+        <div class="bot-browser-recently-viewed-section bot-browser-new-for-you-section">
+            <h4>
+                <i class="fa-solid fa-bell"></i> New for You
+                <button class="bot-browser-new-for-you-clear" title="Mark all as seen">
+                    <i class="fa-solid fa-check-double"></i> Mark all seen
+                </button>
+            </h4>
+            <div class="bot-browser-recently-viewed-grid">
+                ${entries.map(({ card, searchName }) => `
+                    <div class="bot-browser-recent-card" data-card-id="${escapeHTML(card.id)}" data-nsfw="${card.possibleNsfw ? 'true' : 'false'}" title="Found by ${escapeHTML(searchName)}">
+                        <div class="bot-browser-recent-image" style="background-image: url('${sanitizeImageUrl(card.avatar_url || '')}');"></div>
+                        <div class="bot-browser-recent-name">${escapeHTML(card.name)}</div>
+                        <div class="bot-browser-new-for-you-search">${escapeHTML(searchName)}</div>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Filters the source's provider applies server-side, so they cover the whole catalog
+function createServerFiltersHTML(sourceName, fields, values) {
+    if (fields.length === 0) return '';
+
+    const fieldsHTML = fields.map(field => {
+        const value = values[field.key];
+        const id = `bot-browser-server-filter-${field.key}`;
+
+        switch (field.type) {
+            case 'checkbox':
+                return `
+                    <label class="bot-browser-server-filter checkbox_label" for="${id}">
+                        <input type="checkbox" id="${id}" data-filter-key="${field.key}" data-filter-type="checkbox" ${value ? 'checked' : ''}>
+                        <span>${escapeHTML(field.label)}</span>
+                    </label>
+                `;
+            case 'select':
+                return `
+                    <label class="bot-browser-server-filter" for="${id}">
+                        <span>${escapeHTML(field.label)}:</span>
+                        <select id="${id}" class="text_pole" data-filter-key="${field.key}" data-filter-type="select">
+                            ${(field.options || []).map(opt => `<option value="${escapeHTML(opt.value)}" ${opt.value === (value || '') ? 'selected' : ''}>${escapeHTML(opt.label)}</option>`).join('')}
+                        </select>
+                    </label>
+                `;
+            case 'number':
+                return `
+                    <label class="bot-browser-server-filter" for="${id}">
+                        <span>${escapeHTML(field.label)}:</span>
+                        <input type="number" id="${id}" class="text_pole bot-browser-server-filter-number" min="0" step="100" data-filter-key="${field.key}" data-filter-type="number" value="${value || ''}">
+                    </label>
+                `;
+            default:
+                return `
+                    <label class="bot-browser-server-filter" for="${id}">
+                        <span>${escapeHTML(field.label)}:</span>
+                        <input type="text" id="${id}" class="text_pole" data-filter-key="${field.key}" data-filter-type="tags" placeholder="${escapeHTML(field.placeholder || '')}" value="${escapeHTML((value || []).join(', '))}">
+                    </label>
+                `;
+        }
+    }).join('');
+
+    return `
+        <div class="bot-browser-server-filters" title="Applied by ${escapeHTML(sourceName)} to its whole catalog">
+            <span class="bot-browser-server-filters-label"><i class="fa-solid fa-bolt"></i> ${escapeHTML(sourceName)} filters:</span>
+            ${fieldsHTML}
+        </div>
+    `;
+}
+
+// Bar shown above the grid while cards are selected for batch import
+export function createSelectionBarHTML(count) {
+    return `
+        <span class="bot-browser-selection-count">${count} selected</span>
+        <button class="bot-browser-selection-page" title="Select every card on this page">
+            <i class="fa-solid fa-check-double"></i> Select Page
+        </button>
+        <button class="bot-browser-selection-import">
+            <i class="fa-solid fa-download"></i> Import Selected
+        </button>
+        <select class="bot-browser-selection-format" title="File format inside the zip">
+            <option value="png">PNG</option>
+            <option value="json_v2">JSON (V2)</option>
+            <option value="json_v3">JSON (V3)</option>
+            <option value="charx">CharX</option>
+        </select>
+        <button class="bot-browser-selection-download" title="Download the selected cards as a zip">
+            <i class="fa-solid fa-file-zipper"></i> Download ZIP
+        </button>
+        <button class="bot-browser-selection-clear" title="Clear selection">
+            <i class="fa-solid fa-xmark"></i>
+        </button>
+    `;
+}
+
+const QUEUE_STATUS_ICONS = {
+    pending: 'fa-regular fa-clock',
+    importing: 'fa-solid fa-spinner fa-spin',
+    retrying: 'fa-solid fa-rotate',
+    done: 'fa-solid fa-check',
+    skipped: 'fa-solid fa-forward',
+    failed: 'fa-solid fa-triangle-exclamation',
+    cancelled: 'fa-solid fa-ban'
+};
+
+// Contents of the batch import queue panel
+export function createImportQueueHTML(items, progress) {
+    const percent = progress.total > 0 ? Math.round(progress.finished / progress.total * 100) : 0;
+    const summaryParts = [`${progress.finished} / ${progress.total}`];
+    if (progress.skipped > 0) summaryParts.push(`${progress.skipped} skipped`);
+    if (progress.failed > 0) summaryParts.push(`${progress.failed} failed`);
+    if (progress.cancelled > 0) summaryParts.push(`${progress.cancelled} cancelled`);
+
+    const rowsHTML = items.map(item => {
+        let detail = '';
+        if (item.status === 'retrying') {
+            detail = `Retrying: ${item.error}`;
+        } else if (item.status === 'failed' || item.status === 'skipped') {
+            detail = item.error;
+        }
+
+        return `
+            <div class="bot-browser-queue-item ${item.status}">
+                <i class="${QUEUE_STATUS_ICONS[item.status]}"></i>
+                <div class="bot-browser-queue-item-text">
+                    <span class="bot-browser-queue-item-name">${escapeHTML(item.card.name)}</span>
+                    ${detail ? `<small class="bot-browser-queue-item-detail">${escapeHTML(detail)}</small>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="bot-browser-queue-header">
+            <strong><i class="fa-solid fa-layer-group"></i> Import Queue</strong>
+            <span class="bot-browser-queue-summary">${summaryParts.join(' • ')}</span>
+            <button class="bot-browser-queue-toggle" title="Collapse"><i class="fa-solid fa-chevron-down"></i></button>
+        </div>
+        <div class="bot-browser-queue-progress"><div class="bot-browser-queue-progress-bar" style="width: ${percent}%;"></div></div>
+        <div class="bot-browser-queue-list">${rowsHTML}</div>
+        <div class="bot-browser-queue-actions">
+            ${progress.active ? '<button class="bot-browser-queue-cancel"><i class="fa-solid fa-stop"></i> Cancel</button>' : ''}
+            ${progress.failed + progress.cancelled > 0 ? '<button class="bot-browser-queue-retry"><i class="fa-solid fa-rotate-right"></i> Retry Failed</button>' : ''}
+            ${!progress.active ? '<button class="bot-browser-queue-close"><i class="fa-solid fa-xmark"></i> Close</button>' : ''}
+        </div>
+    `;
+}
+
 // Create bottom action buttons HTML
 export function createBottomActions() {
     return `
@@ -258,6 +481,9 @@ export function createBottomActions() {
         <button class="bot-browser-stats" title="View Stats">
             <i class="fa-solid fa-chart-bar"></i>
         </button>
+        <button class="bot-browser-updates" title="Check for Updates">
+            <i class="fa-solid fa-arrows-rotate"></i>
+        </button>
         <button class="bot-browser-settings" title="Settings">
             <i class="fa-solid fa-gear"></i>
         </button>
@@ -0,0 +1,341 @@
+// Reading character cards from files: PNG (chara/ccv3 in tEXt, zTXt or iTXt chunks), JSON (V1/V2/V3) and CharX,
+// and writing tEXt chunks back into PNGs
+import { loadJSZip } from './utils.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// Chunk types that carry text; only tEXt is read by SillyTavern's importer
+const TEXT_CHUNK_TYPES = ['tEXt', 'zTXt', 'iTXt'];
+const CARD_KEYWORDS = ['chara', 'ccv3'];
+
+/**
+ * Image format from the file's magic bytes
+ * @param {Uint8Array} bytes
+ * @returns {'png'|'jpeg'|'webp'|'gif'|null}
+ */
+export function detectImageFormat(bytes) {
+    if (bytes.length >= 8 && PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) return 'png';
+    if (bytes.length >= 3 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'jpeg';
+    if (bytes.length >= 12) {
+        const ascii = new TextDecoder('latin1');
+        if (ascii.decode(bytes.subarray(0, 4)) === 'RIFF' && ascii.decode(bytes.subarray(8, 12)) === 'WEBP') return 'webp';
+        if (ascii.decode(bytes.subarray(0, 4)) === 'GIF8') return 'gif';
+    }
+    return null;
+}
+
+// zlib data of zTXt and compressed iTXt chunks
+async function inflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Keyword and text of a tEXt, zTXt or iTXt chunk; null when the chunk is malformed
+async function decodeTextChunk(type, data) {
+    const latin1 = new TextDecoder('latin1');
+    const separator = data.indexOf(0);
+    if (separator <= 0) return null;
+
+    const keyword = latin1.decode(data.subarray(0, separator));
+    const rest = data.subarray(separator + 1);
+
+    if (type === 'tEXt') {
+        return { keyword, text: latin1.decode(rest) };
+    }
+
+    if (type === 'zTXt') {
+        // Compression method byte, then the zlib stream
+        return { keyword, text: latin1.decode(await inflate(rest.subarray(1))) };
+    }
+
+    // iTXt: compression flag, compression method, language tag\0, translated keyword\0, UTF-8 text
+    const compressed = rest[0] === 1;
+    const languageEnd = rest.indexOf(0, 2);
+    const translatedEnd = languageEnd >= 0 ? rest.indexOf(0, languageEnd + 1) : -1;
+    if (translatedEnd < 0) return null;
+
+    const textBytes = rest.subarray(translatedEnd + 1);
+    return { keyword, text: new TextDecoder('utf-8').decode(compressed ? await inflate(textBytes) : textBytes) };
+}
+
+/**
+ * Read the text chunks (tEXt, zTXt and iTXt) of a PNG, in file order
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Array<{type: string, keyword: string, text: string}>>} - Empty for anything that isn't a PNG
+ */
+export async function readPngTextChunks(bytes) {
+    const chunks = [];
+
+    if (detectImageFormat(bytes) !== 'png') {
+        return chunks;
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const latin1 = new TextDecoder('latin1');
+    let offset = 8;
+
+    while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = latin1.decode(bytes.subarray(offset + 4, offset + 8));
+        const dataStart = offset + 8;
+        const dataEnd = dataStart + length;
+        if (dataEnd > bytes.length) break;
+
+        if (TEXT_CHUNK_TYPES.includes(type)) {
+            try {
+                const chunk = await decodeTextChunk(type, bytes.subarray(dataStart, dataEnd));
+                if (chunk) chunks.push({ type, ...chunk });
+            } catch (error) {
+                console.warn(`[Bot Browser] Unreadable ${type} chunk in PNG:`, error);
+            }
+        } else if (type === 'IEND') {
+            break;
+        }
+
+        offset = dataEnd + 4; // skip CRC
+    }
+
+    return chunks;
+}
+
+function decodeBase64Json(text) {
+    const binary = atob(text.trim());
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder('utf-8').decode(bytes));
+}
+
+// Card chunks are base64 JSON; some tools write the JSON as is (mostly in iTXt)
+function decodeCardText(text) {
+    return text.trim().startsWith('{') ? JSON.parse(text) : decodeBase64Json(text);
+}
+
+/**
+ * The chara and ccv3 chunks of a PNG, decoded. When a keyword appears more than once the
+ * last valid chunk wins, since tools that re-save cards tend to append instead of replacing.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<{chara: Object|null, ccv3: Object|null, found: Array<{type: string, keyword: string, valid: boolean}>}>}
+ *     chara/ccv3 are null when missing or invalid; found lists every card chunk in file order
+ */
+export async function readPngCardChunks(bytes) {
+    const result = { chara: null, ccv3: null, found: [] };
+
+    for (const chunk of await readPngTextChunks(bytes)) {
+        if (!CARD_KEYWORDS.includes(chunk.keyword)) continue;
+
+        let json = null;
+        try {
+            json = decodeCardText(chunk.text);
+        } catch (error) {
+            console.warn(`[Bot Browser] Invalid ${chunk.keyword} ${chunk.type} chunk in PNG:`, error);
+        }
+
+        const valid = !!json && typeof json === 'object';
+        result.found.push({ type: chunk.type, keyword: chunk.keyword, valid });
+        if (valid) {
+            result[chunk.keyword] = json;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Whether SillyTavern reads the PNG's card data as found: exactly one valid chara tEXt chunk,
+ * and no card data hidden in compressed or duplicate chunks
+ * @param {Array<{type: string, keyword: string, valid: boolean}>} found - From readPngCardChunks
+ */
+export function isCardDataReadable(found) {
+    const chara = found.filter(chunk => chunk.keyword === 'chara');
+    return chara.length === 1 && chara[0].type === 'tEXt' && chara[0].valid
+        && found.every(chunk => chunk.type === 'tEXt' && chunk.valid);
+}
+
+// Human-readable list of the card chunks found, e.g. "tEXt chara, zTXt ccv3 (invalid)"
+export function describeCardChunks(found) {
+    if (found.length === 0) return 'no chara or ccv3 chunks';
+    return found.map(chunk => `${chunk.type} ${chunk.keyword}${chunk.valid ? '' : ' (invalid)'}`).join(', ');
+}
+
+// Card JSON embedded in a PNG, preferring the V3 ccv3 chunk over the older chara chunk
+export async function readCardFromPng(bytes) {
+    const { chara, ccv3 } = await readPngCardChunks(bytes);
+    return ccv3 || chara;
+}
+
+/**
+ * Bring V1, V2 and V3 card JSON to { spec, data } where data holds the card fields
+ * @returns {{spec: string, data: Object}|null} - null when the JSON isn't a character card
+ */
+export function normalizeCardJson(json) {
+    if (!json || typeof json !== 'object' || Array.isArray(json)) return null;
+
+    if ((json.spec === 'chara_card_v2' || json.spec === 'chara_card_v3') && json.data && typeof json.data === 'object') {
+        return json.data.name ? { spec: json.spec, data: json.data } : null;
+    }
+
+    // V1 cards keep the fields at the top level
+    if (typeof json.name === 'string' && json.name && ('first_mes' in json || 'description' in json || 'personality' in json)) {
+        return { spec: 'chara_card_v1', data: json };
+    }
+
+    return null;
+}
+
+// Path of a CharX asset URI inside the archive ('embeded://' is the spelling used by the spec)
+function getCharxAssetPath(uri) {
+    const match = typeof uri === 'string' && uri.match(/^embedd?ed:\/\/(.+)$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Read a CharX archive
+ * @param {Blob|ArrayBuffer|Uint8Array} data
+ * @returns {Promise<{json: Object, image: Blob|null}|null>} - card.json and the main icon
+ */
+export async function readCharx(data) {
+    const JSZip = await loadJSZip();
+    const zip = await JSZip.loadAsync(data);
+
+    const cardFile = zip.file('card.json');
+    if (!cardFile) return null;
+
+    const json = JSON.parse(await cardFile.async('string'));
+    const assets = Array.isArray(json?.data?.assets) ? json.data.assets : [];
+    const icon = assets.find(asset => asset.type === 'icon' && asset.name === 'main') || assets.find(asset => asset.type === 'icon');
+
+    let imageFile = icon ? zip.file(getCharxAssetPath(icon.uri) || '') : null;
+    if (!imageFile) {
+        imageFile = zip.file(/^assets\/icon\/.+\.(png|jpe?g|webp|gif)$/i)[0] || null;
+    }
+
+    const image = imageFile ? await imageFile.async('blob') : null;
+    return { json, image };
+}
+
+// Insert a tEXt chunk into a PNG file
+export function insertPngTextChunk(pngBytes, keyword, text) {
+    // Verify PNG signature
+    for (let i = 0; i < PNG_SIGNATURE.length; i++) {
+        if (pngBytes[i] !== PNG_SIGNATURE[i]) {
+            throw new Error('Not a valid PNG file');
+        }
+    }
+
+    // Find the position to insert the tEXt chunk (after IHDR, before IDAT)
+    let insertPos = 8; // After PNG signature
+    let foundIHDR = false;
+
+    while (insertPos < pngBytes.length) {
+        const chunkLength = (pngBytes[insertPos] << 24) | (pngBytes[insertPos + 1] << 16) |
+                          (pngBytes[insertPos + 2] << 8) | pngBytes[insertPos + 3];
+        const chunkType = String.fromCharCode(...pngBytes.slice(insertPos + 4, insertPos + 8));
+
+        if (chunkType === 'IHDR') {
+            foundIHDR = true;
+            // Move past this chunk
+            insertPos += 12 + chunkLength; // 4 (length) + 4 (type) + data + 4 (CRC)
+        } else if (foundIHDR && chunkType === 'IDAT') {
+            // Insert before the first IDAT chunk
+            break;
+        } else {
+            // Move past this chunk
+            insertPos += 12 + chunkLength;
+        }
+    }
+
+    // Create the tEXt chunk
+    const keywordBytes = new TextEncoder().encode(keyword);
+    const textBytes = new TextEncoder().encode(text);
+    const chunkData = new Uint8Array(keywordBytes.length + 1 + textBytes.length);
+    chunkData.set(keywordBytes, 0);
+    chunkData[keywordBytes.length] = 0; // Null separator
+    chunkData.set(textBytes, keywordBytes.length + 1);
+
+    // Calculate CRC32 for the chunk
+    const chunkType = new TextEncoder().encode('tEXt');
+    const crcData = new Uint8Array(chunkType.length + chunkData.length);
+    crcData.set(chunkType, 0);
+    crcData.set(chunkData, chunkType.length);
+    const crc = calculateCRC32(crcData);
+
+    // Build the chunk: length + type + data + CRC
+    const chunk = new Uint8Array(12 + chunkData.length);
+    // Length (4 bytes, big-endian)
+    chunk[0] = (chunkData.length >> 24) & 0xFF;
+    chunk[1] = (chunkData.length >> 16) & 0xFF;
+    chunk[2] = (chunkData.length >> 8) & 0xFF;
+    chunk[3] = chunkData.length & 0xFF;
+    // Type (4 bytes)
+    chunk.set(chunkType, 4);
+    // Data
+    chunk.set(chunkData, 8);
+    // CRC (4 bytes, big-endian)
+    chunk[8 + chunkData.length] = (crc >> 24) & 0xFF;
+    chunk[8 + chunkData.length + 1] = (crc >> 16) & 0xFF;
+    chunk[8 + chunkData.length + 2] = (crc >> 8) & 0xFF;
+    chunk[8 + chunkData.length + 3] = crc & 0xFF;
+
+    // Combine: original PNG up to insert position + new chunk + rest of PNG
+    const result = new Uint8Array(pngBytes.length + chunk.length);
+    result.set(pngBytes.slice(0, insertPos), 0);
+    result.set(chunk, insertPos);
+    result.set(pngBytes.slice(insertPos), insertPos + chunk.length);
+
+    return result;
+}
+
+// Calculate CRC32 checksum
+function calculateCRC32(data) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = crc ^ data[i];
+        for (let j = 0; j < 8; j++) {
+            if (crc & 1) {
+                crc = (crc >>> 1) ^ 0xEDB88320;
+            } else {
+                crc = crc >>> 1;
+            }
+        }
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Drop the text chunks (tEXt, zTXt, iTXt) with these keywords, so a rewritten card doesn't keep stale data next to the new one
+export function removePngTextChunks(pngBytes, keywords) {
+    const view = new DataView(pngBytes.buffer, pngBytes.byteOffset, pngBytes.byteLength);
+    const latin1 = new TextDecoder('latin1');
+    const kept = [pngBytes.subarray(0, 8)];
+    let offset = 8;
+
+    while (offset + 12 <= pngBytes.length) {
+        const length = view.getUint32(offset);
+        const type = latin1.decode(pngBytes.subarray(offset + 4, offset + 8));
+        const chunkEnd = offset + 12 + length;
+        if (chunkEnd > pngBytes.length) break;
+
+        let drop = false;
+        if (TEXT_CHUNK_TYPES.includes(type)) {
+            const data = pngBytes.subarray(offset + 8, offset + 8 + length);
+            const separator = data.indexOf(0);
+            drop = separator > 0 && keywords.includes(latin1.decode(data.subarray(0, separator)));
+        }
+
+        if (!drop) {
+            kept.push(pngBytes.subarray(offset, chunkEnd));
+        }
+        offset = chunkEnd;
+    }
+
+    // A truncated last chunk or trailing bytes are kept as they are, so the image never loses data
+    if (offset < pngBytes.length) {
+        kept.push(pngBytes.subarray(offset));
+    }
+
+    const result = new Uint8Array(kept.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    for (const part of kept) {
+        result.set(part, position);
+        position += part.length;
+    }
+    return result;
+}
@@ -0,0 +1,197 @@
+// Card spec layer: build complete Character Card V3 data from any card shape and write it out
+// as V3 with a V2 copy for older readers, so V3-only fields survive the import
+import { normalizeCardJson, insertPngTextChunk, removePngTextChunks } from './cardFiles.js';
+import { hashText } from './utils.js';
+
+const DEFAULT_EXTENSIONS = {
+    talkativeness: '0.5',
+    fav: false,
+    world: '',
+    depth_prompt: {
+        prompt: '',
+        depth: 4
+    }
+};
+
+// Fields V2 readers know about; everything else in data is V3-only
+const V2_FIELDS = [
+    'name', 'description', 'personality', 'scenario', 'first_mes', 'mes_example',
+    'creator_notes', 'system_prompt', 'post_history_instructions', 'creator',
+    'character_version', 'tags', 'alternate_greetings', 'character_book', 'extensions'
+];
+
+// First value that is set, trying each spelling (V2/V3 snake_case, RisuAI camelCase, our index fields)
+function pick(source, ...keys) {
+    for (const key of keys) {
+        if (source[key] !== undefined && source[key] !== null) {
+            return source[key];
+        }
+    }
+    return undefined;
+}
+
+function pickArray(source, ...keys) {
+    const value = pick(source, ...keys);
+    return Array.isArray(value) ? value : [];
+}
+
+function pickString(source, ...keys) {
+    const value = pick(source, ...keys);
+    return typeof value === 'string' ? value : '';
+}
+
+function splitKeys(value) {
+    if (Array.isArray(value)) return value;
+    return typeof value === 'string' ? value.split(',').map(key => key.trim()).filter(Boolean) : [];
+}
+
+// RisuAI keeps lore as a flat entry list (lorebook/globalLore) instead of a character_book
+function convertRisuLorebook(entries) {
+    return {
+        name: '',
+        entries: entries.map((entry, index) => ({
+            keys: splitKeys(entry.key ?? entry.keys),
+            secondary_keys: splitKeys(entry.secondkey ?? entry.secondary_keys),
+            content: entry.content || '',
+            comment: entry.comment || '',
+            insertion_order: entry.insertorder ?? entry.insertion_order ?? 100,
+            enabled: true,
+            constant: !!(entry.alwaysActive ?? entry.constant),
+            selective: !!entry.selective,
+            use_regex: !!entry.useRegex,
+            id: index,
+            extensions: {}
+        })),
+        extensions: {}
+    };
+}
+
+/**
+ * The lorebook embedded in a card, in character_book format
+ * @param {Object} card - Card data (the data object of V2/V3 JSON, or a RisuAI export)
+ * @returns {Object|null}
+ */
+export function getEmbeddedBook(card) {
+    const characterBook = pick(card, 'character_book', 'characterBook');
+    if (characterBook && typeof characterBook === 'object' && Array.isArray(characterBook.entries) && characterBook.entries.length > 0) {
+        return characterBook;
+    }
+
+    const risuEntries = pick(card, 'lorebook', 'globalLore');
+    if (Array.isArray(risuEntries) && risuEntries.length > 0) {
+        return convertRisuLorebook(risuEntries);
+    }
+
+    return null;
+}
+
+/**
+ * Build a Character Card V3 from card JSON (V1/V2/V3, RisuAI exports) or an index/chunk entry
+ * @param {Object} source
+ * @returns {Object} - { spec: 'chara_card_v3', spec_version: '3.0', data }
+ */
+export function toCardV3(source) {
+    const normalized = normalizeCardJson(source);
+    const card = normalized ? normalized.data : (source.data && typeof source.data === 'object' ? { ...source.data, ...source } : source);
+
+    const characterBook = getEmbeddedBook(card);
+    const assets = pickArray(card, 'assets');
+
+    const data = {
+        name: pickString(card, 'name'),
+        description: pickString(card, 'description'),
+        personality: pickString(card, 'personality'),
+        scenario: pickString(card, 'scenario'),
+        first_mes: pickString(card, 'first_mes', 'first_message', 'firstMessage'),
+        mes_example: pickString(card, 'mes_example', 'example_messages', 'exampleMessage'),
+        creator_notes: pickString(card, 'creator_notes', 'creatorNotes', 'website_description'),
+        system_prompt: pickString(card, 'system_prompt', 'systemPrompt'),
+        post_history_instructions: pickString(card, 'post_history_instructions', 'postHistoryInstructions'),
+        creator: pickString(card, 'creator'),
+        character_version: pickString(card, 'character_version', 'characterVersion'),
+        tags: pickArray(card, 'tags').filter(tag => typeof tag === 'string'),
+        alternate_greetings: pickArray(card, 'alternate_greetings', 'alternateGreetings'),
+        group_only_greetings: pickArray(card, 'group_only_greetings', 'groupOnlyGreetings'),
+        nickname: pickString(card, 'nickname'),
+        source: pickArray(card, 'source'),
+        // The spec's default: the image the card is embedded in is its main icon
+        assets: assets.length > 0 ? assets : [{ type: 'icon', uri: 'ccdefault:', name: 'main', ext: 'png' }],
+        extensions: { ...DEFAULT_EXTENSIONS, ...(pick(card, 'extensions') || {}) }
+    };
+
+    const multilingualNotes = pick(card, 'creator_notes_multilingual', 'creatorNotesMultilingual');
+    if (multilingualNotes && typeof multilingualNotes === 'object') {
+        data.creator_notes_multilingual = multilingualNotes;
+    }
+    if (characterBook) {
+        data.character_book = characterBook;
+    }
+    for (const dateField of ['creation_date', 'modification_date']) {
+        if (typeof card[dateField] === 'number') {
+            data[dateField] = card[dateField];
+        }
+    }
+
+    return { spec: 'chara_card_v3', spec_version: '3.0', data };
+}
+
+/**
+ * The V2 view of a V3 card, for the chara chunk
+ * @param {Object} cardV3
+ * @returns {Object}
+ */
+export function toCardV2(cardV3) {
+    const data = {};
+    for (const field of V2_FIELDS) {
+        if (cardV3.data[field] !== undefined) {
+            data[field] = cardV3.data[field];
+        }
+    }
+    return { spec: 'chara_card_v2', spec_version: '2.0', data };
+}
+
+// Base64 of the UTF-8 JSON, as stored in chara/ccv3 chunks
+export function encodeCardData(cardJson) {
+    return btoa(unescape(encodeURIComponent(JSON.stringify(cardJson))));
+}
+
+/**
+ * Embed a V3 card into PNG bytes as both a chara (V2) and a ccv3 chunk, replacing any existing card data
+ * @param {Uint8Array} pngBytes
+ * @param {Object} cardV3
+ * @returns {Uint8Array}
+ */
+export function writeCardToPng(pngBytes, cardV3) {
+    const cleanBytes = removePngTextChunks(pngBytes, ['chara', 'ccv3']);
+    const withV2 = insertPngTextChunk(cleanBytes, 'chara', encodeCardData(toCardV2(cardV3)));
+    return insertPngTextChunk(withV2, 'ccv3', encodeCardData(cardV3));
+}
+
+// Fields whose changes count as a new version of the card
+const CONTENT_FIELDS = ['description', 'personality', 'scenario', 'first_mes', 'mes_example', 'alternate_greetings', 'system_prompt', 'post_history_instructions'];
+
+/**
+ * Hash of a card's content, comparable between the copy we imported and the source's current one
+ * @param {Object} card - Card JSON, card data or an index/chunk entry (card.definition wins when present)
+ * @returns {string|null} - null when the card carries no content to hash
+ */
+export function getContentFingerprint(card) {
+    const data = toCardV3(card.definition || card).data;
+    const values = CONTENT_FIELDS.map(field => {
+        const value = data[field];
+        return Array.isArray(value) ? value.map(text => String(text).replace(/\r\n/g, '\n').trim()) : value.replace(/\r\n/g, '\n').trim();
+    });
+
+    if (values.every(value => value.length === 0)) return null;
+    return hashText(JSON.stringify(values));
+}
+
+/**
+ * Apply edited fields to a V3 card; fields left out of edits keep their value
+ * @param {Object} cardV3
+ * @param {Object} edits - V3 data fields (name, description, first_mes, tags, ...)
+ * @returns {Object} - A new V3 card
+ */
+export function applyCardEdits(cardV3, edits) {
+    return { ...cardV3, data: { ...cardV3.data, ...edits } };
+}
@@ -31,6 +31,13 @@ export function decodeUTF8(text) {
     }
 }
 
+// Error for a failed HTTP response; error.status tells rate limits and server errors apart from the rest
+export function createHttpError(message, response) {
+    const error = new Error(message);
+    error.status = response.status;
+    return error;
+}
+
 // Helper function to safely escape HTML (prevents XSS)
 export function escapeHTML(text) {
     if (!text) return '';
@@ -55,13 +62,20 @@ export function getRandomCorsProxy() {
     return CORS_PROXIES[Math.floor(Math.random() * CORS_PROXIES.length)];
 }
 
+// Card images we can show: remote http(s) images and object URLs of local files
+export function isDisplayableImageUrl(url) {
+    if (!url) return false;
+    const trimmed = url.trim();
+    return trimmed.startsWith('http://') || trimmed.startsWith('https://') || trimmed.startsWith('blob:');
+}
+
 // Helper function to sanitize image URLs (prevents attribute injection)
 export function sanitizeImageUrl(url) {
     if (!url) return '';
     let trimmed = url.trim();
 
-    // Only allow http:// and https:// URLs
-    if (trimmed.startsWith('http://') || trimmed.startsWith('https://')) {
+    // Only allow http://, https:// and blob: URLs
+    if (isDisplayableImageUrl(trimmed)) {
         // Rotate CORS proxy for character_tavern images to spread load
         if (trimmed.includes('corsproxy.io')) {
             // Extract the actual URL after the proxy
@@ -79,3 +93,36 @@ export function sanitizeImageUrl(url) {
     }
     return '';
 }
+
+// Save a blob through the browser's download prompt
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// SillyTavern ships JSZip as a plain script that registers window.JSZip; load it on first use
+export async function loadJSZip() {
+    if (!window.JSZip) {
+        await import('../../../../../../lib/jszip.min.js');
+    }
+    if (!window.JSZip) {
+        throw new Error('JSZip is not available');
+    }
+    return window.JSZip;
+}
+
+// FNV-1a hash as hex, enough to tell whether two texts are the same
+export function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}